@@ -0,0 +1,176 @@
+import * as turf from '@turf/turf'
+import {
+  FLY_TO_ZOOM,
+  SOURCE_QUERY_DELAY_MS,
+  AREA_MULTIPLIER,
+  MAX_NEIGHBOR_DISTANCE_KM,
+  MAX_BUILDING_AREA_SQM,
+  MAX_SELECTION_AREA_SQM
+} from './constants.js'
+import { buildGeoJSONFromFeature } from './geometry.js'
+import { pickOrMergeSourceFeatures } from './merge.js'
+import { normalizeLayerPolicy, matchesLayerPolicy, describeFeatureLayer } from './layer-policy.js'
+
+const noop = () => {}
+
+const featureKey = (f) => f.id ?? f.properties?.id ?? f.properties?.osm_id
+
+// ── Selection area ──
+// Accepts one of:
+//   { bbox: [w, s, e, n] }
+//   { center: [lng, lat], radius }     radius in metres
+//   { polygon }                        GeoJSON Polygon / MultiPolygon geometry or Feature
+// Returns a GeoJSON Polygon/MultiPolygon Feature; throws on malformed or oversized input.
+export function normalizeSelectionArea(area, options = {}) {
+  const maxAreaSqm = options.maxAreaSqm || MAX_SELECTION_AREA_SQM
+  if (!area || typeof area !== 'object') throw new Error('Area must be an object')
+
+  let feature
+  if (area.bbox) {
+    const [w, s, e, n] = area.bbox.map(Number)
+    if (![w, s, e, n].every(Number.isFinite) || w >= e || s >= n) {
+      throw new Error('bbox must be [west, south, east, north] with west < east and south < north')
+    }
+    feature = turf.bboxPolygon([w, s, e, n])
+  } else if (area.center) {
+    const [lng, lat] = area.center.map(Number)
+    const radius = Number(area.radius)
+    if (!Number.isFinite(lng) || !Number.isFinite(lat)) throw new Error('center must be [lng, lat]')
+    if (!Number.isFinite(radius) || radius <= 0) throw new Error('radius must be a positive number of metres')
+    feature = turf.circle([lng, lat], radius, { units: 'meters', steps: 64 })
+  } else if (area.polygon) {
+    const geometry = area.polygon.type === 'Feature' ? area.polygon.geometry : area.polygon
+    if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+      throw new Error('polygon must be a GeoJSON Polygon or MultiPolygon')
+    }
+    feature = turf.feature(geometry)
+  } else {
+    throw new Error('Area needs one of bbox, center + radius, or polygon')
+  }
+
+  const areaSqm = turf.area(feature)
+  if (areaSqm > maxAreaSqm) {
+    throw new Error(`Area too large (${Math.round(areaSqm)} m², max ${maxAreaSqm} m²)`)
+  }
+  return feature
+}
+
+// ── Buildings intersecting an area ──
+// Groups building fragments by feature id (fragments of one building share it across tile
+// seams), merges each group with the same seed/cluster/union as a single extraction, and
+// keeps the building-sized footprints that intersect the area. Fragments without an id are
+// treated as separate buildings. Options: { log, tileGrid } — tileGrid ({ zoom, extent }) lets
+// the merge stitch fragments clipped at tile seams.
+// Returns a FeatureCollection; every feature gets `area_m2` and `centroid` ([lng, lat]).
+export function collectBuildingsInArea(features, areaFeature, options = {}) {
+  const log = options.log || noop
+  const groups = new Map()
+  let anonymous = 0
+  for (const f of features || []) {
+    const key = featureKey(f) ?? `anon:${anonymous++}`
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(f)
+  }
+
+  const out = []
+  for (const [key, fragments] of groups) {
+    const inside = fragments.find((f) => {
+      try { return turf.booleanIntersects(f, areaFeature) } catch (_) { return false }
+    })
+    if (!inside) continue
+
+    const [w, s, e, n] = turf.bbox(turf.featureCollection(fragments))
+    const diagonal = turf.distance(turf.point([w, s]), turf.point([e, n]), { units: 'kilometers' })
+    let merged = null
+    try {
+      merged = pickOrMergeSourceFeatures(fragments, turf.pointOnFeature(inside).geometry.coordinates, {
+        areaMultiplier: Math.max(AREA_MULTIPLIER, 10.0),
+        maxDistanceKm: Math.max(MAX_NEIGHBOR_DISTANCE_KM, diagonal * 2.0),
+        tileGrid: options.tileGrid
+      })
+    } catch (_) { }
+    if (!merged?.geometry) continue
+
+    const geojson = buildGeoJSONFromFeature(merged, merged.geometry)
+    if (!geojson) continue
+    const areaM2 = turf.area(geojson)
+    if (areaM2 > MAX_BUILDING_AREA_SQM) continue // landuse/zone caught by a loose policy
+
+    out.push({
+      ...geojson,
+      ...(typeof key === 'string' && key.startsWith('anon:') ? {} : { id: key }),
+      properties: {
+        ...geojson.properties,
+        area_m2: Math.round(areaM2 * 100) / 100,
+        centroid: turf.centroid(geojson).geometry.coordinates,
+        layer: describeFeatureLayer(inside)
+      }
+    })
+  }
+  log(`${groups.size} candidate building(s), ${out.length} intersect the area`)
+  return turf.featureCollection(out)
+}
+
+// ── Map-driven area extraction ──
+// Fits the camera to the area, finds which sources/source layers the rendered buildings come
+// from, pulls every fragment of those layers from the loaded tiles, and collects the buildings.
+// Options: { log, layerPolicy }.
+// Resolves to { geojson, error } — never rejects. `geojson` is a FeatureCollection.
+export function extractBuildingsInArea(adapter, area, options = {}) {
+  const log = options.log || noop
+  let layerPolicy
+  let areaFeature
+  try {
+    layerPolicy = normalizeLayerPolicy(options.layerPolicy)
+    areaFeature = normalizeSelectionArea(area)
+  } catch (err) {
+    return Promise.resolve({ geojson: null, error: err.message })
+  }
+
+  const [w, s, e, n] = turf.bbox(areaFeature)
+  return new Promise((resolve) => {
+    adapter.fitBounds([[w, s], [e, n]], { padding: 40, maxZoom: FLY_TO_ZOOM, duration: 0 })
+    adapter.onceIdle(() => {
+      setTimeout(() => {
+        try {
+          const nw = adapter.project([w, n])
+          const se = adapter.project([e, s])
+          const rendered = adapter.queryRenderedFeatures([[nw.x, nw.y], [se.x, se.y]])
+            .filter((f) => matchesLayerPolicy(f, layerPolicy))
+
+          // Every (source, source layer) the visible buildings were drawn from
+          const layers = new Map()
+          for (const f of rendered) {
+            if (f.source && f.sourceLayer != null) layers.set(`${f.source}\u0000${f.sourceLayer}`, f)
+          }
+          const fragments = []
+          for (const f of layers.values()) {
+            const sf = adapter.querySourceFeatures(f.source, { sourceLayer: f.sourceLayer })
+            for (const g of sf) {
+              // Source features carry no style layer — borrow the rendered match's
+              const fragment = {
+                type: 'Feature',
+                id: g.id,
+                properties: g.properties,
+                geometry: g.geometry,
+                layer: f.layer,
+                source: f.source,
+                sourceLayer: f.sourceLayer
+              }
+              if (matchesLayerPolicy(fragment, layerPolicy)) fragments.push(fragment)
+            }
+          }
+          // Layers without a vector source can only contribute what is rendered
+          if (layers.size === 0) fragments.push(...rendered)
+          log(`${rendered.length} rendered / ${fragments.length} source fragment(s) from ${layers.size} layer(s)`)
+
+          const [first] = layers.values()
+          const tileGrid = first && adapter.tileZoom ? { zoom: adapter.tileZoom(first.source) } : null
+          resolve({ geojson: collectBuildingsInArea(fragments, areaFeature, { log, tileGrid }), error: null })
+        } catch (err) {
+          resolve({ geojson: null, error: `Area extraction failed: ${err.message}` })
+        }
+      }, SOURCE_QUERY_DELAY_MS)
+    })
+  })
+}
@@ -0,0 +1,74 @@
+import * as turf from '@turf/turf'
+import { localProjection } from './geometry.js'
+
+// ── Footprint comparison ──
+// How far an extracted footprint is from a reference (golden) one:
+//   iou           intersection area / union area, 0–1 (1 = identical)
+//   areaDelta     (actual − expected) / expected area, signed fraction
+//   hausdorffM    symmetric Hausdorff distance between the boundaries, in metres
+// Used by the regression harness (server/regression.js).
+
+const HAUSDORFF_STEP_M = 1 // boundary sampling step — the max distance can fall mid-edge
+
+const geometryOf = (input) => (input?.type === 'Feature' ? input.geometry : input)
+
+function rings(geometry) {
+  return geometry.type === 'Polygon' ? geometry.coordinates : geometry.coordinates.flat()
+}
+
+function distanceToSegment([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax
+  const dy = by - ay
+  const lenSq = dx * dx + dy * dy
+  const t = lenSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lenSq)) : 0
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy))
+}
+
+// Points along every ring, at most HAUSDORFF_STEP_M apart
+function samplePoints(ringList) {
+  const points = []
+  for (const ring of ringList) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [a, b] = [ring[i], ring[i + 1]]
+      const steps = Math.max(1, Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1]) / HAUSDORFF_STEP_M))
+      for (let s = 0; s < steps; s++) points.push([a[0] + ((b[0] - a[0]) * s) / steps, a[1] + ((b[1] - a[1]) * s) / steps])
+    }
+  }
+  return points
+}
+
+function directedHausdorff(fromRings, toRings) {
+  let max = 0
+  for (const p of samplePoints(fromRings)) {
+    let min = Infinity
+    for (const ring of toRings) {
+      for (let i = 0; i < ring.length - 1 && min > max; i++) min = Math.min(min, distanceToSegment(p, ring[i], ring[i + 1]))
+    }
+    max = Math.max(max, min)
+  }
+  return max
+}
+
+export function hausdorffDistance(a, b) {
+  const ga = geometryOf(a)
+  const gb = geometryOf(b)
+  const { toXY } = localProjection(turf.centroid(turf.feature(gb)).geometry.coordinates)
+  const ra = rings(ga).map((ring) => ring.map(toXY))
+  const rb = rings(gb).map((ring) => ring.map(toXY))
+  return Math.max(directedHausdorff(ra, rb), directedHausdorff(rb, ra))
+}
+
+export function compareFootprints(actual, expected) {
+  const a = turf.feature(geometryOf(actual))
+  const b = turf.feature(geometryOf(expected))
+  const areaA = turf.area(a)
+  const areaB = turf.area(b)
+  const intersection = turf.intersect(turf.featureCollection([a, b]))
+  const union = turf.union(turf.featureCollection([a, b]))
+  const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits
+  return {
+    iou: union ? round((intersection ? turf.area(intersection) : 0) / turf.area(union), 4) : 0,
+    areaDelta: areaB ? round((areaA - areaB) / areaB, 4) : null,
+    hausdorffM: round(hausdorffDistance(a, b), 2)
+  }
+}
@@ -0,0 +1,47 @@
+// ── Extraction defaults shared by the React app and the headless engine ──
+
+// Bounding box buffer for initial click detection (center ± N → (2N+1)x(2N+1) px)
+export const QUERY_RADIUS_PX = 3
+export const FLY_TO_ZOOM = 17.5
+export const DISCOVERY_ZOOM = 13.5            // lower zoom for Phase 1 — broad tile coverage to discover full building extent
+export const SOURCE_QUERY_DELAY_MS = 75
+
+// ── Area-Guard & Distance-Guard thresholds (defaults, can be overridden per-call) ──
+export const AREA_MULTIPLIER = 3.0           // max cluster area = seed area × this
+export const MAX_NEIGHBOR_DISTANCE_KM = 0.05 // 50 m — reject polygons farther than this from seed centroid
+export const MAX_BUILDING_AREA_SQM = 350_000 // 350K m² — anything larger is landuse/zone, not a building
+
+// ── Tile-seam stitching ──
+export const TILE_EXTENT = 4096          // vector tile coordinate extent (MVT default)
+export const SEAM_TOLERANCE_UNITS = 1    // vertices this close to a tile edge (tile units) are snapped onto it
+
+// ── Zoom cascade ──
+export const ZOOM_CASCADE = [13.5, 15.5, 17.5, 19.5] // try from broadest to most precise
+export const MAX_PASSES = 6
+export const BBOX_GROWTH = 0.10
+export const POINT_BUFFER_M = 10 // 10 m tolerance for point-in-polygon validation
+export const EXTRACTION_TIMEOUT_S = 120 // the headless engine gives up (and recycles its page) after this
+
+// ── Nearest-building snapping ──
+export const DEFAULT_SNAP_DISTANCE_M = 50
+export const MAX_SNAP_DISTANCE_M = 250
+export const SNAP_NUDGE_M = 0.5 // step from the nearest edge point into the building
+
+// ── Diagnostics ──
+export const REVIEW_CONFIDENCE = 0.6 // results scoring below this are flagged needsReview
+
+// ── Address lookup ──
+export const GEOCODE_REVIEW_SCORE = 0.9 // geocoder matches below this (partial, or street/area level) are flagged for review
+
+// ── Area selection ──
+export const MAX_SELECTION_AREA_SQM = 4_000_000 // 4 km² — larger areas render below building zoom
+
+// ── Building metrics ──
+export const METRES_PER_LEVEL = 3 // storey height used to estimate levels from render_height
+
+// ── Footprint post-processing (defaults for each optional step) ──
+export const SIMPLIFY_TOLERANCE_M = 0.3       // Douglas-Peucker tolerance
+export const ORTHOGONALIZE_MAX_ANGLE_DEG = 12 // square a ring only if every edge is within this of the main axes
+export const SPIKE_MIN_ANGLE_DEG = 10         // vertices with a sharper angle are spikes
+export const SLIVER_MIN_WIDTH_M = 0.5         // parts thinner than this (mean width 2A/P) are slivers
+export const FILL_HOLE_MAX_AREA_SQM = 10      // holes smaller than this are filled
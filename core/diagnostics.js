@@ -0,0 +1,63 @@
+import { REVIEW_CONFIDENCE } from './constants.js'
+
+// ── Extraction diagnostics & confidence ──
+// Each engine reports how it found the footprint; buildDiagnostics turns that into flags and a
+// 0–1 confidence score. Every flag multiplies the score by its penalty, so a clean result
+// (validated, point inside, seed containing the point, converged at the first zoom) scores 1.
+//
+//   zoom           zoom the result came from (ZOOM_CASCADE entry, or the tile zoom)
+//   zoomsTried     zoom levels attempted, including the one that produced the result
+//   passes         expansion passes run at that zoom
+//   converged      footprint stopped growing before MAX_PASSES
+//   seedMethod     'point-in-polygon' | 'single' | 'ray-casting' | 'closest-centroid' | 'rendered'
+//   fragments      source fragments considered for the building
+//   merged         fragments unioned into the footprint
+//   seams          tile seams stitched between fragments (see seams.js)
+//   pointInside    point strictly inside the polygon
+//   pointBuffered  point only inside after the POINT_BUFFER_M tolerance
+//   validated      pointOk && areaOk (false = best available result after all zooms)
+//   snapped        the input point missed every footprint; the result is the nearest building
+
+const PENALTIES = {
+  not_validated: 0.5,
+  point_outside: 0.5,
+  point_buffer: 0.8,
+  seed_ray_casting: 0.9,
+  seed_closest_centroid: 0.6,
+  seed_rendered: 0.75,
+  escalated: 0.95,   // per extra zoom level tried
+  not_converged: 0.9,
+  snapped: 0.7
+}
+
+export function buildDiagnostics(fields) {
+  // Rebuilding (e.g. after snapping) recomputes the derived fields from scratch
+  const info = { ...fields }
+  delete info.flags
+  delete info.confidence
+  delete info.needsReview
+
+  const flags = []
+  if (!info.validated) flags.push('not_validated')
+  if (info.pointBuffered) flags.push('point_buffer')
+  else if (!info.pointInside) flags.push('point_outside')
+  if (info.seedMethod === 'ray-casting') flags.push('seed_ray_casting')
+  if (info.seedMethod === 'closest-centroid') flags.push('seed_closest_centroid')
+  if (info.seedMethod === 'rendered') flags.push('seed_rendered')
+  if (info.zoomsTried > 1) flags.push('escalated')
+  if (info.converged === false) flags.push('not_converged')
+  if (info.snapped) flags.push('snapped')
+
+  let confidence = 1
+  for (const flag of flags) {
+    confidence *= flag === 'escalated' ? PENALTIES.escalated ** (info.zoomsTried - 1) : PENALTIES[flag]
+  }
+  confidence = Math.round(confidence * 100) / 100
+
+  return {
+    ...info,
+    flags,
+    confidence,
+    needsReview: confidence < REVIEW_CONFIDENCE
+  }
+}
@@ -0,0 +1,168 @@
+import * as turf from '@turf/turf'
+import { summarizeParts } from './geometry.js'
+
+// ── Manual boundary editing ──
+// Pure geometry operations behind the UI's edit mode. Every operation takes a Polygon or
+// MultiPolygon and returns a new geometry (inputs are never mutated); invalid edits throw.
+// Vertices are addressed as { part, ring, index } — polygon part, ring within it (0 = outer),
+// and position in the ring, not counting the closing coordinate.
+
+const clone = (coords) => JSON.parse(JSON.stringify(coords))
+
+// Polygon parts of a geometry: [[outer, ...holes], ...]
+export function toParts(geometry) {
+  if (geometry?.type === 'Polygon') return [clone(geometry.coordinates)]
+  if (geometry?.type === 'MultiPolygon') return clone(geometry.coordinates)
+  throw new Error('Only Polygon and MultiPolygon geometries can be edited')
+}
+
+export function fromParts(parts) {
+  if (parts.length === 0) return null
+  return parts.length === 1
+    ? { type: 'Polygon', coordinates: parts[0] }
+    : { type: 'MultiPolygon', coordinates: parts }
+}
+
+// Ring without its closing coordinate, and back
+const openRing = (ring) => ring.slice(0, -1)
+const closeRing = (open) => [...open, [...open[0]]]
+
+function ringAt(parts, { part, ring }) {
+  const r = parts[part]?.[ring]
+  if (!r) throw new Error('Vertex not found')
+  return r
+}
+
+export function moveVertex(geometry, ref, lngLat) {
+  const parts = toParts(geometry)
+  const open = openRing(ringAt(parts, ref))
+  open[ref.index] = [lngLat[0], lngLat[1]]
+  parts[ref.part][ref.ring] = closeRing(open)
+  return fromParts(parts)
+}
+
+// Insert a vertex on the edge that starts at `ref`
+export function insertVertex(geometry, ref, lngLat) {
+  const parts = toParts(geometry)
+  const open = openRing(ringAt(parts, ref))
+  open.splice(ref.index + 1, 0, [lngLat[0], lngLat[1]])
+  parts[ref.part][ref.ring] = closeRing(open)
+  return fromParts(parts)
+}
+
+export function deleteVertex(geometry, ref) {
+  const parts = toParts(geometry)
+  const open = openRing(ringAt(parts, ref))
+  if (open.length <= 3) throw new Error('A ring needs at least 3 vertices')
+  open.splice(ref.index, 1)
+  parts[ref.part][ref.ring] = closeRing(open)
+  return fromParts(parts)
+}
+
+// Index of the part containing the point, or -1
+export function partAt(geometry, lngLat) {
+  const pt = turf.point(lngLat)
+  return toParts(geometry).findIndex((rings) => turf.booleanPointInPolygon(pt, turf.polygon(rings)))
+}
+
+export function deletePart(geometry, partIndex) {
+  const parts = toParts(geometry)
+  if (parts.length <= 1) throw new Error('Cannot delete the only polygon')
+  if (!parts[partIndex]) throw new Error('Polygon part not found')
+  parts.splice(partIndex, 1)
+  return fromParts(parts)
+}
+
+const flattenParts = (geometry) => (geometry ? toParts(geometry) : [])
+
+// Cut every part along the infinite line through a and b; parts the line misses are kept whole
+export function splitGeometry(geometry, a, b) {
+  const [ax, ay] = a
+  const [bx, by] = b
+  const len = Math.hypot(bx - ax, by - ay)
+  if (len === 0) throw new Error('Split line needs two distinct points')
+
+  const [w, s, e, n] = turf.bbox(turf.feature(geometry))
+  const reach = (Math.hypot(e - w, n - s) + len) * 4
+  const dx = ((bx - ax) / len) * reach
+  const dy = ((by - ay) / len) * reach
+  const p1 = [ax - dx, ay - dy]
+  const p2 = [bx + dx, by + dy]
+  // Half-planes on either side of the line, as large rectangles
+  const side = (sign) => turf.polygon([[p1, p2, [p2[0] - sign * dy, p2[1] + sign * dx], [p1[0] - sign * dy, p1[1] + sign * dx], p1]])
+  const halves = [side(1), side(-1)]
+
+  const out = []
+  for (const rings of toParts(geometry)) {
+    const poly = turf.polygon(rings)
+    const pieces = halves.flatMap((half) => flattenParts(turf.intersect(turf.featureCollection([poly, half]))?.geometry))
+    out.push(...(pieces.length > 1 ? pieces : [rings]))
+  }
+  if (out.length === toParts(geometry).length) throw new Error('Split line does not cross the polygon')
+  return fromParts(out)
+}
+
+// Union of the geometry with others (merging parts that touch or overlap)
+export function unionGeometries(geometry, ...others) {
+  const polys = [geometry, ...others].flatMap(flattenParts).map((rings) => turf.polygon(rings))
+  if (polys.length === 1) return fromParts([polys[0].geometry.coordinates])
+  const merged = turf.union(turf.featureCollection(polys))
+  if (!merged) throw new Error('Union failed')
+  return merged.geometry
+}
+
+export const mergeParts = (geometry) => unionGeometries(geometry)
+
+// Vertex and edge-midpoint handles for the edit layer
+export function editHandles(geometry) {
+  const features = []
+  toParts(geometry).forEach((rings, part) => {
+    rings.forEach((ring, r) => {
+      const open = openRing(ring)
+      open.forEach((coord, index) => {
+        const next = open[(index + 1) % open.length]
+        features.push(turf.point(coord, { kind: 'vertex', part, ring: r, index }))
+        features.push(turf.point(
+          [(coord[0] + next[0]) / 2, (coord[1] + next[1]) / 2],
+          { kind: 'midpoint', part, ring: r, index }
+        ))
+      })
+    })
+  })
+  return turf.featureCollection(features)
+}
+
+// Feature with an edited geometry, flagged as manually edited (multipart `parts` recomputed)
+export function markManualEdit(feature, geometry) {
+  const parts = feature.properties?.parts ? { parts: summarizeParts(geometry) } : {}
+  return {
+    ...feature,
+    properties: { ...feature.properties, ...parts, manual_edit: true, edited_at: new Date().toISOString() },
+    geometry
+  }
+}
+
+// ── Undo / redo ──
+// Linear history of geometries; pushing after an undo drops the redo branch.
+export function createEditHistory(initial, limit = 100) {
+  let stack = [initial]
+  let index = 0
+  return {
+    get current() { return stack[index] },
+    get canUndo() { return index > 0 },
+    get canRedo() { return index < stack.length - 1 },
+    push(geometry) {
+      stack = [...stack.slice(0, index + 1), geometry].slice(-limit)
+      index = stack.length - 1
+      return geometry
+    },
+    undo() {
+      if (index > 0) index--
+      return stack[index]
+    },
+    redo() {
+      if (index < stack.length - 1) index++
+      return stack[index]
+    }
+  }
+}
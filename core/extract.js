@@ -0,0 +1,415 @@
+import * as turf from '@turf/turf'
+import {
+  QUERY_RADIUS_PX,
+  FLY_TO_ZOOM,
+  SOURCE_QUERY_DELAY_MS
+} from './constants.js'
+import { DEFAULT_EXTRACTION_PARAMS, normalizeExtractionParams } from './params.js'
+import { toLngLatArray, toSinglePolygon, buildGeoJSONFromFeature } from './geometry.js'
+import { pickOrMergeSourceFeatures } from './merge.js'
+import { buildDiagnostics } from './diagnostics.js'
+import { normalizeSnapOption, snapToNearestBuilding } from './snap.js'
+import {
+  DEFAULT_LAYER_POLICY,
+  normalizeLayerPolicy,
+  selectBuildingFeature,
+  describeFeatureLayer
+} from './layer-policy.js'
+
+const noop = () => {}
+const now = () => performance.now()
+
+// Best building candidate (per the layer policy) within QUERY_RADIUS_PX of a screen point
+export function findRenderedBuilding(adapter, point, layerPolicy = DEFAULT_LAYER_POLICY) {
+  const x = point.x ?? point[0]
+  const y = point.y ?? point[1]
+  const bboxPx = [
+    [x - QUERY_RADIUS_PX, y - QUERY_RADIUS_PX],
+    [x + QUERY_RADIUS_PX, y + QUERY_RADIUS_PX]
+  ]
+  const rendered = adapter.queryRenderedFeatures(bboxPx)
+  return selectBuildingFeature(rendered, layerPolicy)
+}
+
+// Find a querySourceFeatures filter that matches the rendered feature's id.
+// Vector tiles may expose id as top-level or in properties.id / properties.osm_id
+function findWorkingFilter(adapter, building) {
+  const sourceId = building.source
+  const sourceLayer = building.sourceLayer
+  const featureId =
+    building.id ??
+    building.properties?.id ??
+    building.properties?.osm_id
+
+  if (!sourceId || sourceLayer == null || featureId == null) return null
+  for (const filter of [
+    ['==', ['id'], featureId],
+    ['==', ['get', 'id'], featureId],
+    ['==', ['get', 'osm_id'], featureId]
+  ]) {
+    try {
+      const sf = adapter.querySourceFeatures(sourceId, { sourceLayer, filter })
+      if (sf && sf.length > 0) return filter
+    } catch (_) { continue }
+  }
+  return null
+}
+
+// The core merge on the calling thread, with the contract of the `merge` option below:
+// merge(sourceFeatures, lngLat, mergeOptions, { signal }) → Promise<feature | null>, filling
+// mergeOptions.report; `signal` (when given) aborts the merge.
+// Another implementation (the React app's Web Worker, src/geometryWorker.js) keeps the geometry
+// work off the main thread.
+const mergeHere = (sourceFeatures, lngLat, options) =>
+  Promise.resolve().then(() => pickOrMergeSourceFeatures(sourceFeatures, lngLat, options))
+
+const isAbort = (err) => err?.name === 'AbortError'
+const abortReason = (signal) => signal.reason ?? new DOMException('Extraction aborted', 'AbortError')
+
+// Adapter that goes quiet once `signal` aborts: camera moves are dropped and idle callbacks never
+// fire, so a cascade in flight stops at its next step
+function stopOnAbort(adapter, signal) {
+  if (!signal) return adapter
+  return {
+    ...adapter,
+    flyTo: (options) => { if (!signal.aborted) adapter.flyTo(options) },
+    fitBounds: (bounds, options) => { if (!signal.aborted) adapter.fitBounds(bounds, options) },
+    onceIdle: (callback) => adapter.onceIdle(() => { if (!signal.aborted) callback() })
+  }
+}
+
+// Rendered building under a screen point and the source fragments of the same feature
+// (null when no source query matches it)
+function queryBuildingAtPoint(adapter, point, layerPolicy) {
+  const renderedBuilding = findRenderedBuilding(adapter, point, layerPolicy)
+  if (!renderedBuilding) return null
+  const filter = findWorkingFilter(adapter, renderedBuilding)
+  let sourceFeatures = null
+  if (filter) {
+    try {
+      sourceFeatures = adapter.querySourceFeatures(renderedBuilding.source, {
+        sourceLayer: renderedBuilding.sourceLayer,
+        filter
+      })
+    } catch (_) { }
+  }
+  return { renderedBuilding, sourceFeatures }
+}
+
+const withLayer = (merged, { layer, source, sourceLayer }) => ({ ...merged, layer, source, sourceLayer })
+
+// Building under a screen point at the current camera (click / hover). Merges tile fragments of
+// the same source feature with `options.merge` (see mergeHere) and falls back to the rendered
+// feature; the result carries `layer`, `source` and `sourceLayer` of the rendered match. The map
+// is queried right away; only the merge is deferred. Options: { layerPolicy, merge }.
+// Resolves to the feature or null; rejects only when the merge is aborted (AbortError).
+export function mergeBuildingFeatureAtPoint(adapter, point, lngLat, options = {}) {
+  let found
+  try {
+    found = queryBuildingAtPoint(adapter, point, normalizeLayerPolicy(options.layerPolicy))
+  } catch (err) {
+    return Promise.reject(err)
+  }
+  if (!found) return Promise.resolve(null)
+  const { renderedBuilding, sourceFeatures } = found
+  if (!sourceFeatures) return Promise.resolve(renderedBuilding)
+  const merge = options.merge || mergeHere
+  return merge(sourceFeatures, lngLat, {})
+    .then((merged) => (merged ? withLayer(merged, renderedBuilding) : renderedBuilding))
+    .catch((err) => {
+      if (isAbort(err)) throw err
+      return renderedBuilding
+    })
+}
+
+// ── Validation: is the point inside the polygon (with a pointBufferM tolerance), and is the
+// polygon building-sized (≤ maxBuildingAreaM2) rather than a landuse/zone area? `pointBuffered`
+// is true when the point only passed thanks to the tolerance. `params` default to the constants. ──
+export function validateBuildingResult(geometry, lngLat, params = DEFAULT_EXTRACTION_PARAMS) {
+  const { pointBufferM, maxBuildingAreaM2 } = params
+  const pt = turf.point(toLngLatArray(lngLat))
+  let pointOk = false
+  let pointBuffered = false
+  let areaOk = true
+  if (geometry) {
+    try {
+      const feat = turf.feature(geometry)
+      // Direct check, then buffer check: is the point within pointBufferM of the polygon?
+      if (turf.booleanPointInPolygon(pt, feat)) {
+        pointOk = true
+      } else {
+        const buffered = turf.buffer(feat, pointBufferM, { units: 'meters' })
+        pointOk = !!(buffered && turf.booleanPointInPolygon(pt, buffered))
+        pointBuffered = pointOk
+      }
+    } catch (_) { }
+    try { areaOk = turf.area(turf.feature(geometry)) <= maxBuildingAreaM2 } catch (_) { }
+  }
+  return { pointOk, areaOk, pointBuffered }
+}
+
+// ── Building extraction ──
+// Runs the zoom cascade at the point. With `snap` enabled and no validated result there, looks
+// for the nearest building within the snap distance and runs the cascade again from just
+// inside it.
+// Options: { log, timing, layerPolicy, snap, params, merge, signal } — snap is true, a distance in
+// metres, or { maxDistanceM }; params are the extraction parameters or a preset (see params.js);
+// merge replaces the fragment merge (see mergeHere); signal is an AbortSignal.
+// timing(phase, ms, detail) receives per-phase durations: 'zoom' (one cascade attempt, detail
+// { zoom, found }), 'pass' (one expansion pass, { zoom, pass }) and 'union' (one fragment merge, { zoom }).
+// Resolves to { geojson, error, layer, diagnostics, snap } — never rejects, unless `signal` aborts:
+// then no further camera move or merge is started and the promise rejects with the signal's
+// reason (an AbortError by default). `layer` describes the style layer and source the building
+// was found in; `diagnostics` (see diagnostics.js) says how; `snap` is { from, to, distanceM,
+// bearing } when the result was snapped, else null.
+export function extractBuildingBoundary(adapter, lngLat, options = {}) {
+  const log = options.log || noop
+  const timing = options.timing || noop
+  let layerPolicy
+  let snap
+  let params
+  try {
+    layerPolicy = normalizeLayerPolicy(options.layerPolicy)
+    snap = normalizeSnapOption(options.snap)
+    params = normalizeExtractionParams(options.params)
+  } catch (err) {
+    return Promise.resolve({ geojson: null, error: err.message, layer: null, diagnostics: null, snap: null })
+  }
+
+  const { signal } = options
+  if (signal?.aborted) return Promise.reject(abortReason(signal))
+  const live = stopOnAbort(adapter, signal)
+  const merge = options.merge || mergeHere
+  const cascade = (point) => runCascade(live, point, { layerPolicy, params, log, timing, merge, signal })
+  const extraction = cascade(lngLat).then((result) => {
+    if (!snap || result.diagnostics?.validated) return { ...result, snap: null }
+
+    log(`No building at the point — snapping within ${snap.maxDistanceM}m`)
+    return snapToNearestBuilding(live, lngLat, { ...snap, layerPolicy }).then((nearest) => {
+      if (!nearest || nearest.distanceM === 0) {
+        log('✗ no building within the snap distance')
+        return { ...result, snap: null }
+      }
+      log(`Snapped ${nearest.distanceM}m at ${nearest.bearing}° — re-running from the nearest footprint`)
+      return cascade(nearest.target).then((snapped) => {
+        if (!snapped.geojson) return { ...result, snap: null }
+        const { from, to, distanceM, bearing } = nearest
+        return {
+          ...snapped,
+          diagnostics: buildDiagnostics({ ...snapped.diagnostics, snapped: true, snapDistanceM: distanceM }),
+          snap: { from, to, distanceM, bearing }
+        }
+      })
+    })
+  })
+  if (!signal) return extraction
+
+  let onAbort
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(abortReason(signal))
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
+  return Promise.race([extraction, aborted]).finally(() => signal.removeEventListener('abort', onAbort))
+}
+
+// ── Cascading zoom extraction ──
+// Flies the map through params.zoomCascade, at each zoom discovers the building under the point,
+// iteratively grows the query extent until the merged footprint converges, then validates
+// that the point is inside and the result is building-sized. Escalates to the next zoom
+// when validation fails.
+// Resolves to { geojson, error, layer, diagnostics } — never rejects.
+function runCascade(adapter, lngLat, { layerPolicy, params, log, timing, merge, signal }) {
+  const [lngNum, latNum] = toLngLatArray(lngLat)
+  const { zoomCascade, maxPasses, bboxGrowth, areaMultiplier, maxNeighborDistanceKm, maxBuildingAreaM2, multipart } = params
+
+  // ── Discover building at a given zoom, run iterative expansion, return result ──
+  const discoverAtZoom = (zoom, done) => {
+    log(`── Trying zoom ${zoom} ──`)
+    const started = now()
+    const onResult = (result) => {
+      timing('zoom', now() - started, { zoom, found: Boolean(result?.geometry) })
+      done(result)
+    }
+    adapter.flyTo({ center: [lngNum, latNum], zoom, duration: 400 })
+    adapter.onceIdle(() => {
+      setTimeout(() => {
+        // Find building at rendered level
+        const building = findRenderedBuilding(adapter, adapter.project([lngNum, latNum]), layerPolicy)
+        if (!building) {
+          onResult(null) // no building found at this zoom
+          return
+        }
+
+        const sourceId = building.source
+        const sourceLayer = building.sourceLayer
+        const workingFilter = findWorkingFilter(adapter, building)
+
+        if (!workingFilter) {
+          // No source query possible — use rendered feature directly (every part in multipart mode)
+          const geom = (!multipart && toSinglePolygon(building, [lngNum, latNum])) || building.geometry
+          const stats = { passes: 0, converged: true, seedMethod: 'rendered', fragments: 1, merged: 1 }
+          onResult(geom ? { feature: building, geometry: geom, layer: describeFeatureLayer(building), stats } : null)
+          return
+        }
+
+        // ── Iterative expansion at this zoom level ──
+        const layer = describeFeatureLayer(building)
+        let currentMerged = null
+        let currentGeom = building.geometry
+        let prevDiagonal = 0
+        let passNumber = 0
+        // How the current footprint was built (reported in the diagnostics)
+        const stats = { passes: 0, converged: false, seedMethod: null, fragments: 0, merged: 0, seams: 0 }
+        const finish = () => {
+          stats.passes = passNumber - 1 // fitBounds re-queries actually run
+          onResult(currentMerged ? { feature: currentMerged, geometry: currentGeom, layer, stats } : null)
+        }
+        // Resolves once the fragments are merged into the current footprint (a failed merge keeps it)
+        const mergeFragments = (sf, mergeOptions = {}) => {
+          if (!sf || sf.length === 0) return Promise.resolve()
+          const report = {}
+          const mergeStarted = now()
+          return merge(sf, [lngNum, latNum], {
+            areaMultiplier,
+            maxDistanceKm: maxNeighborDistanceKm,
+            maxBuildingAreaM2,
+            multipart,
+            tileGrid: adapter.tileZoom ? { zoom: adapter.tileZoom(sourceId) } : null,
+            ...mergeOptions,
+            report
+          }, { signal }).then((merged) => {
+            timing('union', now() - mergeStarted, { zoom })
+            if (!merged?.geometry) return
+            currentMerged = merged
+            currentGeom = merged.geometry
+            Object.assign(stats, { seedMethod: report.seedMethod, fragments: sf.length, merged: report.merged, seams: report.seams })
+          }, noop)
+        }
+
+        const querySource = () => {
+          try {
+            return adapter.querySourceFeatures(sourceId, { sourceLayer, filter: workingFilter })
+          } catch (_) {
+            return null
+          }
+        }
+
+        const runPass = () => {
+          passNumber++
+          if (!currentGeom || passNumber > maxPasses) {
+            finish()
+            return
+          }
+
+          const bboxGeo = turf.bbox(turf.feature(currentGeom))
+          const diagonal = turf.distance(
+            turf.point([bboxGeo[0], bboxGeo[1]]),
+            turf.point([bboxGeo[2], bboxGeo[3]]),
+            { units: 'kilometers' }
+          )
+
+          const growth = prevDiagonal > 0 ? (diagonal - prevDiagonal) / prevDiagonal : 1
+          if (passNumber > 1 && growth < bboxGrowth) {
+            log(`z${zoom} pass ${passNumber} — converged`)
+            stats.converged = true
+            finish()
+            return
+          }
+          prevDiagonal = diagonal
+
+          const adaptiveDistanceKm = Math.max(maxNeighborDistanceKm, diagonal * 2.0)
+          const adaptiveAreaMultiplier = Math.max(areaMultiplier, 10.0)
+
+          log(`z${zoom} pass ${passNumber} — fitBounds (diag=${diagonal.toFixed(3)}km)`)
+          const passStarted = now()
+          const pass = passNumber
+          adapter.fitBounds(
+            [[bboxGeo[0], bboxGeo[1]], [bboxGeo[2], bboxGeo[3]]],
+            { padding: 120, maxZoom: FLY_TO_ZOOM, duration: 300 }
+          )
+
+          adapter.onceIdle(() => {
+            setTimeout(() => {
+              mergeFragments(querySource(), { areaMultiplier: adaptiveAreaMultiplier, maxDistanceKm: adaptiveDistanceKm })
+                .then(() => {
+                  timing('pass', now() - passStarted, { zoom, pass })
+                  runPass()
+                })
+            }, SOURCE_QUERY_DELAY_MS)
+          })
+        }
+
+        // Initial discovery query at current zoom, then the passes
+        mergeFragments(querySource()).then(runPass)
+      }, SOURCE_QUERY_DELAY_MS)
+    })
+  }
+
+  // ── Cascading zoom: try each zoom level, validate, escalate if needed ──
+  return new Promise((resolve) => {
+    let zoomIndex = 0
+    let bestResult = null // keep the best result across zooms as fallback
+
+    const diagnose = (result, validation, validated) => buildDiagnostics({
+      zoom: result.zoom,
+      zoomsTried: zoomIndex,
+      ...result.stats,
+      pointInside: validation.pointOk && !validation.pointBuffered,
+      pointBuffered: validation.pointBuffered,
+      validated
+    })
+
+    const tryNextZoom = () => {
+      if (zoomIndex >= zoomCascade.length) {
+        // All zooms tried — use the best result we found (even if validation failed)
+        if (bestResult) {
+          log('All zooms tried — using best available result')
+          resolve({
+            geojson: buildGeoJSONFromFeature(bestResult.feature, bestResult.geometry),
+            error: null,
+            layer: bestResult.layer,
+            diagnostics: diagnose(bestResult, bestResult.validation, false)
+          })
+        } else {
+          resolve({ geojson: null, error: 'No building found at this location.', layer: null, diagnostics: null })
+        }
+        return
+      }
+
+      const zoom = zoomCascade[zoomIndex]
+      zoomIndex++
+
+      discoverAtZoom(zoom, (result) => {
+        if (!result || !result.geometry) {
+          log(`z${zoom} — no building found, trying next zoom`)
+          tryNextZoom()
+          return
+        }
+
+        // ── Validate: is the click point inside the extracted polygon? ──
+        const validation = validateBuildingResult(result.geometry, [lngNum, latNum], params)
+        const { pointOk, areaOk } = validation
+
+        // Keep as best result (higher zoom results are more precise)
+        bestResult = { ...result, zoom, validation }
+
+        if (pointOk && areaOk) {
+          log(`✓ z${zoom} — VALIDATED (point inside + building-sized) from layer ${result.layer?.id ?? '?'}`)
+          resolve({
+            geojson: buildGeoJSONFromFeature(result.feature, result.geometry),
+            error: null,
+            layer: result.layer,
+            diagnostics: diagnose(bestResult, validation, true)
+          })
+        } else {
+          const reason = !pointOk ? 'point NOT inside' : 'area too large (landuse/zone)'
+          log(`✗ z${zoom} — ${reason}, escalating...`)
+          if (!areaOk) bestResult = null
+          tryNextZoom()
+        }
+      })
+    }
+
+    tryNextZoom()
+  })
+}
@@ -0,0 +1,412 @@
+import { zipSync, strToU8 } from 'fflate'
+
+// ── Export formats ──
+// One converter for the UI download menu and the API's `format=` parameter. Input is a Feature,
+// a FeatureCollection or a bare Polygon/MultiPolygon; every format handles one or many features.
+// Not part of core/index.js: the headless engine page never exports, so its bundle stays small.
+//
+//   geojson    FeatureCollection (a single Feature stays a Feature)
+//   kml        one Placemark per feature, properties as ExtendedData (Google Earth)
+//   wkt        one WKT geometry per line
+//   wkb        one hex-encoded little-endian WKB geometry per line (PostGIS: decode(..., 'hex'))
+//   csv        id, properties, and a `wkt` geometry column
+//   shapefile  zipped .shp/.shx/.dbf/.prj/.cpg, WGS 84
+//   gpkg       GeoPackage (SQLite, via sql.js), one `buildings` feature table in EPSG:4326
+
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML (Google Earth)', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  wkt: { label: 'WKT', extension: 'wkt', mimeType: 'text/plain' },
+  wkb: { label: 'WKB (hex)', extension: 'wkb', mimeType: 'text/plain' },
+  csv: { label: 'CSV (WKT geometry)', extension: 'csv', mimeType: 'text/csv' },
+  shapefile: { label: 'Shapefile (zip)', extension: 'zip', mimeType: 'application/zip' },
+  gpkg: { label: 'GeoPackage', extension: 'gpkg', mimeType: 'application/geopackage+sqlite3' }
+}
+
+const WGS84_WKT =
+  'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],' +
+  'PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]]'
+
+// ── Input normalization ──
+export function toFeatureCollection(geojson) {
+  if (!geojson) return { type: 'FeatureCollection', features: [] }
+  if (geojson.type === 'FeatureCollection') return geojson
+  if (geojson.type === 'Feature') return { type: 'FeatureCollection', features: [geojson] }
+  return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: geojson }] }
+}
+
+// Polygon rings of a geometry as [[ring, ...holes], ...]
+function polygonsOf(geometry) {
+  if (geometry?.type === 'Polygon') return [geometry.coordinates]
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates
+  throw new Error(`Unsupported geometry type "${geometry?.type}" — only Polygon and MultiPolygon can be exported`)
+}
+
+const polygonalFeatures = (fc) =>
+  fc.features.filter((f) => f?.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon'))
+
+function bboxOf(features) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity]
+  for (const f of features) {
+    for (const poly of polygonsOf(f.geometry)) {
+      for (const [x, y] of poly[0]) {
+        if (x < box[0]) box[0] = x
+        if (y < box[1]) box[1] = y
+        if (x > box[2]) box[2] = x
+        if (y > box[3]) box[3] = y
+      }
+    }
+  }
+  return box
+}
+
+// Attribute table shared by CSV / KML / DBF / GeoPackage: `id` (when any feature has one) plus
+// every property key; nested values (layer, centroid, …) are JSON-encoded.
+function attributeTable(features) {
+  const keys = []
+  const seen = new Set()
+  if (features.some((f) => f.id != null)) {
+    keys.push('id')
+    seen.add('id')
+  }
+  for (const f of features) {
+    for (const key of Object.keys(f.properties || {})) {
+      if (!seen.has(key)) {
+        seen.add(key)
+        keys.push(key)
+      }
+    }
+  }
+  const rows = features.map((f) => keys.map((key) => {
+    const value = key === 'id' && f.id != null ? f.id : f.properties?.[key]
+    if (value == null) return null
+    return typeof value === 'object' ? JSON.stringify(value) : value
+  }))
+  return { keys, rows }
+}
+
+// ── WKT ──
+const wktRing = (ring) => `(${ring.map(([x, y]) => `${x} ${y}`).join(', ')})`
+const wktPolygon = (rings) => `(${rings.map(wktRing).join(', ')})`
+
+export function geometryToWKT(geometry) {
+  if (geometry.type === 'Polygon') return `POLYGON ${wktPolygon(geometry.coordinates)}`
+  return `MULTIPOLYGON (${polygonsOf(geometry).map(wktPolygon).join(', ')})`
+}
+
+// ── WKB (little-endian, 2D) ──
+export function geometryToWKB(geometry) {
+  const polygons = polygonsOf(geometry)
+  const isMulti = geometry.type === 'MultiPolygon'
+  const polygonSize = (rings) => 9 + rings.reduce((sum, ring) => sum + 4 + ring.length * 16, 0)
+  const size = (isMulti ? 9 : 0) + polygons.reduce((sum, rings) => sum + polygonSize(rings), 0)
+  const view = new DataView(new ArrayBuffer(size))
+  let o = 0
+  const header = (type, count) => {
+    view.setUint8(o, 1)
+    view.setUint32(o + 1, type, true)
+    view.setUint32(o + 5, count, true)
+    o += 9
+  }
+  if (isMulti) header(6, polygons.length)
+  for (const rings of polygons) {
+    header(3, rings.length)
+    for (const ring of rings) {
+      view.setUint32(o, ring.length, true)
+      o += 4
+      for (const [x, y] of ring) {
+        view.setFloat64(o, x, true)
+        view.setFloat64(o + 8, y, true)
+        o += 16
+      }
+    }
+  }
+  return new Uint8Array(view.buffer)
+}
+
+const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('')
+
+// ── CSV ──
+function csvCell(value) {
+  if (value == null) return ''
+  const s = String(value)
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+function toCSV(features) {
+  const { keys, rows } = attributeTable(features)
+  const lines = [[...keys, 'wkt'].map(csvCell).join(',')]
+  features.forEach((f, i) => lines.push([...rows[i], geometryToWKT(f.geometry)].map(csvCell).join(',')))
+  return lines.join('\r\n') + '\r\n'
+}
+
+// ── KML ──
+const xml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+const kmlRing = (ring) => `<LinearRing><coordinates>${ring.map(([x, y]) => `${x},${y}`).join(' ')}</coordinates></LinearRing>`
+const kmlPolygon = ([outer, ...holes]) =>
+  `<Polygon><outerBoundaryIs>${kmlRing(outer)}</outerBoundaryIs>` +
+  holes.map((h) => `<innerBoundaryIs>${kmlRing(h)}</innerBoundaryIs>`).join('') +
+  '</Polygon>'
+
+function toKML(features, name) {
+  const { keys, rows } = attributeTable(features)
+  const placemarks = features.map((f, i) => {
+    const polygons = polygonsOf(f.geometry)
+    const geometry = polygons.length === 1
+      ? kmlPolygon(polygons[0])
+      : `<MultiGeometry>${polygons.map(kmlPolygon).join('')}</MultiGeometry>`
+    const data = keys
+      .map((key, k) => (rows[i][k] == null ? '' : `<Data name="${xml(key)}"><value>${xml(rows[i][k])}</value></Data>`))
+      .join('')
+    return `<Placemark><name>${xml(f.id ?? `Building ${i + 1}`)}</name>` +
+      (data ? `<ExtendedData>${data}</ExtendedData>` : '') + `${geometry}</Placemark>`
+  })
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>${xml(name)}</name>\n` +
+    placemarks.join('\n') + '\n</Document></kml>\n'
+}
+
+// ── Shapefile (polygon, type 5) ──
+// Shapefile rings run clockwise for outer boundaries and counter-clockwise for holes — the
+// opposite of GeoJSON — so rings are re-oriented by signed area.
+const signedArea = (ring) => {
+  let sum = 0
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) sum += (ring[i][0] - ring[j][0]) * (ring[i][1] + ring[j][1])
+  return sum / 2 // > 0 → clockwise
+}
+
+function shapeParts(geometry) {
+  const parts = []
+  for (const rings of polygonsOf(geometry)) {
+    rings.forEach((ring, r) => {
+      const clockwise = signedArea(ring) > 0
+      parts.push((r === 0) === clockwise ? ring : [...ring].reverse())
+    })
+  }
+  return parts
+}
+
+function writeShpShx(features) {
+  const records = features.map((f) => {
+    const parts = shapeParts(f.geometry)
+    const points = parts.flat()
+    return { parts, points, contentBytes: 44 + 4 * parts.length + 16 * points.length, box: bboxOf([f]) }
+  })
+  const shpBytes = 100 + records.reduce((sum, r) => sum + 8 + r.contentBytes, 0)
+  const shxBytes = 100 + 8 * records.length
+  const shp = new DataView(new ArrayBuffer(shpBytes))
+  const shx = new DataView(new ArrayBuffer(shxBytes))
+  const box = features.length > 0 ? bboxOf(features) : [0, 0, 0, 0]
+
+  for (const [view, bytes] of [[shp, shpBytes], [shx, shxBytes]]) {
+    view.setInt32(0, 9994)
+    view.setInt32(24, bytes / 2)
+    view.setInt32(28, 1000, true)
+    view.setInt32(32, 5, true)
+    box.forEach((v, i) => view.setFloat64(36 + i * 8, v, true))
+  }
+
+  let o = 100
+  records.forEach((r, i) => {
+    shx.setInt32(100 + i * 8, o / 2)
+    shx.setInt32(104 + i * 8, r.contentBytes / 2)
+    shp.setInt32(o, i + 1)
+    shp.setInt32(o + 4, r.contentBytes / 2)
+    o += 8
+    shp.setInt32(o, 5, true)
+    r.box.forEach((v, k) => shp.setFloat64(o + 4 + k * 8, v, true))
+    shp.setInt32(o + 36, r.parts.length, true)
+    shp.setInt32(o + 40, r.points.length, true)
+    o += 44
+    let start = 0
+    for (const part of r.parts) {
+      shp.setInt32(o, start, true)
+      o += 4
+      start += part.length
+    }
+    for (const [x, y] of r.points) {
+      shp.setFloat64(o, x, true)
+      shp.setFloat64(o + 8, y, true)
+      o += 16
+    }
+  })
+  return { shp: new Uint8Array(shp.buffer), shx: new Uint8Array(shx.buffer) }
+}
+
+// dBASE III table: numeric columns as N, everything else as C (UTF-8, see the .cpg)
+function writeDbf(features) {
+  let { keys, rows } = attributeTable(features)
+  if (keys.length === 0) {
+    keys = ['fid']
+    rows = features.map((_, i) => [i + 1])
+  }
+  const encoder = new TextEncoder()
+  const usedNames = new Set()
+  const fields = keys.map((key, k) => {
+    const values = rows.map((row) => row[k]).filter((v) => v != null)
+    const numeric = values.length > 0 && values.every((v) => typeof v === 'number' && Number.isFinite(v))
+    let name = key.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10) || `field${k}`
+    for (let n = 1; usedNames.has(name.toUpperCase()); n++) name = `${name.slice(0, 10 - String(n).length)}${n}`
+    usedNames.add(name.toUpperCase())
+    if (numeric) {
+      const decimals = values.every(Number.isInteger) ? 0 : 8
+      return { name, type: 'N', length: 19, decimals, format: (v) => v.toFixed(decimals).padStart(19).slice(-19) }
+    }
+    const length = Math.min(254, Math.max(1, ...values.map((v) => encoder.encode(String(v)).length)))
+    return { name, type: 'C', length, decimals: 0, format: (v) => String(v) }
+  })
+
+  const headerBytes = 32 + 32 * fields.length + 1
+  const recordBytes = 1 + fields.reduce((sum, f) => sum + f.length, 0)
+  const bytes = new Uint8Array(headerBytes + recordBytes * rows.length + 1)
+  const view = new DataView(bytes.buffer)
+  const now = new Date()
+  bytes[0] = 0x03
+  bytes[1] = now.getFullYear() - 1900
+  bytes[2] = now.getMonth() + 1
+  bytes[3] = now.getDate()
+  view.setUint32(4, rows.length, true)
+  view.setUint16(8, headerBytes, true)
+  view.setUint16(10, recordBytes, true)
+  fields.forEach((f, i) => {
+    const o = 32 + i * 32
+    bytes.set(encoder.encode(f.name), o)
+    bytes[o + 11] = f.type.charCodeAt(0)
+    bytes[o + 16] = f.length
+    bytes[o + 17] = f.decimals
+  })
+  bytes[headerBytes - 1] = 0x0d
+
+  rows.forEach((row, r) => {
+    let o = headerBytes + r * recordBytes
+    bytes.fill(0x20, o, o + recordBytes) // not deleted, space-padded
+    o += 1
+    fields.forEach((f, k) => {
+      if (row[k] != null) bytes.set(encoder.encode(f.format(row[k])).slice(0, f.length), o)
+      o += f.length
+    })
+  })
+  bytes[bytes.length - 1] = 0x1a
+  return bytes
+}
+
+function toShapefileZip(features, name) {
+  const { shp, shx } = writeShpShx(features)
+  return zipSync({
+    [`${name}.shp`]: shp,
+    [`${name}.shx`]: shx,
+    [`${name}.dbf`]: writeDbf(features),
+    [`${name}.prj`]: strToU8(WGS84_WKT),
+    [`${name}.cpg`]: strToU8('UTF-8')
+  })
+}
+
+// ── GeoPackage ──
+// GeoPackageBinary geometry: 'GP' header with SRS id and xy envelope, followed by WKB
+function toGeoPackageGeometry(geometry) {
+  const wkb = geometryToWKB(geometry)
+  const out = new Uint8Array(8 + 32 + wkb.length)
+  const view = new DataView(out.buffer)
+  out[0] = 0x47 // 'G'
+  out[1] = 0x50 // 'P'
+  out[2] = 0    // version
+  out[3] = 0b011 // little-endian, xy envelope
+  view.setInt32(4, 4326, true)
+  const [minX, minY, maxX, maxY] = bboxOf([{ geometry }])
+  ;[minX, maxX, minY, maxY].forEach((v, i) => view.setFloat64(8 + i * 8, v, true))
+  out.set(wkb, 40)
+  return out
+}
+
+async function toGeoPackage(features, name, sqlJsConfig) {
+  const { default: initSqlJs } = await import('sql.js')
+  const SQL = await initSqlJs(sqlJsConfig)
+  const db = new SQL.Database()
+  try {
+    const { keys, rows } = attributeTable(features)
+    const columns = keys.map((key, k) => {
+      const values = rows.map((row) => row[k]).filter((v) => v != null)
+      const numeric = values.length > 0 && values.every((v) => typeof v === 'number')
+      const type = numeric ? (values.every(Number.isInteger) ? 'INTEGER' : 'REAL') : 'TEXT'
+      return { name: key === 'fid' || key === 'geom' ? `${key}_` : key, type }
+    })
+    const types = new Set(features.map((f) => f.geometry.type))
+    const geometryType = types.size === 1 ? [...types][0].toUpperCase() : 'GEOMETRY'
+    const box = features.length > 0 ? bboxOf(features) : [null, null, null, null]
+    const q = (id) => `"${String(id).replace(/"/g, '""')}"`
+
+    db.run(`
+      PRAGMA application_id = 1196444487;
+      PRAGMA user_version = 10300;
+      CREATE TABLE gpkg_spatial_ref_sys (
+        srs_name TEXT NOT NULL, srs_id INTEGER NOT NULL PRIMARY KEY, organization TEXT NOT NULL,
+        organization_coordsys_id INTEGER NOT NULL, definition TEXT NOT NULL, description TEXT);
+      CREATE TABLE gpkg_contents (
+        table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL, identifier TEXT UNIQUE,
+        description TEXT DEFAULT '', last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+        min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE,
+        srs_id INTEGER REFERENCES gpkg_spatial_ref_sys(srs_id));
+      CREATE TABLE gpkg_geometry_columns (
+        table_name TEXT NOT NULL, column_name TEXT NOT NULL, geometry_type_name TEXT NOT NULL,
+        srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL,
+        PRIMARY KEY (table_name, column_name));
+    `)
+    db.run('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)',
+      ['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', null])
+    db.run('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)',
+      ['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', null])
+    db.run('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)',
+      ['WGS 84 geodetic', 4326, 'EPSG', 4326, WGS84_WKT, 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid'])
+    db.run(`CREATE TABLE ${q(name)} (fid INTEGER PRIMARY KEY AUTOINCREMENT, geom ${geometryType}` +
+      columns.map((c) => `, ${q(c.name)} ${c.type}`).join('') + ')')
+    db.run('INSERT INTO gpkg_contents (table_name, data_type, identifier, min_x, min_y, max_x, max_y, srs_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [name, 'features', name, ...box, 4326])
+    db.run('INSERT INTO gpkg_geometry_columns VALUES (?, ?, ?, ?, ?, ?)', [name, 'geom', geometryType, 4326, 0, 0])
+
+    const insert = db.prepare(`INSERT INTO ${q(name)} (geom${columns.map((c) => `, ${q(c.name)}`).join('')}) ` +
+      `VALUES (?${columns.map(() => ', ?').join('')})`)
+    features.forEach((f, i) => insert.run([toGeoPackageGeometry(f.geometry), ...rows[i]]))
+    insert.free()
+    return db.export()
+  } finally {
+    db.close()
+  }
+}
+
+// ── Entry point ──
+// Options: { name, sqlJsConfig } — name is the layer / file stem (default 'buildings');
+// sqlJsConfig goes to initSqlJs (the browser passes locateFile for the .wasm).
+// Resolves to { data, mimeType, extension, filename }; data is a string or a Uint8Array.
+export async function exportGeoJSON(geojson, format, options = {}) {
+  const spec = EXPORT_FORMATS[format]
+  if (!spec) throw new Error(`Unknown format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+  const name = options.name || 'buildings'
+  const fc = toFeatureCollection(geojson)
+  const features = polygonalFeatures(fc)
+
+  let data
+  switch (format) {
+    case 'geojson':
+      data = JSON.stringify(geojson?.type === 'Feature' ? geojson : fc, null, 2)
+      break
+    case 'kml':
+      data = toKML(features, name)
+      break
+    case 'wkt':
+      data = features.map((f) => geometryToWKT(f.geometry)).join('\n') + '\n'
+      break
+    case 'wkb':
+      data = features.map((f) => toHex(geometryToWKB(f.geometry))).join('\n') + '\n'
+      break
+    case 'csv':
+      data = toCSV(features)
+      break
+    case 'shapefile':
+      data = toShapefileZip(features, name)
+      break
+    case 'gpkg':
+      data = await toGeoPackage(features, name, options.sqlJsConfig)
+      break
+  }
+  return { data, mimeType: spec.mimeType, extension: spec.extension, filename: `${name}.${spec.extension}` }
+}
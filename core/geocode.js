@@ -0,0 +1,170 @@
+// ── Address geocoding ──
+// Turns a street address into the point the extraction cascade starts from. Every geocoder has
+// the same shape, so the UI and the API can swap providers through configuration:
+//
+//   { name, geocode(address, { signal }) → Promise<GeocodeResult | null> }   (null = no match)
+//
+//   GeocodeResult  { lat, lng, label, quality: { provider, score, matchType } }
+//     score      0–1 match quality as reported by the provider (see each implementation)
+//     matchType  the provider's own type for the match, e.g. 'address', 'street', 'house'
+//
+// Implementations: MapTiler geocoding, any Nominatim-compatible /search endpoint (self-hosted
+// Nominatim, Photon's Nominatim mode, …), and an in-memory address table loaded from CSV.
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits
+
+async function fetchJson(fetchFn, url, options) {
+  const res = await fetchFn(url, options)
+  if (!res.ok) throw new Error(`Geocoder request failed: HTTP ${res.status}`)
+  return res.json()
+}
+
+const checkAddress = (address) => {
+  const query = String(address ?? '').trim()
+  if (!query) throw new Error('Address is empty')
+  return query
+}
+
+// MapTiler Geocoding API. score = the feature's `relevance`.
+export function createMaptilerGeocoder({ apiKey, baseUrl = 'https://api.maptiler.com/geocoding', fetch: fetchFn = globalThis.fetch } = {}) {
+  if (!apiKey) throw new Error('MapTiler geocoder needs an API key')
+  return {
+    name: 'maptiler',
+    async geocode(address, { signal } = {}) {
+      const query = checkAddress(address)
+      const url = `${baseUrl}/${encodeURIComponent(query)}.json?key=${encodeURIComponent(apiKey)}&limit=1`
+      const data = await fetchJson(fetchFn, url, { signal })
+      const feature = data?.features?.[0]
+      if (!feature?.center) return null
+      return {
+        lat: feature.center[1],
+        lng: feature.center[0],
+        label: feature.place_name || query,
+        quality: {
+          provider: 'maptiler',
+          score: round(feature.relevance ?? 0),
+          matchType: feature.place_type?.[0] || null
+        }
+      }
+    }
+  }
+}
+
+// Nominatim-compatible `/search?format=jsonv2`. Nominatim has no relevance score, so
+// score = place_rank / 30: 1 for a house/building-level match, lower for streets and areas.
+export function createNominatimGeocoder({ url, headers = {}, fetch: fetchFn = globalThis.fetch } = {}) {
+  if (!url) throw new Error('Nominatim geocoder needs a URL')
+  const base = url.replace(/\/(search\/?)?$/, '')
+  return {
+    name: 'nominatim',
+    async geocode(address, { signal } = {}) {
+      const query = checkAddress(address)
+      const data = await fetchJson(fetchFn, `${base}/search?q=${encodeURIComponent(query)}&format=jsonv2&limit=1`, { headers, signal })
+      const place = Array.isArray(data) ? data[0] : null
+      if (!place) return null
+      return {
+        lat: parseFloat(place.lat),
+        lng: parseFloat(place.lon),
+        label: place.display_name || query,
+        quality: {
+          provider: 'nominatim',
+          score: round(Math.min(1, (place.place_rank ?? 0) / 30)),
+          matchType: place.addresstype || place.type || null
+        }
+      }
+    }
+  }
+}
+
+// ── Local address table ──
+const normalizeAddress = (address) =>
+  String(address).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()
+const tokens = (address) => new Set(normalizeAddress(address).split(' ').filter(Boolean))
+
+// Rows of { address, lat, lng }. score = token overlap (Jaccard) between query and address;
+// matchType 'exact' when the normalized strings are equal. Matches below minScore are dropped.
+export function createTableGeocoder(rows, { minScore = 0.5 } = {}) {
+  const entries = rows.map((row) => ({ ...row, key: normalizeAddress(row.address), tokens: tokens(row.address) }))
+  return {
+    name: 'table',
+    async geocode(address) {
+      const query = checkAddress(address)
+      const key = normalizeAddress(query)
+      const wanted = tokens(query)
+      let best = null
+      for (const entry of entries) {
+        const shared = [...wanted].filter((t) => entry.tokens.has(t)).length
+        const score = entry.key === key ? 1 : shared / (wanted.size + entry.tokens.size - shared)
+        if (!best || score > best.score) best = { entry, score }
+      }
+      if (!best || best.score < minScore) return null
+      return {
+        lat: best.entry.lat,
+        lng: best.entry.lng,
+        label: best.entry.address,
+        quality: {
+          provider: 'table',
+          score: round(best.score),
+          matchType: best.score === 1 ? 'exact' : 'fuzzy'
+        }
+      }
+    }
+  }
+}
+
+// One CSV line → fields; handles quoted fields with commas and "" escapes
+function splitCsvLine(line) {
+  const fields = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i]
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (c === '"') quoted = false
+      else field += c
+    } else if (c === '"') quoted = true
+    else if (c === ',') {
+      fields.push(field.trim())
+      field = ''
+    } else field += c
+  }
+  fields.push(field.trim())
+  return fields
+}
+
+// CSV with a header row naming an address column and lat / lng (or latitude / lon / longitude)
+export function parseAddressCsv(text) {
+  const lines = String(text).split(/\r?\n/).filter((l) => l.trim() && !l.startsWith('#'))
+  if (lines.length === 0) return []
+  const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase())
+  const col = (names) => header.findIndex((h) => names.includes(h))
+  const addressCol = col(['address', 'addr', 'query'])
+  const latCol = col(['lat', 'latitude'])
+  const lngCol = col(['lng', 'lon', 'long', 'longitude'])
+  if (addressCol < 0 || latCol < 0 || lngCol < 0) throw new Error('Address CSV needs address, lat and lng columns')
+
+  return lines.slice(1).map((line, i) => {
+    const fields = splitCsvLine(line)
+    const lat = parseFloat(fields[latCol])
+    const lng = parseFloat(fields[lngCol])
+    if (!fields[addressCol] || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      throw new Error(`Invalid address row at line ${i + 2}`)
+    }
+    return { address: fields[addressCol], lat, lng }
+  })
+}
+
+// Config → geocoder: { provider: 'maptiler', apiKey } | { provider: 'nominatim', url }
+// | { provider: 'csv', csv: <text> } | { provider: 'table', rows }
+export function createGeocoder({ provider, ...config }) {
+  switch (provider) {
+    case 'maptiler': return createMaptilerGeocoder(config)
+    case 'nominatim': return createNominatimGeocoder(config)
+    case 'csv': return createTableGeocoder(parseAddressCsv(config.csv), config)
+    case 'table': return createTableGeocoder(config.rows, config)
+    default: throw new Error(`Unknown geocoder "${provider}". Use maptiler, nominatim or csv`)
+  }
+}
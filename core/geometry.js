@@ -0,0 +1,120 @@
+import * as turf from '@turf/turf'
+
+// Ray-casting: is point [lng, lat] inside polygon ring (array of [lng, lat])?
+export function pointInRing(point, ring) {
+  const [x, y] = point
+  let inside = false
+  const n = ring.length
+  for (let i = 0, j = n - 1; i < n; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside
+  }
+  return inside
+}
+
+// Normalize a MapLibre LngLat, { lng, lat } object or [lng, lat] array to [lng, lat]
+export function toLngLatArray(lngLat) {
+  return Array.isArray(lngLat) ? lngLat : [lngLat.lng, lngLat.lat]
+}
+
+// Local equirectangular projection in metres around an origin [lng, lat] — accurate enough at
+// building scale. Returns { toXY([lng, lat]) → [x, y], toLngLat([x, y]) → [lng, lat] }.
+export function localProjection([lng0, lat0]) {
+  const kx = 111_320 * Math.cos((lat0 * Math.PI) / 180)
+  const ky = 110_540
+  return {
+    toXY: ([lng, lat]) => [(lng - lng0) * kx, (lat - lat0) * ky],
+    toLngLat: ([x, y]) => [lng0 + x / kx, lat0 + y / ky]
+  }
+}
+
+// Get a single Polygon from feature at the given lngLat. MultiPolygon → one polygon containing the point.
+export function toSinglePolygon(feature, lngLat) {
+  if (!feature?.geometry) return null
+  const { type, coordinates } = feature.geometry
+  const [lng, lat] = toLngLatArray(lngLat)
+
+  if (type === 'Polygon') {
+    return { type: 'Polygon', coordinates }
+  }
+  if (type === 'MultiPolygon') {
+    const point = [lng, lat]
+    for (const polygon of coordinates) {
+      const exteriorRing = polygon[0]
+      if (exteriorRing?.length && pointInRing(point, exteriorRing)) {
+        return { type: 'Polygon', coordinates: polygon }
+      }
+    }
+    return { type: 'Polygon', coordinates: coordinates[0] }
+  }
+  return null
+}
+
+export function buildGeoJSONFromFeature(feature, geometry) {
+  if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) return null
+  return {
+    type: 'Feature',
+    properties: feature.properties || {},
+    geometry
+  }
+}
+
+// Area and role of each part of a footprint, in part order: the first part is the 'seed' (the
+// part at the extraction point, see pickOrMergeSourceFeatures' multipart mode), the rest are
+// 'neighbour' parts. Returns [{ role, area_m2 }].
+export function summarizeParts(geometry) {
+  const parts = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates]
+  return parts.map((coords, i) => {
+    let area = 0
+    try { area = turf.area(turf.polygon(coords)) } catch (_) { }
+    return { role: i === 0 ? 'seed' : 'neighbour', area_m2: Math.round(area * 10) / 10 }
+  })
+}
+
+// Count coordinate pairs in a geometry (for choosing "most detailed" feature)
+export function countCoords(geometry) {
+  if (!geometry || !geometry.coordinates) return 0
+  const c = geometry.coordinates
+  if (geometry.type === 'Polygon') return (c[0] && c[0].length) || 0
+  if (geometry.type === 'MultiPolygon') {
+    return c.reduce((sum, poly) => sum + ((poly[0] && poly[0].length) || 0), 0)
+  }
+  return 0
+}
+
+// Extract flat list of polygon coordinate arrays from features (Polygon or MultiPolygon).
+// Returns { coords, turfPolys, sources } so we can reuse Turf polygon objects and avoid reference
+// ambiguity; sources[i] is the index of the feature polygon i came from.
+export function extractPolygonCoords(features) {
+  const coords = []
+  const turfPolys = []
+  const sources = []
+  for (const [index, f] of features.entries()) {
+    if (!f?.geometry?.coordinates) continue
+    const { type, coordinates } = f.geometry
+    if (type === 'Polygon' && coordinates[0]?.length) {
+      sources.push(index)
+      try {
+        coords.push(coordinates)
+        turfPolys.push(turf.polygon(coordinates))
+      } catch (_) {
+        coords.push(coordinates)
+        turfPolys.push(null)
+      }
+    } else if (type === 'MultiPolygon' && Array.isArray(coordinates)) {
+      for (const polygonCoords of coordinates) {
+        if (!polygonCoords?.[0]?.length) continue
+        sources.push(index)
+        try {
+          coords.push(polygonCoords)
+          turfPolys.push(turf.polygon(polygonCoords))
+        } catch (_) {
+          coords.push(polygonCoords)
+          turfPolys.push(null)
+        }
+      }
+    }
+  }
+  return { coords, turfPolys, sources }
+}
@@ -0,0 +1,58 @@
+// ── Building extraction core ──
+// Framework-agnostic extraction logic shared by the React app (imported directly) and the
+// headless engine (bundled by `npm run build:engine` and injected into the Puppeteer page).
+
+export * from './constants.js'
+export * from './geometry.js'
+export { pickOrMergeSourceFeatures } from './merge.js'
+export { stitchTileSeams } from './seams.js'
+export {
+  DEFAULT_EXTRACTION_PARAMS,
+  EXTRACTION_PRESETS,
+  EXTRACTION_PARAM_KEYS,
+  normalizeExtractionParams
+} from './params.js'
+export { buildDiagnostics } from './diagnostics.js'
+export { computeBuildingMetrics, minimumRotatedRectangle } from './metrics.js'
+export {
+  POST_PROCESS_STEPS,
+  normalizePostProcessOptions,
+  postProcessGeometry,
+  postProcessFeature
+} from './postprocess.js'
+export { normalizeSnapOption, findNearestBuilding, snapToNearestBuilding } from './snap.js'
+export {
+  toParts,
+  fromParts,
+  moveVertex,
+  insertVertex,
+  deleteVertex,
+  partAt,
+  deletePart,
+  splitGeometry,
+  unionGeometries,
+  mergeParts,
+  editHandles,
+  markManualEdit,
+  createEditHistory
+} from './edit.js'
+export { createMaplibreAdapter } from './map-adapter.js'
+export {
+  DEFAULT_LAYER_POLICY,
+  normalizeLayerPolicy,
+  matchesLayerPolicy,
+  selectBuildingFeature,
+  describeFeatureLayer
+} from './layer-policy.js'
+export {
+  findRenderedBuilding,
+  mergeBuildingFeatureAtPoint,
+  validateBuildingResult,
+  extractBuildingBoundary
+} from './extract.js'
+export { parsePoints, parseJsonPoints, parseDelimitedPoints, parsePointList } from './points.js'
+export {
+  normalizeSelectionArea,
+  collectBuildingsInArea,
+  extractBuildingsInArea
+} from './area.js'
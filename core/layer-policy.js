@@ -0,0 +1,116 @@
+// ── Building layer selection policy ──
+// Decides which rendered / decoded features count as building footprints. A feature is
+// accepted when its geometry is polygonal, it matches at least one layer selector
+// (source layer, exact style layer id, or layer id substring — empty lists are ignored;
+// all empty = any polygon layer), and it passes the property predicates.
+// Candidates are ranked by `priority` (source layers or style layer ids, best first),
+// then by render order (queryRenderedFeatures returns topmost first).
+//
+//   sourceLayers       ['building']           vector source layers to accept
+//   layerIds           ['Building']           exact style layer ids to accept
+//   layerIdIncludes    ['building']           case-insensitive substrings of the style layer id
+//   properties         { class: ['house'] }   every key must have one of the listed values
+//   excludeProperties  { type: 'parking' }    reject when any key has one of the listed values
+//   priority           ['building']           ranking of source layers / layer ids
+
+export const DEFAULT_LAYER_POLICY = {
+  sourceLayers: ['building'],
+  layerIds: [],
+  layerIdIncludes: ['building'],
+  properties: {},
+  excludeProperties: {},
+  priority: ['building']
+}
+
+const LIST_KEYS = ['sourceLayers', 'layerIds', 'layerIdIncludes', 'priority']
+const PREDICATE_KEYS = ['properties', 'excludeProperties']
+
+// Merge a partial policy over the defaults; throws on malformed input
+export function normalizeLayerPolicy(policy = {}) {
+  if (policy === null || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('Layer policy must be an object')
+  }
+  const out = { ...DEFAULT_LAYER_POLICY }
+  for (const key of Object.keys(policy)) {
+    if (!LIST_KEYS.includes(key) && !PREDICATE_KEYS.includes(key)) {
+      throw new Error(`Unknown layer policy key "${key}"`)
+    }
+  }
+  for (const key of LIST_KEYS) {
+    if (policy[key] === undefined) continue
+    if (!Array.isArray(policy[key]) || policy[key].some((v) => typeof v !== 'string')) {
+      throw new Error(`Layer policy "${key}" must be an array of strings`)
+    }
+    out[key] = [...policy[key]]
+  }
+  for (const key of PREDICATE_KEYS) {
+    if (policy[key] === undefined) continue
+    if (policy[key] === null || typeof policy[key] !== 'object' || Array.isArray(policy[key])) {
+      throw new Error(`Layer policy "${key}" must be an object of property → value(s)`)
+    }
+    out[key] = Object.fromEntries(
+      Object.entries(policy[key]).map(([k, v]) => [k, Array.isArray(v) ? v : [v]])
+    )
+  }
+  return out
+}
+
+const isPolygonal = (f) =>
+  f?.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
+
+function matchesLayer(f, policy) {
+  const { sourceLayers, layerIds, layerIdIncludes } = policy
+  if (sourceLayers.length === 0 && layerIds.length === 0 && layerIdIncludes.length === 0) return true
+  const layerId = f.layer?.id
+  if (f.sourceLayer != null && sourceLayers.includes(f.sourceLayer)) return true
+  if (layerId != null && layerIds.includes(layerId)) return true
+  const lower = layerId?.toLowerCase()
+  return lower != null && layerIdIncludes.some((s) => lower.includes(s.toLowerCase()))
+}
+
+function matchesProperties(f, policy) {
+  const props = f.properties || {}
+  for (const [key, allowed] of Object.entries(policy.properties)) {
+    if (!allowed.includes(props[key])) return false
+  }
+  for (const [key, rejected] of Object.entries(policy.excludeProperties)) {
+    if (rejected.includes(props[key])) return false
+  }
+  return true
+}
+
+export function matchesLayerPolicy(feature, policy = DEFAULT_LAYER_POLICY) {
+  return !!isPolygonal(feature) && matchesLayer(feature, policy) && matchesProperties(feature, policy)
+}
+
+// Rank of a feature in policy.priority (lower is better; unlisted features come last)
+function priorityRank(f, policy) {
+  const i = policy.priority.findIndex((p) => p === f.sourceLayer || p === f.layer?.id)
+  return i === -1 ? policy.priority.length : i
+}
+
+// Best building candidate among features, or null
+export function selectBuildingFeature(features, policy = DEFAULT_LAYER_POLICY) {
+  let best = null
+  let bestRank = Infinity
+  for (const f of features) {
+    if (!matchesLayerPolicy(f, policy)) continue
+    const rank = priorityRank(f, policy)
+    if (rank < bestRank) {
+      best = f
+      bestRank = rank
+    }
+  }
+  return best
+}
+
+// Which style layer / source a feature came from (reported alongside results)
+export function describeFeatureLayer(feature) {
+  if (!feature) return null
+  return {
+    id: feature.layer?.id ?? null,
+    type: feature.layer?.type ?? null,
+    source: feature.source ?? null,
+    sourceLayer: feature.sourceLayer ?? null
+  }
+}
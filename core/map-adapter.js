@@ -0,0 +1,25 @@
+// ── Map adapter ──
+// The extraction pipeline only talks to the map through this small surface, so the same
+// code runs against the React app's map and the headless Puppeteer page (and can be
+// driven by a fake map in scripts). Every method mirrors the MapLibre call of the same name.
+//
+//   project(lngLat)                          → { x, y } screen point
+//   queryRenderedFeatures(bboxPx)            → rendered features in a pixel bbox
+//   querySourceFeatures(sourceId, params)    → source features ({ sourceLayer, filter })
+//   flyTo(options) / fitBounds(bounds, opts) → camera moves
+//   onceIdle(callback)                       → callback once the map has finished rendering
+//   tileZoom(sourceId)                       → zoom of the tiles querySourceFeatures reads from
+//                                              (optional — used to stitch tile seams)
+
+export function createMaplibreAdapter(map) {
+  return {
+    project: (lngLat) => map.project(lngLat),
+    queryRenderedFeatures: (bboxPx) => map.queryRenderedFeatures(bboxPx),
+    querySourceFeatures: (sourceId, params) => map.querySourceFeatures(sourceId, params),
+    flyTo: (options) => map.flyTo(options),
+    fitBounds: (bounds, options) => map.fitBounds(bounds, options),
+    onceIdle: (callback) => map.once('idle', callback),
+    // Overzoomed tiles reuse the source's maxzoom tiles, clipped on that grid
+    tileZoom: (sourceId) => Math.min(Math.floor(map.getZoom()), map.getSource(sourceId)?.maxzoom ?? Infinity)
+  }
+}
@@ -0,0 +1,311 @@
+import * as turf from '@turf/turf'
+import { AREA_MULTIPLIER, MAX_NEIGHBOR_DISTANCE_KM, MAX_BUILDING_AREA_SQM } from './constants.js'
+import { pointInRing, toLngLatArray, extractPolygonCoords, summarizeParts } from './geometry.js'
+import { stitchTileSeams } from './seams.js'
+import { ringBBox, createBBoxIndex } from './spatial-index.js'
+
+// ── Bulletproof building extraction ──
+// "Click-Point Isolation First" strategy:
+//   1. ALWAYS flatten every feature into individual polygons (no early returns)
+//   2. Find the single Seed polygon containing the click lat/lng
+//   3. Only merge truly adjacent tile-fragments with strict Area + Distance guards
+//   4. Final output is a single Polygon — unless `multipart` is set, see below
+// Options: { areaMultiplier, maxDistanceKm, maxBuildingAreaM2, multipart, tileGrid, spatialIndex, union, report } —
+// guards default to the constants. `tileGrid` ({ zoom, extent }) describes the tiles the fragments
+// were decoded from; with it, fragments clipped at tile edges are stitched first (see seams.js).
+// With `multipart`, parts of the seed's own feature (same feature, or same feature id) join the
+// cluster without touching it, under the same guards, and every part of the union is kept: the
+// result is a MultiPolygon with the seed part first, and its `properties.parts` lists
+// [{ role: 'seed' | 'neighbour', area_m2 }] in part order. Candidates are prefiltered by bbox
+// (see spatial-index.js); `spatialIndex: false` turns that off. `union: 'sweep'` unions the cluster
+// in one sweep at the end instead of member by member as it grows (see step 3). Both switches are
+// there for the benchmark (server/bench-merge.js).
+// Pass `options.report = {}` to learn how the result was built: it is filled with
+// { seedMethod, polygons, merged, parts, seams } — seedMethod is 'single', 'point-in-polygon',
+// 'ray-casting' or 'closest-centroid'; polygons/merged count flattened and clustered parts,
+// parts the parts of the output geometry, seams the tile seams stitched.
+export function pickOrMergeSourceFeatures(sourceFeatures, lngLat, options = {}) {
+  if (!sourceFeatures || sourceFeatures.length === 0) return null
+
+  const areaMultiplier = options.areaMultiplier || AREA_MULTIPLIER
+  const maxDistanceKm = options.maxDistanceKm || MAX_NEIGHBOR_DISTANCE_KM
+  const maxBuildingAreaM2 = options.maxBuildingAreaM2 || MAX_BUILDING_AREA_SQM
+  const multipart = Boolean(options.multipart)
+  const report = options.report || {}
+
+  // ── 0) Stitch fragments clipped at tile seams, then flatten ALL features into polygons ──
+  // Even a single feature can be a MultiPolygon containing dozens of separate buildings.
+  const seamReport = {}
+  const features = options.tileGrid ? stitchTileSeams(sourceFeatures, { ...options.tileGrid, report: seamReport }) : sourceFeatures
+  const { coords: allCoords, turfPolys, sources } = extractPolygonCoords(features)
+  Object.assign(report, { seedMethod: null, polygons: allCoords.length, merged: 0, parts: 0, seams: seamReport.seams || 0 })
+  if (allCoords.length === 0) return sourceFeatures[0]
+
+  const [lng, lat] = toLngLatArray(lngLat)
+  const clickPt = turf.point([lng, lat])
+
+  // Output feature; in multipart mode it lists its parts
+  const result = (geometry) => {
+    report.parts = geometry.type === 'MultiPolygon' ? geometry.coordinates.length : 1
+    const [first] = sourceFeatures
+    if (!multipart) return { ...first, geometry }
+    return { ...first, properties: { ...first.properties, parts: summarizeParts(geometry) }, geometry }
+  }
+
+  // If only one polygon exists after flattening, return it directly
+  if (allCoords.length === 1) {
+    Object.assign(report, { seedMethod: 'single', merged: 1 })
+    return result({ type: 'Polygon', coordinates: allCoords[0] })
+  }
+
+  // ── Candidate prefilter ──
+  // Outer-ring bboxes in a grid index: the seed search and the expansion only test polygons whose
+  // bbox overlaps the click point or a cluster member. `spatialIndex: false` tests every polygon
+  // (the benchmark's baseline).
+  const bboxes = allCoords.map((rings) => ringBBox(rings[0] || []))
+  const index = options.spatialIndex === false ? null : createBBoxIndex(bboxes)
+  const everyPolygon = allCoords.map((_, i) => i)
+  const candidatesNear = (bbox) => (index ? index.search(bbox) : everyPolygon)
+
+  // Areas and centroids, computed when a polygon is first tested
+  const memo = (compute) => {
+    const values = new Map()
+    return (i) => {
+      if (!values.has(i)) {
+        const p = turfPolys[i]
+        let value = null
+        try { value = p ? compute(p) : null } catch (_) { }
+        values.set(i, value)
+      }
+      return values.get(i)
+    }
+  }
+  const areaOf = memo((p) => turf.area(p))
+  const centroidOf = memo((p) => turf.centroid(p))
+
+  // ── 1) Seed identification ──
+  // Find the smallest polygon that actually contains the user's lat/lng.
+  let seedIndex = -1
+  let seedArea = Infinity
+  let seedMethod = 'point-in-polygon'
+  const atPoint = candidatesNear([lng, lat, lng, lat])
+  for (const i of atPoint) {
+    const poly = turfPolys[i]
+    if (!poly) continue
+    try {
+      if (turf.booleanPointInPolygon(clickPt, poly)) {
+        const a = areaOf(i)
+        if (a > maxBuildingAreaM2) continue  // skip landuse/colonies
+        if (a < seedArea) {
+          seedArea = a
+          seedIndex = i
+        }
+      }
+    } catch (_) {
+      continue
+    }
+  }
+
+  // Fallback: ray-casting on raw coords
+  if (seedIndex === -1) {
+    seedMethod = 'ray-casting'
+    for (const i of atPoint) {
+      if (allCoords[i]?.[0] && pointInRing([lng, lat], allCoords[i][0])) {
+        seedIndex = i
+        seedArea = turfPolys[i] ? areaOf(i) : 0
+        break
+      }
+    }
+  }
+
+  // Last-resort fallback: pick the closest polygon to the click point
+  if (seedIndex === -1) {
+    seedMethod = 'closest-centroid'
+    let minDist = Infinity
+    for (let i = 0; i < allCoords.length; i++) {
+      const centroid = centroidOf(i)
+      if (!centroid) continue
+      const d = turf.distance(clickPt, centroid, { units: 'kilometers' })
+      if (d < minDist) {
+        minDist = d
+        seedIndex = i
+        seedArea = areaOf(i)
+      }
+    }
+  }
+
+  if (seedIndex === -1) return sourceFeatures[0]
+  report.seedMethod = seedMethod
+
+  // Precompute seed centroid for distance-guard
+  const seedPoly = turfPolys[seedIndex]
+  const seedCentroid = (seedPoly && centroidOf(seedIndex)) || clickPt
+  if (!seedArea || seedArea <= 0) {
+    seedArea = seedPoly ? areaOf(seedIndex) || 0 : 0
+  }
+  const maxClusterArea = seedArea * areaMultiplier
+
+  // Multipart mode: is polygon i another part of the seed's building (same feature or feature id)?
+  const seedFeature = features[sources[seedIndex]]
+  const seedId = seedFeature?.id
+  const isSeedBuilding = (i) => multipart &&
+    (sources[i] === sources[seedIndex] || (seedId != null && features[sources[i]]?.id === seedId))
+
+  // ── 2) Strict expansion: only merge adjacent tile-fragments ──
+  // A candidate must: touch the cluster, pass area guard, AND pass distance guard.
+  // Breadth-first from the seed: each new member is tested only against the polygons its bbox
+  // overlaps. Both guards only tighten as the cluster grows, so a rejected polygon stays out.
+  const cluster = new Set([seedIndex])
+  const rejected = new Set()
+  let clusterArea = areaOf(seedIndex) || 0
+  const frontier = [seedIndex]
+
+  // Union of the cluster, grown as members join; a member turf cannot union is skipped and counted
+  const incremental = options.union !== 'sweep'
+  let union = turfPolys[seedIndex] || null
+  let unionSkipped = 0
+  const unionWith = (i) => {
+    try {
+      const next = union ? turf.union(turf.featureCollection([union, turfPolys[i]])) : turfPolys[i]
+      if (next) union = next
+      else unionSkipped++
+    } catch (_) {
+      unionSkipped++
+    }
+  }
+
+  // Guards; true when polygon i joins the cluster. `touches` is the connectivity test.
+  const tryAdd = (i, touches) => {
+    if (cluster.has(i) || rejected.has(i) || !turfPolys[i]) return false
+    try {
+      // ── Distance Guard (check first — cheapest) ──
+      const candidateCentroid = centroidOf(i)
+      if (candidateCentroid) {
+        const dist = turf.distance(seedCentroid, candidateCentroid, { units: 'kilometers' })
+        if (dist > maxDistanceKm) {
+          rejected.add(i)
+          return false
+        }
+      }
+
+      // ── Area Guard ──
+      const candidateArea = areaOf(i) || 0
+      if (maxClusterArea > 0 && (clusterArea + candidateArea) > maxClusterArea) {
+        rejected.add(i)
+        return false
+      }
+
+      // ── Geometric connectivity: must truly touch/overlap a cluster member ──
+      if (!touches()) return false
+
+      // Passed all guards → add to cluster
+      cluster.add(i)
+      clusterArea += candidateArea
+      frontier.push(i)
+      if (incremental) unionWith(i)
+      return true
+    } catch (_) {
+      return false
+    }
+  }
+
+  // Multipart: parts of the seed's own building join without touching the cluster
+  if (multipart) everyPolygon.forEach((i) => { if (isSeedBuilding(i)) tryAdd(i, () => true) })
+
+  while (frontier.length) {
+    const member = frontier.shift()
+    const memberPoly = turfPolys[member]
+    if (!memberPoly) continue
+    for (const i of candidatesNear(bboxes[member])) {
+      tryAdd(i, () => {
+        try { return turf.booleanIntersects(turfPolys[i], memberPoly) } catch (_) { return false }
+      })
+    }
+  }
+
+  // ── 3) Union the cluster into a single geometry ──
+  // The union was built during the expansion, one member at a time, so its cost follows the
+  // cluster rather than the fragments loaded. If a member could not be added, the cluster is
+  // unioned in one sweep instead, keeping the member-by-member union if that fails too.
+  // With `union: 'sweep'` the sweep comes first and member by member is the fallback.
+  const members = [...cluster]
+  const clusterCoords = members.map((i) => allCoords[i])
+  report.merged = cluster.size
+
+  if (clusterCoords.length === 0) {
+    return result({ type: 'Polygon', coordinates: allCoords[seedIndex] })
+  }
+  if (clusterCoords.length === 1) {
+    return result({ type: 'Polygon', coordinates: clusterCoords[0] })
+  }
+
+  const sweep = () => {
+    try {
+      return turf.union(turf.featureCollection(members.map((i) => turfPolys[i]).filter(Boolean)))
+    } catch (_) {
+      return null
+    }
+  }
+  let unionResult = null
+  if (incremental) {
+    unionResult = unionSkipped > 0 ? sweep() || union : union
+  } else {
+    unionResult = sweep()
+    if (!unionResult) {
+      members.slice(1).forEach(unionWith)
+      unionResult = union
+    }
+  }
+
+  // ── 4) Force single Polygon output ──
+  // If union produced a MultiPolygon, keep ONLY the sub-polygon containing the click point
+  // (multipart: keep every part, that one first).
+  let finalGeometry = null
+
+  if (unionResult?.geometry) {
+    const geom = unionResult.geometry
+
+    if (geom.type === 'MultiPolygon' && geom.coordinates.length > 1) {
+      let bestIdx = 0
+      let bestArea = 0
+      for (let i = 0; i < geom.coordinates.length; i++) {
+        try {
+          const subPoly = turf.polygon(geom.coordinates[i])
+          if (turf.booleanPointInPolygon(clickPt, subPoly)) {
+            bestIdx = i
+            break
+          }
+          const a = turf.area(subPoly)
+          if (a > bestArea) {
+            bestArea = a
+            bestIdx = i
+          }
+        } catch (_) {
+          continue
+        }
+      }
+      finalGeometry = multipart
+        ? { type: 'MultiPolygon', coordinates: [geom.coordinates[bestIdx], ...geom.coordinates.filter((_, i) => i !== bestIdx)] }
+        : { type: 'Polygon', coordinates: geom.coordinates[bestIdx] }
+    } else if (geom.type === 'MultiPolygon' && geom.coordinates.length === 1) {
+      finalGeometry = { type: 'Polygon', coordinates: geom.coordinates[0] }
+    } else {
+      finalGeometry = geom
+    }
+  }
+
+  // Fallback if union failed entirely (the seed is the first cluster member)
+  if (!finalGeometry) {
+    finalGeometry = clusterCoords.length === 1
+      ? { type: 'Polygon', coordinates: clusterCoords[0] }
+      : { type: 'MultiPolygon', coordinates: clusterCoords }
+  }
+
+  // ── 5) Geometry cleanup: remove duplicate vertices from tile seams ──
+  try {
+    const cleaned = turf.cleanCoords(turf.feature(finalGeometry))
+    if (cleaned?.geometry) finalGeometry = cleaned.geometry
+  } catch (_) { /* keep as-is */ }
+
+  return result(finalGeometry)
+}
@@ -0,0 +1,122 @@
+import * as turf from '@turf/turf'
+import { METRES_PER_LEVEL } from './constants.js'
+import { countCoords, localProjection } from './geometry.js'
+
+// ── Building metrics ──
+// Measurements of an extracted footprint, shared by the UI panel and the API's `metrics` field.
+//
+//   areaM2, areaFt2     footprint area (holes excluded)
+//   perimeterM          length of every ring, holes included
+//   centroid            [lng, lat]
+//   vertices, parts     outer-ring vertices (closing coordinate not counted) and polygon parts
+//   compactness         Polsby–Popper 4πA/P²: 1 for a circle, ~0.79 for a square, → 0 for slivers
+//   rectangle           minimum rotated bounding rectangle: { lengthM, widthM, orientationDeg, coordinates }
+//                       orientationDeg is the long side's bearing, 0–180 clockwise from north
+//   heightM, minHeightM from render_height / render_min_height when the tiles carry them, else null
+//   levels              building:levels / levels when tagged, else estimated from the height
+//                       (levelsEstimated: true), else null
+
+const SQM_TO_SQFT = 10.7639104
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits
+
+// Andrew's monotone chain; points as [x, y]
+function convexHull(points) {
+  const pts = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1])
+  if (pts.length < 3) return pts
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0])
+  const lower = []
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop()
+    lower.push(p)
+  }
+  const upper = []
+  for (const p of pts.reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop()
+    upper.push(p)
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)]
+}
+
+// Minimum-area rectangle over the hull: the optimum has a side collinear with a hull edge
+export function minimumRotatedRectangle(geometry) {
+  const center = turf.centroid(turf.feature(geometry)).geometry.coordinates
+  const { toXY, toLngLat } = localProjection(center)
+  const outer = geometry.type === 'Polygon' ? [geometry.coordinates[0]] : geometry.coordinates.map((p) => p[0])
+  const hull = convexHull(outer.flat().map(toXY))
+  if (hull.length < 3) return null
+
+  let best = null
+  for (let i = 0; i < hull.length; i++) {
+    const [x1, y1] = hull[i]
+    const [x2, y2] = hull[(i + 1) % hull.length]
+    const len = Math.hypot(x2 - x1, y2 - y1)
+    if (len === 0) continue
+    const ux = (x2 - x1) / len
+    const uy = (y2 - y1) / len
+    let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity
+    for (const [x, y] of hull) {
+      const u = x * ux + y * uy
+      const v = -x * uy + y * ux
+      minU = Math.min(minU, u); maxU = Math.max(maxU, u)
+      minV = Math.min(minV, v); maxV = Math.max(maxV, v)
+    }
+    const area = (maxU - minU) * (maxV - minV)
+    if (!best || area < best.area) best = { area, ux, uy, minU, maxU, minV, maxV }
+  }
+  if (!best) return null
+
+  const { ux, uy, minU, maxU, minV, maxV } = best
+  const corner = (u, v) => toLngLat([u * ux - v * uy, u * uy + v * ux]).map((c) => round(c, 7))
+  const alongEdge = maxU - minU
+  const acrossEdge = maxV - minV
+  // Bearing of the long side: the hull edge direction, or its perpendicular
+  const [dx, dy] = alongEdge >= acrossEdge ? [ux, uy] : [-uy, ux]
+  const bearing = ((Math.atan2(dx, dy) * 180) / Math.PI + 360) % 180
+  return {
+    lengthM: round(Math.max(alongEdge, acrossEdge)),
+    widthM: round(Math.min(alongEdge, acrossEdge)),
+    orientationDeg: round(bearing, 1),
+    coordinates: [[corner(minU, minV), corner(maxU, minV), corner(maxU, maxV), corner(minU, maxV), corner(minU, minV)]]
+  }
+}
+
+const toNumber = (value) => {
+  const n = typeof value === 'string' ? parseFloat(value) : value
+  return Number.isFinite(n) ? n : null
+}
+
+function heightMetrics(properties) {
+  const heightM = toNumber(properties.render_height)
+  const minHeightM = toNumber(properties.render_min_height)
+  const tagged = toNumber(properties['building:levels'] ?? properties.levels)
+  if (tagged != null) return { heightM, minHeightM, levels: tagged, levelsEstimated: false }
+  if (heightM == null) return { heightM, minHeightM, levels: null, levelsEstimated: false }
+  return {
+    heightM,
+    minHeightM,
+    levels: Math.max(1, Math.round((heightM - (minHeightM || 0)) / METRES_PER_LEVEL)),
+    levelsEstimated: true
+  }
+}
+
+// Metrics for a footprint Feature (or bare Polygon/MultiPolygon geometry); null for anything else
+export function computeBuildingMetrics(featureOrGeometry) {
+  const geometry = featureOrGeometry?.type === 'Feature' ? featureOrGeometry.geometry : featureOrGeometry
+  if (geometry?.type !== 'Polygon' && geometry?.type !== 'MultiPolygon') return null
+  const feature = turf.feature(geometry)
+  const parts = geometry.type === 'Polygon' ? 1 : geometry.coordinates.length
+
+  const areaM2 = turf.area(feature)
+  const perimeterM = turf.length(turf.polygonToLine(feature), { units: 'meters' })
+  return {
+    areaM2: round(areaM2),
+    areaFt2: round(areaM2 * SQM_TO_SQFT),
+    perimeterM: round(perimeterM),
+    centroid: turf.centroid(feature).geometry.coordinates.map((c) => round(c, 7)),
+    vertices: countCoords(geometry) - parts,
+    parts,
+    compactness: perimeterM > 0 ? round((4 * Math.PI * areaM2) / perimeterM ** 2, 3) : 0,
+    rectangle: minimumRotatedRectangle(geometry),
+    ...heightMetrics(featureOrGeometry.properties || {})
+  }
+}
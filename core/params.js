@@ -0,0 +1,142 @@
+import {
+  AREA_MULTIPLIER,
+  MAX_NEIGHBOR_DISTANCE_KM,
+  MAX_BUILDING_AREA_SQM,
+  ZOOM_CASCADE,
+  MAX_PASSES,
+  BBOX_GROWTH,
+  POINT_BUFFER_M,
+  EXTRACTION_TIMEOUT_S
+} from './constants.js'
+
+// ── Extraction parameters ──
+// The cascade's guards and limits, adjustable per extraction. Defaults are the constants;
+// a named preset replaces them, and explicit values override the preset.
+//
+//   areaMultiplier         max cluster area = seed area × this
+//   maxNeighborDistanceKm  fragments farther than this from the seed centroid are not merged
+//   maxBuildingAreaM2      larger polygons are landuse/zones, not buildings
+//   zoomCascade            zooms tried in order, broadest first (browser engine; tiles use z14)
+//   maxPasses              expansion passes per zoom
+//   bboxGrowth             the footprint has converged when its bbox grows less than this fraction
+//   pointBufferM           tolerance of the point-in-polygon validation
+//   timeoutS               the extraction gives up after this many seconds
+//   multipart              keep every merged part as a MultiPolygon instead of the part at the point
+
+export const DEFAULT_EXTRACTION_PARAMS = {
+  areaMultiplier: AREA_MULTIPLIER,
+  maxNeighborDistanceKm: MAX_NEIGHBOR_DISTANCE_KM,
+  maxBuildingAreaM2: MAX_BUILDING_AREA_SQM,
+  zoomCascade: ZOOM_CASCADE,
+  maxPasses: MAX_PASSES,
+  bboxGrowth: BBOX_GROWTH,
+  pointBufferM: POINT_BUFFER_M,
+  timeoutS: EXTRACTION_TIMEOUT_S,
+  multipart: false
+}
+
+// Row houses need tight guards so neighbours sharing a wall stay separate; industrial sites and
+// campuses span many tiles and fragments, so they get looser guards and more time. Campus wings
+// linked by skybridges are separate parts of one building, so campuses keep every part.
+export const EXTRACTION_PRESETS = {
+  default: DEFAULT_EXTRACTION_PARAMS,
+  residential: {
+    ...DEFAULT_EXTRACTION_PARAMS,
+    areaMultiplier: 2,
+    maxNeighborDistanceKm: 0.02,
+    maxBuildingAreaM2: 20_000,
+    zoomCascade: [15.5, 17.5, 19.5],
+    maxPasses: 4,
+    pointBufferM: 5,
+    timeoutS: 60
+  },
+  industrial: {
+    ...DEFAULT_EXTRACTION_PARAMS,
+    areaMultiplier: 6,
+    maxNeighborDistanceKm: 0.15,
+    maxBuildingAreaM2: 1_000_000,
+    zoomCascade: [13.5, 15.5, 17.5],
+    maxPasses: 8,
+    bboxGrowth: 0.05,
+    pointBufferM: 15,
+    timeoutS: 180
+  },
+  campus: {
+    ...DEFAULT_EXTRACTION_PARAMS,
+    areaMultiplier: 10,
+    maxNeighborDistanceKm: 0.3,
+    maxBuildingAreaM2: 2_000_000,
+    zoomCascade: [13.5, 15.5, 17.5],
+    maxPasses: 10,
+    bboxGrowth: 0.05,
+    pointBufferM: 20,
+    timeoutS: 240,
+    multipart: true
+  }
+}
+
+// Accepted range of each numeric parameter: [min, max, integer]
+const LIMITS = {
+  areaMultiplier: [1, 50],
+  maxNeighborDistanceKm: [0.001, 1],
+  maxBuildingAreaM2: [10, 5_000_000],
+  maxPasses: [1, 20, true],
+  bboxGrowth: [0, 1],
+  pointBufferM: [0, 100],
+  timeoutS: [5, 600]
+}
+const BOOLEANS = { true: true, false: false }
+const ZOOM_RANGE = [0, 22]
+const MAX_CASCADE_LENGTH = 8
+
+export const EXTRACTION_PARAM_KEYS = Object.keys(DEFAULT_EXTRACTION_PARAMS)
+
+function checkZoomCascade(value) {
+  const zooms = typeof value === 'string' ? value.split(',').map((z) => Number(z.trim())) : value
+  if (!Array.isArray(zooms) || zooms.length === 0 || zooms.length > MAX_CASCADE_LENGTH) {
+    throw new Error(`zoomCascade must be a list of 1–${MAX_CASCADE_LENGTH} zoom levels`)
+  }
+  for (const [i, z] of zooms.entries()) {
+    const zoom = Number(z)
+    if (!Number.isFinite(zoom) || zoom < ZOOM_RANGE[0] || zoom > ZOOM_RANGE[1]) {
+      throw new Error(`zoomCascade entries must be zoom levels between ${ZOOM_RANGE[0]} and ${ZOOM_RANGE[1]}`)
+    }
+    if (i > 0 && zoom <= Number(zooms[i - 1])) throw new Error('zoomCascade must be in increasing order')
+  }
+  return zooms.map(Number)
+}
+
+// { preset, ...overrides } → the complete parameter set with its `preset` name; throws on
+// unknown presets or keys and out-of-range values. Numbers may be given as strings (query params).
+export function normalizeExtractionParams(params = {}) {
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('Extraction parameters must be an object')
+  }
+  const { preset = 'default', ...overrides } = params
+  const base = EXTRACTION_PRESETS[preset]
+  if (!base) throw new Error(`Unknown preset "${preset}". Use one of: ${Object.keys(EXTRACTION_PRESETS).join(', ')}`)
+
+  const out = { preset, ...base, zoomCascade: [...base.zoomCascade] }
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!EXTRACTION_PARAM_KEYS.includes(key)) {
+      throw new Error(`Unknown extraction parameter "${key}". Use: ${EXTRACTION_PARAM_KEYS.join(', ')}`)
+    }
+    if (value == null || value === '') continue
+    if (key === 'zoomCascade') {
+      out.zoomCascade = checkZoomCascade(value)
+      continue
+    }
+    if (key === 'multipart') {
+      if (!(String(value) in BOOLEANS)) throw new Error('multipart must be true or false')
+      out.multipart = BOOLEANS[String(value)]
+      continue
+    }
+    const [min, max, integer] = LIMITS[key]
+    const n = Number(value)
+    if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+      throw new Error(`${key} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`)
+    }
+    out[key] = n
+  }
+  return out
+}
@@ -0,0 +1,64 @@
+// ── Point lists ──
+// Shared by the API's batch endpoint, the offline harnesses and the UI's test runner.
+// Accepts JSON ([[lat, lng]], [{ lat, lng, id? }] or { points: [...] }), CSV or TSV with a
+// lat/lng header, or the header-less `lat<TAB>lng` layout of lat-long.txt.
+// Every parser returns [{ lat, lng, id? }] and throws with a message naming the offending entry.
+
+const LAT_KEYS = ['lat', 'latitude', 'y']
+const LNG_KEYS = ['lng', 'lon', 'long', 'longitude', 'x']
+
+function toPoint(lat, lng, id, where) {
+  const latNum = typeof lat === 'number' ? lat : parseFloat(lat)
+  const lngNum = typeof lng === 'number' ? lng : parseFloat(lng)
+  if (!Number.isFinite(latNum) || !Number.isFinite(lngNum) || Math.abs(latNum) > 90 || Math.abs(lngNum) > 180) {
+    throw new Error(`Invalid lat/lng at ${where}`)
+  }
+  return id != null && id !== '' ? { lat: latNum, lng: lngNum, id: String(id) } : { lat: latNum, lng: lngNum }
+}
+
+const pickKey = (obj, keys) => {
+  const found = Object.keys(obj).find((k) => keys.includes(k.trim().toLowerCase()))
+  return found === undefined ? undefined : obj[found]
+}
+
+// Parsed JSON: [[lat, lng], …], [{ lat, lng, id? }, …], or { points: [...] }
+export function parseJsonPoints(data) {
+  const list = Array.isArray(data) ? data : data?.points
+  if (!Array.isArray(list)) throw new Error('JSON must be an array of points or { "points": [...] }')
+  return list.map((entry, i) => {
+    if (Array.isArray(entry)) return toPoint(entry[0], entry[1], null, `points[${i}]`)
+    if (entry && typeof entry === 'object') return toPoint(pickKey(entry, LAT_KEYS), pickKey(entry, LNG_KEYS), entry.id, `points[${i}]`)
+    throw new Error(`Invalid point at points[${i}]`)
+  })
+}
+
+// CSV or TSV, with or without a header row. Without a header the first two columns are lat, lng.
+export function parseDelimitedPoints(text) {
+  const lines = String(text).split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith('#'))
+  if (lines.length === 0) return []
+  const delimiter = lines[0].includes('\t') ? '\t' : lines[0].includes(',') ? ',' : /\s+/
+  const rows = lines.map((l) => l.split(delimiter).map((c) => c.trim().replace(/^"(.*)"$/, '$1')))
+
+  let [latCol, lngCol, idCol, firstRow] = [0, 1, -1, 0]
+  const header = rows[0].map((c) => c.toLowerCase())
+  if (header.some((c) => LAT_KEYS.includes(c))) {
+    latCol = header.findIndex((c) => LAT_KEYS.includes(c))
+    lngCol = header.findIndex((c) => LNG_KEYS.includes(c))
+    idCol = header.indexOf('id')
+    if (lngCol === -1) throw new Error('Header has a latitude column but no longitude column')
+    firstRow = 1
+  }
+  return rows.slice(firstRow).map((row, i) =>
+    toPoint(row[latCol], row[lngCol], idCol >= 0 ? row[idCol] : null, `line ${i + firstRow + 1}`))
+}
+
+// A request body as Express parsed it: text (CSV / TSV) or JSON
+export function parsePoints(body) {
+  return typeof body === 'string' ? parseDelimitedPoints(body) : parseJsonPoints(body)
+}
+
+// The text of an uploaded file, JSON or delimited
+export function parsePointList(text) {
+  const trimmed = String(text).trim()
+  return trimmed.startsWith('[') || trimmed.startsWith('{') ? parseJsonPoints(JSON.parse(trimmed)) : parseDelimitedPoints(trimmed)
+}
@@ -0,0 +1,31 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { parsePoints, parsePointList } from './points.js'
+
+test('parses the header-less lat<TAB>lng layout of lat-long.txt', () => {
+  assert.deepEqual(parsePointList('49.06114\t-122.49594\n# comment\n\n50.99507\t-113.96369\n'), [
+    { lat: 49.06114, lng: -122.49594 },
+    { lat: 50.99507, lng: -113.96369 }
+  ])
+})
+
+test('reads CSV columns by header name, with ids', () => {
+  assert.deepEqual(parsePointList('id,Longitude,Latitude\n"a",-122.5,49.1\nb,-114,51'), [
+    { lat: 49.1, lng: -122.5, id: 'a' },
+    { lat: 51, lng: -114, id: 'b' }
+  ])
+})
+
+test('accepts JSON arrays, objects and { points }', () => {
+  const expected = [{ lat: 1, lng: 2 }, { lat: 3, lng: 4, id: '7' }]
+  assert.deepEqual(parsePointList('[[1, 2], { "lat": 3, "lon": 4, "id": 7 }]'), expected)
+  assert.deepEqual(parsePoints({ points: [[1, 2], { latitude: '3', lng: '4', id: 7 }] }), expected)
+  assert.deepEqual(parsePoints('1,2'), [{ lat: 1, lng: 2 }])
+})
+
+test('names the entry that fails', () => {
+  assert.throws(() => parsePointList('1\t2\n91\t0'), /Invalid lat\/lng at line 2/)
+  assert.throws(() => parsePoints([[0, 0], 'x']), /Invalid point at points\[1\]/)
+  assert.throws(() => parsePoints({ foo: [] }), /array of points/)
+  assert.throws(() => parsePointList('lat,name\n1,a'), /no longitude column/)
+})
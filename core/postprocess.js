@@ -0,0 +1,246 @@
+import * as turf from '@turf/turf'
+import {
+  SIMPLIFY_TOLERANCE_M,
+  ORTHOGONALIZE_MAX_ANGLE_DEG,
+  SPIKE_MIN_ANGLE_DEG,
+  SLIVER_MIN_WIDTH_M,
+  FILL_HOLE_MAX_AREA_SQM
+} from './constants.js'
+import { localProjection, summarizeParts } from './geometry.js'
+import { toParts, fromParts } from './edit.js'
+
+// ── Footprint post-processing ──
+// Optional clean-up of extracted footprints: tile seams leave jagged artifacts, spikes and
+// near-collinear vertices that turf.cleanCoords (exact duplicates only) does not touch.
+// Steps run in this order, each only when enabled:
+//
+//   fillHoles      { maxAreaM2 }              drop holes smaller than maxAreaM2
+//   removeSlivers  { minWidthM, minAngleDeg } drop spike vertices sharper than minAngleDeg, and
+//                                             extra parts thinner than minWidthM (never the largest)
+//   simplify       { toleranceM }             Douglas-Peucker with a tolerance in metres
+//   orthogonalize  { maxAngleDeg }            square rectilinear rings: when every edge is within
+//                                             maxAngleDeg of the ring's two main axes
+//
+// Each step accepts true (defaults), a number (the first parameter above) or an object.
+
+const STEPS = {
+  fillHoles: { maxAreaM2: FILL_HOLE_MAX_AREA_SQM },
+  removeSlivers: { minWidthM: SLIVER_MIN_WIDTH_M, minAngleDeg: SPIKE_MIN_ANGLE_DEG },
+  simplify: { toleranceM: SIMPLIFY_TOLERANCE_M },
+  orthogonalize: { maxAngleDeg: ORTHOGONALIZE_MAX_ANGLE_DEG }
+}
+
+export const POST_PROCESS_STEPS = Object.keys(STEPS)
+
+// Options → { step: params } for the enabled steps, or null when none is; throws on invalid input
+export function normalizePostProcessOptions(options) {
+  if (options == null || options === false) return null
+  if (typeof options !== 'object' || Array.isArray(options)) throw new Error('Post-processing options must be an object')
+  const out = {}
+  for (const [step, value] of Object.entries(options)) {
+    const defaults = STEPS[step]
+    if (!defaults) throw new Error(`Unknown post-processing step "${step}". Use: ${POST_PROCESS_STEPS.join(', ')}`)
+    if (value == null || value === false) continue
+    let params
+    if (value === true) params = { ...defaults }
+    else if (typeof value === 'number') params = { ...defaults, [Object.keys(defaults)[0]]: value }
+    else if (typeof value === 'object' && !Array.isArray(value)) {
+      for (const key of Object.keys(value)) {
+        if (!(key in defaults)) throw new Error(`Unknown ${step} parameter "${key}"`)
+      }
+      params = { ...defaults, ...value }
+    } else {
+      throw new Error(`${step} must be true, a number or an object`)
+    }
+    for (const [key, n] of Object.entries(params)) {
+      if (!Number.isFinite(Number(n)) || Number(n) < 0) throw new Error(`${step}.${key} must be a non-negative number`)
+      params[key] = Number(n)
+    }
+    out[step] = params
+  }
+  return Object.keys(out).length > 0 ? out : null
+}
+
+// ── Ring helpers (open rings of [x, y] in metres) ──
+const signedArea = (ring) => {
+  let sum = 0
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1]
+  return sum / 2
+}
+const perimeter = (ring) => ring.reduce((sum, p, i) => sum + Math.hypot(...sub(ring[(i + 1) % ring.length], p)), 0)
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1]]
+const countVertices = (parts) => parts.reduce((sum, rings) => sum + rings.reduce((s, r) => s + r.length, 0), 0)
+
+function fillHoles(parts, { maxAreaM2 }) {
+  return parts.map(([outer, ...holes]) => [outer, ...holes.filter((h) => Math.abs(signedArea(h)) >= maxAreaM2)])
+}
+
+// Drop zero-length edges and vertices where the ring doubles back at a sharp angle
+function removeSpikes(ring, minAngleDeg) {
+  const out = [...ring]
+  let changed = true
+  while (changed && out.length > 3) {
+    changed = false
+    for (let i = 0; i < out.length && out.length > 3; i++) {
+      const v = out[i]
+      const a = sub(out[(i - 1 + out.length) % out.length], v)
+      const b = sub(out[(i + 1) % out.length], v)
+      const la = Math.hypot(...a)
+      const lb = Math.hypot(...b)
+      const angle = la && lb ? (Math.acos(Math.max(-1, Math.min(1, (a[0] * b[0] + a[1] * b[1]) / (la * lb)))) * 180) / Math.PI : 0
+      if (angle < minAngleDeg) {
+        out.splice(i, 1)
+        changed = true
+        i--
+      }
+    }
+  }
+  return out
+}
+
+function removeSlivers(parts, { minWidthM, minAngleDeg }) {
+  const cleaned = parts.map((rings) => rings.map((ring) => removeSpikes(ring, minAngleDeg)))
+  if (cleaned.length < 2) return cleaned
+  const areas = cleaned.map(([outer]) => Math.abs(signedArea(outer)))
+  const largest = areas.indexOf(Math.max(...areas))
+  return cleaned.filter(([outer], i) => i === largest || (2 * areas[i]) / perimeter(outer) >= minWidthM)
+}
+
+// Douglas-Peucker on an open polyline, endpoints kept
+function douglasPeucker(points, tolerance) {
+  if (points.length < 3) return points
+  const [first, last] = [points[0], points[points.length - 1]]
+  const [dx, dy] = sub(last, first)
+  const len = Math.hypot(dx, dy)
+  let maxDist = 0
+  let index = 0
+  for (let i = 1; i < points.length - 1; i++) {
+    const [px, py] = sub(points[i], first)
+    const dist = len ? Math.abs(px * dy - py * dx) / len : Math.hypot(px, py)
+    if (dist > maxDist) {
+      maxDist = dist
+      index = i
+    }
+  }
+  if (maxDist <= tolerance) return [first, last]
+  return [...douglasPeucker(points.slice(0, index + 1), tolerance).slice(0, -1), ...douglasPeucker(points.slice(index), tolerance)]
+}
+
+// Closed ring: split at the vertex farthest from the first one and simplify both halves
+function simplifyRing(ring, toleranceM) {
+  let far = 0
+  ring.forEach((p, i) => {
+    if (Math.hypot(...sub(p, ring[0])) > Math.hypot(...sub(ring[far], ring[0]))) far = i
+  })
+  const out = [
+    ...douglasPeucker(ring.slice(0, far + 1), toleranceM).slice(0, -1),
+    ...douglasPeucker([...ring.slice(far), ring[0]], toleranceM).slice(0, -1)
+  ]
+  return out.length >= 3 ? out : ring
+}
+
+function simplify(parts, { toleranceM }) {
+  return parts.map((rings) => rings.map((ring) => simplifyRing(ring, toleranceM)))
+}
+
+// Square a ring whose edges all run within maxAngleDeg of two perpendicular axes. Consecutive
+// edges on the same axis become one straight side; corners are rebuilt as intersections.
+function squareRing(ring, maxAngleDeg) {
+  const edges = ring
+    .map((a, i) => {
+      const [dx, dy] = sub(ring[(i + 1) % ring.length], a)
+      return { mid: [a[0] + dx / 2, a[1] + dy / 2], len: Math.hypot(dx, dy), angle: Math.atan2(dy, dx) }
+    })
+    .filter((e) => e.len > 0)
+
+  // Main axis: length-weighted mean of the edge angles modulo 90°
+  let sx = 0
+  let sy = 0
+  for (const e of edges) {
+    sx += e.len * Math.cos(4 * e.angle)
+    sy += e.len * Math.sin(4 * e.angle)
+  }
+  const theta = Math.atan2(sy, sx) / 4
+  const u = [Math.cos(theta), Math.sin(theta)]
+  const n = [-u[1], u[0]]
+  const tolerance = (maxAngleDeg * Math.PI) / 180
+
+  for (const e of edges) {
+    const d = (((e.angle - theta) % Math.PI) + Math.PI) % Math.PI // 0–π
+    const offAxis0 = Math.min(d, Math.PI - d)
+    e.axis = offAxis0 <= Math.PI / 4 ? 0 : 1
+    if ((e.axis === 0 ? offAxis0 : Math.abs(d - Math.PI / 2)) > tolerance) return null
+  }
+
+  // Group runs of same-axis edges (starting at an axis change so no run wraps around)
+  const start = edges.findIndex((e, i) => e.axis !== edges[(i - 1 + edges.length) % edges.length].axis)
+  if (start < 0) return null
+  const sides = []
+  for (let k = 0; k < edges.length; k++) {
+    const e = edges[(start + k) % edges.length]
+    const normal = e.axis === 0 ? n : u
+    const offset = e.mid[0] * normal[0] + e.mid[1] * normal[1]
+    const last = sides[sides.length - 1]
+    if (last && last.axis === e.axis) {
+      last.offset = (last.offset * last.len + offset * e.len) / (last.len + e.len)
+      last.len += e.len
+    } else {
+      sides.push({ axis: e.axis, offset, len: e.len })
+    }
+  }
+  if (sides.length < 4) return null
+
+  // Corner between an axis-0 side (p·n = c0) and an axis-1 side (p·u = c1) is c1·u + c0·n
+  const squared = sides.map((side, k) => {
+    const prev = sides[(k - 1 + sides.length) % sides.length]
+    const [c0, c1] = side.axis === 0 ? [side.offset, prev.offset] : [prev.offset, side.offset]
+    return [c1 * u[0] + c0 * n[0], c1 * u[1] + c0 * n[1]]
+  })
+  // Reject results that distort the footprint (e.g. a misjudged axis on an irregular ring)
+  const before = signedArea(ring)
+  const after = signedArea(squared)
+  if (Math.sign(before) !== Math.sign(after) || Math.abs(after - before) > 0.25 * Math.abs(before)) return null
+  return squared
+}
+
+function orthogonalize(parts, { maxAngleDeg }) {
+  return parts.map((rings) => rings.map((ring) => squareRing(ring, maxAngleDeg) || ring))
+}
+
+const RUN = { fillHoles, removeSlivers, simplify, orthogonalize }
+
+// Apply the enabled steps to a Polygon/MultiPolygon. Returns { geometry, report } where report is
+// { verticesBefore, verticesAfter, steps: { <step>: { removed } } } (vertices exclude closing
+// coordinates and include holes), or { geometry, report: null } when nothing is enabled.
+export function postProcessGeometry(geometry, options) {
+  const steps = normalizePostProcessOptions(options)
+  if (!steps || !geometry) return { geometry, report: null }
+
+  const { toXY, toLngLat } = localProjection(turf.centroid(turf.feature(geometry)).geometry.coordinates)
+  let parts = toParts(geometry).map((rings) => rings.map((ring) => ring.slice(0, -1).map(toXY)))
+  const verticesBefore = countVertices(parts)
+  const report = { verticesBefore, verticesAfter: verticesBefore, steps: {} }
+
+  for (const step of POST_PROCESS_STEPS) {
+    if (!steps[step]) continue
+    const before = countVertices(parts)
+    parts = RUN[step](parts, steps[step])
+    report.steps[step] = { removed: before - countVertices(parts) }
+  }
+  report.verticesAfter = countVertices(parts)
+
+  const out = parts.map((rings) => rings.map((ring) => {
+    const coords = ring.map(toLngLat)
+    return [...coords, [...coords[0]]]
+  }))
+  return { geometry: fromParts(out), report }
+}
+
+// Feature variant: same feature with the processed geometry (and its multipart `parts` list
+// recomputed, when it has one)
+export function postProcessFeature(feature, options) {
+  const { geometry, report } = postProcessGeometry(feature?.geometry, options)
+  if (!report) return { geojson: feature, report }
+  const properties = feature.properties?.parts ? { ...feature.properties, parts: summarizeParts(geometry) } : feature.properties
+  return { geojson: { ...feature, properties, geometry }, report }
+}
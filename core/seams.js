@@ -0,0 +1,125 @@
+import * as turf from '@turf/turf'
+import { TILE_EXTENT, SEAM_TOLERANCE_UNITS } from './constants.js'
+import { extractPolygonCoords } from './geometry.js'
+
+// ── Tile-seam stitching ──
+// Vector tiles clip every building at the tile edges. After quantization the two halves of a
+// clipped wall can sit a few centimetres apart, so they never touch and the cluster expansion
+// cannot join them. This stage works in tile units on the tile grid of the source tiles:
+//   1. snap vertices within `toleranceUnits` of a tile boundary line onto that line
+//   2. collect the edges that now lie on a boundary (the clipped edges)
+//   3. join fragments whose clipped edges lie on the same boundary, on opposite sides, and
+//      overlap along it by more than the tolerance
+//   4. union each joined group into one polygon
+// Only fragments that were joined change; when no seam is found the input is returned as is.
+// Options: { zoom, extent, toleranceUnits, report } — zoom is the zoom of the tiles the
+// fragments were decoded from (fractional zooms are floored), extent their tile extent.
+// `report` is filled with { seams, stitched }: clipped edge pairs joined, fragments merged.
+
+const toWorldX = (lng, scale) => ((lng + 180) / 360) * scale
+const toWorldY = (lat, scale) => {
+  const latRad = (lat * Math.PI) / 180
+  return ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale
+}
+const fromWorldX = (x, scale) => (x / scale) * 360 - 180
+const fromWorldY = (y, scale) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / scale))) * 180) / Math.PI
+
+// Union-find over fragment indexes
+function createGroups(size) {
+  const parent = Array.from({ length: size }, (_, i) => i)
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+  return { find, join: (a, b) => { parent[find(a)] = find(b) } }
+}
+
+export function stitchTileSeams(features, options = {}) {
+  const extent = options.extent || TILE_EXTENT
+  const tolerance = options.toleranceUnits ?? SEAM_TOLERANCE_UNITS
+  const report = options.report || {}
+  Object.assign(report, { seams: 0, stitched: 0 })
+  if (!features || features.length < 2 || options.zoom == null) return features
+
+  const scale = 2 ** Math.floor(options.zoom) * extent
+  // Boundary line a world coordinate snaps to, or null
+  const lineOf = (v) => {
+    const line = Math.round(v / extent) * extent
+    return Math.abs(v - line) <= tolerance ? line : null
+  }
+
+  // ── 1) Snap: vertices near a boundary move onto it (other vertices are left untouched) ──
+  const { coords, sources } = extractPolygonCoords(features)
+  const edges = new Map() // boundary key → [{ index, lo, hi, side }]
+  const snapped = coords.map((rings, index) => {
+    const world = rings[0].map(([lng, lat]) => [toWorldX(lng, scale), toWorldY(lat, scale)])
+    const centerX = world.reduce((sum, [x]) => sum + x, 0) / world.length
+    const centerY = world.reduce((sum, [, y]) => sum + y, 0) / world.length
+
+    const out = rings.map((ring, r) => ring.map(([lng, lat], i) => {
+      const [x, y] = r === 0 ? world[i] : [toWorldX(lng, scale), toWorldY(lat, scale)]
+      const lineX = lineOf(x)
+      const lineY = lineOf(y)
+      return [lineX === null ? lng : fromWorldX(lineX, scale), lineY === null ? lat : fromWorldY(lineY, scale)]
+    }))
+
+    // ── 2) Clipped edges: both ends on the same boundary line (outer ring only) ──
+    for (let i = 0; i + 1 < world.length; i++) {
+      const [[ax, ay], [bx, by]] = [world[i], world[i + 1]]
+      for (const [axis, a, b, alongA, alongB, center] of [['x', ax, bx, ay, by, centerX], ['y', ay, by, ax, bx, centerY]]) {
+        const line = lineOf(a)
+        if (line === null || line !== lineOf(b)) continue
+        const key = `${axis}:${line}`
+        if (!edges.has(key)) edges.set(key, [])
+        edges.get(key).push({ index, lo: Math.min(alongA, alongB), hi: Math.max(alongA, alongB), side: Math.sign(center - line) })
+      }
+    }
+    return out
+  })
+
+  // ── 3) Join fragments facing each other across a boundary ──
+  const groups = createGroups(coords.length)
+  for (const list of edges.values()) {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const [a, b] = [list[i], list[j]]
+        if (a.index === b.index || a.side === b.side || a.side === 0 || b.side === 0) continue
+        if (Math.min(a.hi, b.hi) - Math.max(a.lo, b.lo) <= tolerance) continue
+        if (groups.find(a.index) !== groups.find(b.index)) report.seams++
+        groups.join(a.index, b.index)
+      }
+    }
+  }
+  if (report.seams === 0) return features
+
+  // ── 4) Union each joined group; unjoined polygons go back to their own feature ──
+  const members = new Map() // group root → polygon indexes
+  coords.forEach((_, i) => {
+    const root = groups.find(i)
+    if (!members.has(root)) members.set(root, [])
+    members.get(root).push(i)
+  })
+
+  const bySource = new Map() // feature index → polygons left on their own
+  const stitchedFeatures = []
+  for (const indexes of members.values()) {
+    if (indexes.length === 1) {
+      const [i] = indexes
+      if (!bySource.has(sources[i])) bySource.set(sources[i], [])
+      bySource.get(sources[i]).push(coords[i])
+      continue
+    }
+    let union = null
+    try {
+      union = turf.union(turf.featureCollection(indexes.map((i) => turf.polygon(snapped[i]))))
+    } catch (_) { }
+    const geometry = union?.geometry || { type: 'MultiPolygon', coordinates: indexes.map((i) => snapped[i]) }
+    stitchedFeatures.push({ ...features[sources[indexes[0]]], geometry })
+    report.stitched += indexes.length
+  }
+
+  const unchanged = [...bySource].map(([source, polygons]) => ({
+    ...features[source],
+    geometry: polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons }
+  }))
+  return [...stitchedFeatures, ...unchanged]
+}
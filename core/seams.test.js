@@ -0,0 +1,97 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import * as turf from '@turf/turf'
+import { stitchTileSeams } from './seams.js'
+
+// Synthetic clipped footprints on the z14 tile grid, in world tile units (x east, y south)
+// around the corner shared by tiles 8580–8581 / 5737–5738.
+const ZOOM = 14
+const WORLD = 2 ** ZOOM * 4096
+const X = 8581 * 4096 // vertical seam
+const Y = 5738 * 4096 // horizontal seam
+const toLngLat = ([x, y]) => [
+  (x / WORLD) * 360 - 180,
+  (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / WORLD))) * 180) / Math.PI
+]
+const fragment = (id, [w, n, e, s]) => turf.polygon([[[w, n], [e, n], [e, s], [w, s], [w, n]].map(toLngLat)], {}, { id })
+const stitch = (features, options = {}) => {
+  const report = {}
+  return { result: stitchTileSeams(features, { zoom: ZOOM, report, ...options }), report }
+}
+// The same footprint drawn whole, for area comparisons
+const whole = (bounds) => turf.area(fragment(0, bounds))
+
+test('snaps vertices within the tolerance onto the seam and closes the gap', () => {
+  const { result, report } = stitch([
+    fragment(1, [X - 40, Y - 60, X - 0.6, Y - 20]), // clipped edge 0.6 units west of the seam
+    fragment(1, [X + 0.4, Y - 60, X + 30, Y - 20]) //  and 0.4 units east of it
+  ])
+  assert.deepEqual(report, { seams: 1, stitched: 2 })
+  assert.equal(result.length, 1)
+  assert.equal(result[0].geometry.type, 'Polygon')
+  const [w, , e] = turf.bbox(result[0])
+  assert.ok(Math.abs(w - toLngLat([X - 40, 0])[0]) < 1e-12)
+  assert.ok(Math.abs(e - toLngLat([X + 30, 0])[0]) < 1e-12)
+  assert.ok(Math.abs(turf.area(result[0]) - whole([X - 40, Y - 60, X + 30, Y - 20])) < 1e-6)
+})
+
+test('joins fragments across a horizontal seam', () => {
+  const { result, report } = stitch([
+    fragment(2, [X - 300, Y - 25, X - 200, Y]),
+    fragment(2, [X - 300, Y, X - 200, Y + 35])
+  ])
+  assert.deepEqual(report, { seams: 1, stitched: 2 })
+  assert.equal(result[0].geometry.type, 'Polygon')
+  assert.ok(Math.abs(turf.area(result[0]) - whole([X - 300, Y - 25, X - 200, Y + 35])) < 1e-6)
+})
+
+test('joins the four fragments of a footprint across both seams at a tile corner', () => {
+  const quarters = [
+    [X - 20, Y - 15, X, Y], [X, Y - 15, X + 25, Y],
+    [X - 20, Y, X, Y + 10], [X, Y, X + 25, Y + 10]
+  ]
+  const { result, report } = stitch(quarters.map((bounds) => fragment(3, bounds)))
+  assert.deepEqual(report, { seams: 3, stitched: 4 })
+  assert.equal(result.length, 1)
+  assert.equal(result[0].geometry.type, 'Polygon')
+  assert.equal(result[0].id, 3)
+  assert.ok(Math.abs(turf.area(result[0]) - whole([X - 20, Y - 15, X + 25, Y + 10])) < 1e-6)
+})
+
+test('does not join fragments on the same side of a seam', () => {
+  const features = [
+    fragment(4, [X - 30, Y - 300, X, Y - 280]),
+    fragment(5, [X - 30, Y - 280, X, Y - 260]) // stacked on the west side, sharing a wall
+  ]
+  const { result, report } = stitch(features)
+  assert.equal(result, features)
+  assert.deepEqual(report, { seams: 0, stitched: 0 })
+})
+
+test('needs the clipped edges to overlap by more than the tolerance', () => {
+  // Opposite sides, but only 0.5 units of the two edges face each other
+  const corner = [fragment(6, [X - 30, Y - 420, X, Y - 400]), fragment(7, [X, Y - 400.5, X + 30, Y - 380])]
+  assert.equal(stitch(corner).result, corner)
+
+  const facing = [fragment(6, [X - 30, Y - 420, X, Y - 400]), fragment(7, [X, Y - 402, X + 30, Y - 380])]
+  assert.equal(stitch(facing).report.seams, 1)
+})
+
+test('leaves gaps wider than the tolerance unless the tolerance is raised', () => {
+  const features = [fragment(8, [X - 40, Y - 520, X - 1.5, Y - 500]), fragment(8, [X + 1.5, Y - 520, X + 30, Y - 500])]
+  assert.equal(stitch(features).result, features)
+
+  const { result, report } = stitch(features, { toleranceUnits: 2 })
+  assert.deepEqual(report, { seams: 1, stitched: 2 })
+  assert.ok(Math.abs(turf.area(result[0]) - whole([X - 40, Y - 520, X + 30, Y - 500])) < 1e-6)
+})
+
+test('keeps fragments that were not joined and needs the tile zoom', () => {
+  const detached = fragment(9, [X - 900, Y - 900, X - 800, Y - 850])
+  const { result } = stitch([fragment(1, [X - 40, Y - 60, X, Y - 20]), fragment(1, [X, Y - 60, X + 30, Y - 20]), detached])
+  assert.equal(result.length, 2)
+  assert.deepEqual(result[1].geometry, detached.geometry)
+
+  const features = [fragment(1, [X - 40, Y - 60, X, Y - 20]), fragment(1, [X, Y - 60, X + 30, Y - 20])]
+  assert.equal(stitchTileSeams(features, {}), features)
+})
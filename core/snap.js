@@ -0,0 +1,96 @@
+import * as turf from '@turf/turf'
+import {
+  FLY_TO_ZOOM,
+  QUERY_RADIUS_PX,
+  SOURCE_QUERY_DELAY_MS,
+  MAX_BUILDING_AREA_SQM,
+  DEFAULT_SNAP_DISTANCE_M,
+  MAX_SNAP_DISTANCE_M,
+  SNAP_NUDGE_M
+} from './constants.js'
+import { toLngLatArray, extractPolygonCoords } from './geometry.js'
+import { normalizeLayerPolicy, matchesLayerPolicy } from './layer-policy.js'
+
+// ── Nearest-building snapping ──
+// Used when the input point misses every footprint (geocodes landing in a parking lot or the
+// street): find the closest building edge within a max distance and re-run the extraction from
+// just inside it.
+
+// `snap` option → { maxDistanceM } or null. Accepts true (default distance), a distance in
+// metres, or { maxDistanceM }; distances are capped at MAX_SNAP_DISTANCE_M.
+export function normalizeSnapOption(snap) {
+  if (snap == null || snap === false) return null
+  let distance = DEFAULT_SNAP_DISTANCE_M
+  if (typeof snap === 'number') distance = snap
+  else if (typeof snap === 'object' && snap.maxDistanceM != null) distance = Number(snap.maxDistanceM)
+  else if (snap !== true) throw new Error('snap must be true, a distance in metres, or { maxDistanceM }')
+  if (!Number.isFinite(distance) || distance <= 0) throw new Error('Snap distance must be a positive number of metres')
+  return { maxDistanceM: Math.min(distance, MAX_SNAP_DISTANCE_M) }
+}
+
+// Closest building-sized polygon to the point among `features`, within maxDistanceM.
+// Returns { feature, from, to, target, distanceM, bearing } or null:
+//   to      nearest point on the footprint's edge
+//   target  `to` nudged SNAP_NUDGE_M further along the bearing, i.e. just inside the building
+//   bearing degrees clockwise from north, 0–360
+export function findNearestBuilding(features, lngLat, maxDistanceM) {
+  const from = toLngLatArray(lngLat)
+  const pt = turf.point(from)
+  let best = null
+  for (const feature of features || []) {
+    const { turfPolys } = extractPolygonCoords([feature])
+    for (const poly of turfPolys) {
+      if (!poly) continue
+      try {
+        if (turf.area(poly) > MAX_BUILDING_AREA_SQM) continue
+        if (turf.booleanPointInPolygon(pt, poly)) {
+          return { feature, from, to: from, target: from, distanceM: 0, bearing: 0 }
+        }
+        const nearest = turf.nearestPointOnLine(turf.polygonToLine(poly), pt, { units: 'meters' })
+        const distanceM = nearest.properties.dist
+        if (distanceM > maxDistanceM || (best && distanceM >= best.distanceM)) continue
+        best = { feature, to: nearest.geometry.coordinates, distanceM }
+      } catch (_) { continue }
+    }
+  }
+  if (!best) return null
+
+  const bearing = (turf.bearing(pt, turf.point(best.to)) + 360) % 360
+  const target = turf.destination(turf.point(best.to), SNAP_NUDGE_M, bearing, { units: 'meters' }).geometry.coordinates
+  return {
+    ...best,
+    from,
+    target,
+    distanceM: Math.round(best.distanceM * 100) / 100,
+    bearing: Math.round(bearing * 10) / 10
+  }
+}
+
+// Map-driven search: fly to the point, query the rendered buildings within maxDistanceM and
+// pick the nearest. Options: { maxDistanceM, layerPolicy }. Resolves to the findNearestBuilding
+// result or null — never rejects.
+export function snapToNearestBuilding(adapter, lngLat, options = {}) {
+  const [lng, lat] = toLngLatArray(lngLat)
+  const maxDistanceM = options.maxDistanceM || DEFAULT_SNAP_DISTANCE_M
+  const layerPolicy = normalizeLayerPolicy(options.layerPolicy)
+
+  return new Promise((resolve) => {
+    adapter.flyTo({ center: [lng, lat], zoom: FLY_TO_ZOOM, duration: 0 })
+    adapter.onceIdle(() => {
+      setTimeout(() => {
+        try {
+          // Search radius in pixels at the current zoom
+          const center = adapter.project([lng, lat])
+          const edge = adapter.project(
+            turf.destination(turf.point([lng, lat]), maxDistanceM, 90, { units: 'meters' }).geometry.coordinates
+          )
+          const r = Math.abs(edge.x - center.x) + QUERY_RADIUS_PX
+          const rendered = adapter.queryRenderedFeatures([[center.x - r, center.y - r], [center.x + r, center.y + r]])
+          resolve(findNearestBuilding(rendered.filter((f) => matchesLayerPolicy(f, layerPolicy)), [lng, lat], maxDistanceM))
+        } catch (_) {
+          resolve(null)
+        }
+      }, SOURCE_QUERY_DELAY_MS)
+    })
+  })
+}
@@ -0,0 +1,65 @@
+// ── Bounding-box index ──
+// Static grid over the bboxes of a fragment set, so the merge only tests fragments near the
+// seed and the cluster instead of every fragment of every loaded tile. The cell size follows
+// the data (twice the median bbox extent); bboxes spanning more than MAX_CELLS_PER_BOX cells
+// (landuse, campus outlines) are kept in a list that every search returns.
+
+const MAX_CELLS_PER_BOX = 64
+
+// [w, s, e, n] of a ring of [lng, lat]
+export function ringBBox(ring) {
+  let [w, s, e, n] = [Infinity, Infinity, -Infinity, -Infinity]
+  for (const [x, y] of ring) {
+    if (x < w) w = x
+    if (x > e) e = x
+    if (y < s) s = y
+    if (y > n) n = y
+  }
+  return [w, s, e, n]
+}
+
+export const bboxesOverlap = (a, b) => a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1]
+
+// Returns { search(bbox) → indexes of the bboxes overlapping it, ascending }
+export function createBBoxIndex(bboxes) {
+  const extents = bboxes.map(([w, s, e, n]) => Math.max(e - w, n - s)).filter((d) => d > 0).sort((a, b) => a - b)
+  const cell = (extents[Math.floor(extents.length / 2)] || 1e-4) * 2
+  const toCell = (v) => Math.floor(v / cell)
+  const cellKey = (cx, cy) => cx * 2 ** 26 + cy
+  const cells = new Map() // cellKey → indexes
+  const oversized = []
+
+  bboxes.forEach(([w, s, e, n], i) => {
+    const [x0, x1, y0, y1] = [toCell(w), toCell(e), toCell(s), toCell(n)]
+    if ((x1 - x0 + 1) * (y1 - y0 + 1) > MAX_CELLS_PER_BOX) {
+      oversized.push(i)
+      return
+    }
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const key = cellKey(cx, cy)
+        const list = cells.get(key)
+        if (list) list.push(i)
+        else cells.set(key, [i])
+      }
+    }
+  })
+
+  return {
+    search(bbox) {
+      const [w, s, e, n] = bbox
+      const found = new Set()
+      const add = (i) => { if (!found.has(i) && bboxesOverlap(bboxes[i], bbox)) found.add(i) }
+      const [x0, x1, y0, y1] = [toCell(w), toCell(e), toCell(s), toCell(n)]
+      if ((x1 - x0 + 1) * (y1 - y0 + 1) > cells.size) {
+        bboxes.forEach((_, i) => add(i)) // query larger than the data: scan
+      } else {
+        for (let cx = x0; cx <= x1; cx++) {
+          for (let cy = y0; cy <= y1; cy++) cells.get(cellKey(cx, cy))?.forEach(add)
+        }
+        oversized.forEach(add)
+      }
+      return [...found].sort((a, b) => a - b)
+    }
+  }
+}
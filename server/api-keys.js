@@ -0,0 +1,224 @@
+// ══════════════════════════════════════════════════════════════════════
+//  API keys — file-backed store of client keys with per-key rate limits and daily quotas
+//  Only a SHA-256 hash of each key is stored; the key itself is shown once, on creation.
+//  Rate limits are token buckets held in memory (requests per minute); quotas count
+//  extractions per UTC day and are persisted with the usage counters.
+// ══════════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ tag: 'Auth' });
+
+const KEY_PREFIX = 'bb_';
+const SAVE_DEBOUNCE_MS = 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+
+// Seconds until the next UTC midnight, when daily quotas reset
+function secondsUntilUtcMidnight(now) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((midnight.getTime() - now) / 1000));
+}
+
+// Positive integer limit, or the default when not given; throws on anything else
+function parseLimit(value, name, fallback) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`${name} must be a positive integer`);
+  return n;
+}
+
+function createApiKeyStore({ filePath, rateLimitPerMin, dailyQuota }) {
+  const keys = new Map();    // id → entry
+  const byHash = new Map();  // key hash → entry
+  const buckets = new Map(); // id → { tokens, updatedAt }
+  let saveTimer = null;
+
+  const index = (entry) => {
+    keys.set(entry.id, entry);
+    byHash.set(entry.hash, entry);
+  };
+
+  // ── Persistence: one JSON file, rewritten atomically (same scheme as the boundary cache) ──
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ keys: [...keys.values()] }, null, 2), { mode: 0o600 });
+      fs.renameSync(tmp, filePath);
+    } catch (err) {
+      log.warn('Failed to save the API key file', { file: filePath, error: err.message });
+    }
+  };
+
+  const scheduleSave = () => {
+    if (!saveTimer) saveTimer = setTimeout(save, SAVE_DEBOUNCE_MS);
+  };
+
+  const load = () => {
+    if (!fs.existsSync(filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const entry of data.keys || []) index(entry);
+      log.info('API keys loaded', { file: filePath, keys: keys.size });
+    } catch (err) {
+      log.warn('Ignoring unreadable API key file', { file: filePath, error: err.message });
+    }
+  };
+
+  load();
+
+  const limitsOf = (entry) => ({
+    rateLimitPerMin: entry.rateLimitPerMin ?? rateLimitPerMin,
+    dailyQuota: entry.dailyQuota ?? dailyQuota,
+  });
+
+  // Today's usage, reset when the UTC day has changed
+  const usageToday = (entry, now) => {
+    const day = utcDay(now);
+    if (entry.usage?.day !== day) entry.usage = { day, count: 0 };
+    return entry.usage;
+  };
+
+  const quotaCheck = (entry, count, now) => {
+    const { dailyQuota: limit } = limitsOf(entry);
+    const remaining = limit - usageToday(entry, now).count;
+    return count > remaining
+      ? { ok: false, limit, remaining, retryAfterS: secondsUntilUtcMidnight(now) }
+      : { ok: true, limit, remaining, retryAfterS: null };
+  };
+
+  // Token bucket refilled continuously at rateLimitPerMin / 60 tokens per second
+  const bucketOf = (entry, now) => {
+    const { rateLimitPerMin: capacity } = limitsOf(entry);
+    const bucket = buckets.get(entry.id) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 60_000) * capacity);
+    bucket.updatedAt = now;
+    buckets.set(entry.id, bucket);
+    return bucket;
+  };
+
+  return {
+    // New key { name, rateLimitPerMin?, dailyQuota? } (null limits follow the server defaults).
+    // Returns { entry, key }; `key` is not stored and cannot be recovered later.
+    create({ name, rateLimitPerMin: rate = null, dailyQuota: quota = null }) {
+      const label = String(name ?? '').trim();
+      if (!label) throw new Error('A key needs a name');
+      const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+      const entry = {
+        id: crypto.randomUUID(),
+        name: label,
+        hash: hashKey(key),
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        rateLimitPerMin: parseLimit(rate, 'rate_limit_per_min', null),
+        dailyQuota: parseLimit(quota, 'daily_quota', null),
+        createdAt: Date.now(),
+        revokedAt: null,
+        lastUsedAt: null,
+        totalRequests: 0,
+        totalExtractions: 0,
+        usage: { day: utcDay(Date.now()), count: 0 },
+      };
+      index(entry);
+      save();
+      return { entry, key };
+    },
+
+    // Active entry for a presented key, or null (unknown or revoked)
+    authenticate(key) {
+      if (!key) return null;
+      const entry = byHash.get(hashKey(String(key)));
+      return entry && !entry.revokedAt ? entry : null;
+    },
+
+    // Take one request from the key's rate limit.
+    // Returns { ok, limit, remaining, retryAfterS } — retryAfterS is set when ok is false.
+    takeRequest(entry, now = Date.now()) {
+      const { rateLimitPerMin: limit } = limitsOf(entry);
+      const bucket = bucketOf(entry, now);
+      if (bucket.tokens < 1) {
+        return { ok: false, limit, remaining: 0, retryAfterS: Math.ceil(((1 - bucket.tokens) * 60) / limit) };
+      }
+      bucket.tokens -= 1;
+      entry.totalRequests++;
+      entry.lastUsedAt = now;
+      scheduleSave();
+      return { ok: true, limit, remaining: Math.floor(bucket.tokens), retryAfterS: null };
+    },
+
+    // Whether today's quota still covers `count` extractions, without charging them.
+    // Returns { ok, limit, remaining, retryAfterS } — retryAfterS (until UTC midnight) when ok is false.
+    checkQuota(entry, count = 1, now = Date.now()) {
+      return quotaCheck(entry, count, now);
+    },
+
+    // Charge `count` extractions to today's quota, all or nothing. Returns the same as checkQuota,
+    // with `remaining` after the charge.
+    chargeQuota(entry, count = 1, now = Date.now()) {
+      const check = quotaCheck(entry, count, now);
+      if (!check.ok) return check;
+      usageToday(entry, now).count += count;
+      entry.totalExtractions += count;
+      scheduleSave();
+      return { ...check, remaining: check.remaining - count };
+    },
+
+    // Revoke a key (kept in the list with its usage); false when the id is unknown
+    revoke(id) {
+      const entry = keys.get(id);
+      if (!entry) return false;
+      if (!entry.revokedAt) {
+        entry.revokedAt = Date.now();
+        buckets.delete(id);
+        save();
+      }
+      return true;
+    },
+
+    get(id) {
+      return keys.get(id) || null;
+    },
+
+    list() {
+      return [...keys.values()];
+    },
+
+    // Effective limits and today's usage of an entry
+    describe(entry, now = Date.now()) {
+      const { rateLimitPerMin: rate, dailyQuota: quota } = limitsOf(entry);
+      const today = entry.usage?.day === utcDay(now) ? entry.usage.count : 0;
+      return {
+        id: entry.id,
+        name: entry.name,
+        prefix: entry.prefix,
+        status: entry.revokedAt ? 'revoked' : 'active',
+        rate_limit_per_min: rate,
+        daily_quota: quota,
+        usage: {
+          today,
+          quota_remaining: Math.max(0, quota - today),
+          total_requests: entry.totalRequests,
+          total_extractions: entry.totalExtractions,
+        },
+        created_at: new Date(entry.createdAt).toISOString(),
+        last_used_at: entry.lastUsedAt ? new Date(entry.lastUsedAt).toISOString() : null,
+        revoked_at: entry.revokedAt ? new Date(entry.revokedAt).toISOString() : null,
+      };
+    },
+
+    flush: save,
+
+    stats() {
+      const active = [...keys.values()].filter((e) => !e.revokedAt).length;
+      return { file: filePath, keys: keys.size, active, revoked: keys.size - active };
+    },
+  };
+}
+
+module.exports = { createApiKeyStore };
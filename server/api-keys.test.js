@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApiKeyStore } = require('./api-keys');
+
+const DAY = Date.UTC(2026, 0, 15, 12);
+
+function createStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createApiKeyStore({ filePath: path.join(dir, 'keys.json'), rateLimitPerMin: 60, dailyQuota: 5 });
+}
+
+test('checkQuota reports what is left without charging', (t) => {
+  const store = createStore(t);
+  const { entry } = store.create({ name: 'client' });
+  assert.deepEqual(store.checkQuota(entry, 5, DAY), { ok: true, limit: 5, remaining: 5, retryAfterS: null });
+  assert.equal(store.checkQuota(entry, 6, DAY).ok, false);
+  assert.equal(entry.usage.count, 0);
+  assert.equal(entry.totalExtractions, 0);
+});
+
+test('chargeQuota is all or nothing and resets at UTC midnight', (t) => {
+  const store = createStore(t);
+  const { entry } = store.create({ name: 'client' });
+  assert.deepEqual(store.chargeQuota(entry, 3, DAY), { ok: true, limit: 5, remaining: 2, retryAfterS: null });
+
+  const refused = store.chargeQuota(entry, 3, DAY);
+  assert.equal(refused.ok, false);
+  assert.equal(refused.remaining, 2);
+  assert.equal(refused.retryAfterS, 12 * 3600);
+  assert.equal(entry.totalExtractions, 3);
+
+  assert.equal(store.chargeQuota(entry, 5, DAY + 12 * 3600 * 1000).remaining, 0);
+});
@@ -0,0 +1,253 @@
+// ══════════════════════════════════════════════════════════════════════
+//  Merge benchmark — times pickOrMergeSourceFeatures on dense inputs with and without the
+//  bbox prefilter (core/spatial-index.js), and with the cluster unioned member by member as it
+//  grows (the default) or in one sweep at the end, and checks all three give the same footprint.
+//  Inputs are every building fragment of the tile window around each point, replayed from
+//  fixtures (fixtures/bench holds generated districts, see fixture-tiles.js), or a synthetic
+//  downtown grid that needs no fixtures at all.
+//
+//    npm run bench                          # replay fixtures/bench, compare the three modes
+//    npm run bench -- --record --fixtures fixtures/recorded   # fetch real tiles and save them
+//    npm run bench -- --synthetic           # generated grid of row-house blocks, no tiles needed
+//
+//  Exit code 1 when the modes disagree on any input.
+// ══════════════════════════════════════════════════════════════════════
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { TILE_ZOOM, lngLatToTile, createFixtureFetcher, decodeTileFeatures } = require('./tile-engine');
+
+// City centres of the dense fixtures: thousands of building fragments per 3×3 tile window
+const DEFAULT_POINTS = [
+  { lat: 40.7549, lng: -73.984 },   // Midtown Manhattan
+  { lat: 35.6938, lng: 139.7034 },  // Shinjuku
+  { lat: 48.8698, lng: 2.3311 },    // Paris, Opéra
+  { lat: 41.3874, lng: 2.1686 },    // Barcelona, Eixample
+];
+
+const DEFAULTS = {
+  points: null,
+  fixtures: path.resolve(__dirname, 'fixtures/bench'),
+  radius: 1,
+  runs: 5,
+  blocks: 12,
+  presets: ['default', 'campus'],
+  areaMultiplier: null,
+};
+
+const USAGE = `Usage: node bench-merge.js [options]
+  --points <file>        point list, CSV or lat<TAB>lng (default: ${DEFAULT_POINTS.length} built-in city centres)
+  --fixtures <dir>       fixture directory with tiles/ (default fixtures/bench)
+  --record               fetch tiles from TILES_URL (or MapTiler) and save them as fixtures
+  --radius <n>           tile window radius around each point (default ${DEFAULTS.radius}, i.e. 3×3 tiles)
+  --runs <n>             timed runs per mode; the median is reported (default ${DEFAULTS.runs})
+  --preset <names>       comma-separated extraction presets whose guards to merge with
+                         (default ${DEFAULTS.presets.join(',')}; looser guards grow larger clusters)
+  --area-multiplier <n>  override the presets' area guard, to grow larger clusters still
+  --synthetic [blocks]   benchmark a generated blocks×blocks downtown grid instead (default ${DEFAULTS.blocks})`;
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS, record: false, synthetic: false };
+  const value = (i) => {
+    if (argv[i + 1] === undefined) throw new Error(`${argv[i]} needs a value`);
+    return argv[i + 1];
+  };
+  const count = (i) => {
+    const n = Number(value(i));
+    if (!Number.isInteger(n) || n < 1) throw new Error(`${argv[i]} must be a positive integer`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--points': args.points = path.resolve(value(i)); i++; break;
+      case '--fixtures': args.fixtures = path.resolve(value(i)); i++; break;
+      case '--record': args.record = true; break;
+      case '--radius': args.radius = count(i); i++; break;
+      case '--runs': args.runs = count(i); i++; break;
+      case '--preset': args.presets = value(i).split(',').map((name) => name.trim()); i++; break;
+      case '--area-multiplier': args.areaMultiplier = count(i); i++; break;
+      case '--synthetic':
+        args.synthetic = true;
+        if (/^\d+$/.test(argv[i + 1] || '')) { args.blocks = count(i); i++; }
+        break;
+      case '--help': console.log(USAGE); process.exit(0); break;
+      default: throw new Error(`Unknown option ${argv[i]}\n${USAGE}`);
+    }
+  }
+  if (args.record && args.synthetic) throw new Error('--record and --synthetic cannot be combined');
+  return args;
+}
+
+// ── Inputs ──
+
+// Every building fragment of the tile window around a point, as the tiles engine decodes them
+async function loadTileInput(point, ctx) {
+  const { args, fetchTile, layerPolicy, matchesLayerPolicy } = ctx;
+  const center = lngLatToTile(point.lng, point.lat, TILE_ZOOM);
+  const n = 2 ** TILE_ZOOM;
+  const tiles = [];
+  for (let dy = -args.radius; dy <= args.radius; dy++) {
+    for (let dx = -args.radius; dx <= args.radius; dx++) {
+      const x = (((center.x + dx) % n) + n) % n;
+      const y = center.y + dy;
+      if (y < 0 || y >= n) continue;
+      tiles.push(fetchTile(TILE_ZOOM, x, y).then((buf) => decodeTileFeatures(buf, TILE_ZOOM, x, y, layerPolicy.sourceLayers)));
+    }
+  }
+  const fragments = (await Promise.all(tiles)).flat().filter((f) => matchesLayerPolicy(f, layerPolicy));
+  return {
+    name: `${point.lat},${point.lng}`,
+    fragments,
+    lngLat: [point.lng, point.lat],
+    tileGrid: { zoom: TILE_ZOOM, extent: fragments[0]?.extent },
+  };
+}
+
+// blocks×blocks city blocks, each two facing rows of 10 row houses sharing their side walls;
+// every house is cut in two along its depth, like a building clipped at a tile edge.
+// Deterministic, so runs are comparable across machines.
+function syntheticInput(blocks) {
+  const HOUSES = 10;
+  const HOUSE_W = 0.0001;   // ≈ 11 m
+  const HOUSE_D = 0.00015;  // ≈ 17 m
+  const STREET = 0.0002;
+  const blockW = HOUSES * HOUSE_W + STREET;
+  const blockH = 2 * HOUSE_D + STREET;
+  const rect = (w, s, e, n) => [[[w, s], [e, s], [e, n], [w, n], [w, s]]];
+
+  const fragments = [];
+  let id = 1;
+  for (let by = 0; by < blocks; by++) {
+    for (let bx = 0; bx < blocks; bx++) {
+      for (let row = 0; row < 2; row++) {
+        for (let h = 0; h < HOUSES; h++) {
+          const w = bx * blockW + h * HOUSE_W;
+          const s = by * blockH + row * HOUSE_D;
+          const mid = s + HOUSE_D / 2;
+          for (const coordinates of [rect(w, s, w + HOUSE_W, mid), rect(w, mid, w + HOUSE_W, s + HOUSE_D)]) {
+            fragments.push({ type: 'Feature', id, properties: { render_height: 12 }, geometry: { type: 'Polygon', coordinates } });
+          }
+          id++;
+        }
+      }
+    }
+  }
+  const middle = Math.floor(blocks / 2);
+  const lngLat = [middle * blockW + 4.5 * HOUSE_W, middle * blockH + HOUSE_D * 0.25];
+  return { name: `synthetic ${blocks}×${blocks} blocks`, fragments, lngLat, tileGrid: null };
+}
+
+// ── Timing ──
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Merge options of each timed mode
+const MODES = {
+  indexed: { spatialIndex: true },
+  sweep: { spatialIndex: true, union: 'sweep' },
+  unindexed: { spatialIndex: false },
+};
+
+// One untimed round, then `runs` rounds that merge once in every mode, so JIT and GC costs
+// fall on all modes alike. Returns { [mode]: { ms, areaM2, merged } } with the median time.
+function timeModes(input, params, ctx) {
+  const { pickOrMergeSourceFeatures, turf } = ctx;
+  const timed = Object.fromEntries(Object.keys(MODES).map((name) => [name, { times: [], result: null, report: {} }]));
+  for (let round = 0; round <= ctx.args.runs; round++) {
+    for (const [name, mode] of Object.entries(MODES)) {
+      const run = timed[name];
+      const startedAt = performance.now();
+      run.result = pickOrMergeSourceFeatures(input.fragments, input.lngLat, {
+        areaMultiplier: params.areaMultiplier,
+        maxDistanceKm: params.maxNeighborDistanceKm,
+        maxBuildingAreaM2: params.maxBuildingAreaM2,
+        multipart: params.multipart,
+        tileGrid: input.tileGrid || undefined,
+        ...mode,
+        report: run.report,
+      });
+      if (round > 0) run.times.push(performance.now() - startedAt);
+    }
+  }
+  return Object.fromEntries(Object.entries(timed).map(([name, { times, result, report }]) => [name, {
+    ms: median(times),
+    areaM2: result?.geometry ? turf.area(result.geometry) : 0,
+    merged: report.merged,
+  }]));
+}
+
+function benchInput(input, params, ctx) {
+  const { indexed, sweep, unindexed } = timeModes(input, params, ctx);
+  const same = [sweep, unindexed].every((other) => other.merged === indexed.merged
+    && Math.abs(other.areaM2 - indexed.areaM2) <= 1e-6 * Math.max(1, indexed.areaM2));
+  return {
+    name: input.name,
+    preset: params.preset,
+    fragments: input.fragments.length,
+    merged: indexed.merged,
+    area_m2: Math.round(indexed.areaM2),
+    indexed_ms: Number(indexed.ms.toFixed(2)),
+    sweep_ms: Number(sweep.ms.toFixed(2)),
+    unindexed_ms: Number(unindexed.ms.toFixed(2)),
+    speedup: Number((unindexed.ms / Math.max(indexed.ms, 0.001)).toFixed(1)),
+    same,
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const {
+    pickOrMergeSourceFeatures, normalizeExtractionParams, normalizeLayerPolicy, matchesLayerPolicy, parseDelimitedPoints,
+  } = await import('../core/index.js');
+  const ctx = { args, pickOrMergeSourceFeatures, turf: require('@turf/turf') };
+  const paramSets = args.presets.map((preset) => normalizeExtractionParams({ preset, areaMultiplier: args.areaMultiplier }));
+
+  const inputs = [];
+  if (args.synthetic) {
+    inputs.push(syntheticInput(args.blocks));
+  } else {
+    const tilesDir = path.join(args.fixtures, 'tiles');
+    if (!args.record && !fs.existsSync(tilesDir)) {
+      throw new Error(`No fixtures in ${args.fixtures} — record them with --record, or use --synthetic`);
+    }
+    const points = args.points ? parseDelimitedPoints(fs.readFileSync(args.points, 'utf8')) : DEFAULT_POINTS;
+    Object.assign(ctx, {
+      fetchTile: createFixtureFetcher(tilesDir, args.record),
+      layerPolicy: normalizeLayerPolicy(process.env.LAYER_POLICY_FILE
+        ? JSON.parse(fs.readFileSync(path.resolve(__dirname, process.env.LAYER_POLICY_FILE), 'utf8'))
+        : undefined),
+      matchesLayerPolicy,
+    });
+    console.log(`[Bench] ${points.length} points, fixtures ${args.fixtures}${args.record ? ' (recording)' : ''}`);
+    for (const point of points) inputs.push(await loadTileInput(point, ctx));
+  }
+
+  let mismatches = 0;
+  for (const input of inputs) {
+    if (input.fragments.length === 0) {
+      console.log(`[Bench] ${input.name}: no building fragments, skipped`);
+      continue;
+    }
+    for (const params of paramSets) {
+      const r = benchInput(input, params, ctx);
+      if (!r.same) mismatches++;
+      console.log(`[Bench] ${r.name} [${r.preset}]: ${r.fragments} fragments, ${r.merged} merged (${r.area_m2} m²) — `
+        + `indexed ${r.indexed_ms} ms (single-sweep union ${r.sweep_ms} ms), unindexed ${r.unindexed_ms} ms, `
+        + `×${r.speedup}${r.same ? '' : ' — RESULTS DIFFER'}`);
+    }
+  }
+  process.exitCode = mismatches > 0 ? 1 : 0;
+}
+
+// fixture-tiles.js lays its dense scenes out around DEFAULT_POINTS
+module.exports = { DEFAULT_POINTS };
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`[Bench] ${err.message}`);
+    process.exitCode = 1;
+  });
+}
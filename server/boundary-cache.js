@@ -0,0 +1,211 @@
+// ══════════════════════════════════════════════════════════════════════
+//  Boundary cache — file-backed store of extracted building polygons
+//  Entries are indexed on a lat/lng grid; a lookup point that falls inside a cached
+//  polygon (same tile data version, not expired) is a hit.
+// ══════════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const turf = require('@turf/turf');
+const { logger } = require('./logger');
+
+const log = logger.child({ tag: 'Cache' });
+
+const GRID_CELL_DEG = 0.01;    // ~1 km cells for the spatial index
+const SAVE_DEBOUNCE_MS = 1000;
+
+const cellKey = (cx, cy) => `${cx}:${cy}`;
+const toCell = (deg) => Math.floor(deg / GRID_CELL_DEG);
+
+function createBoundaryCache({ filePath, ttlMs, dataVersion }) {
+  const entries = new Map(); // id → entry
+  const grid = new Map();    // cell key → Set<id>
+  const counters = { hits: 0, misses: 0, stores: 0 };
+  let saveTimer = null;
+
+  // Every grid cell an entry's bbox overlaps
+  const cellsOf = ([w, s, e, n]) => {
+    const keys = [];
+    for (let cx = toCell(w); cx <= toCell(e); cx++) {
+      for (let cy = toCell(s); cy <= toCell(n); cy++) keys.push(cellKey(cx, cy));
+    }
+    return keys;
+  };
+
+  const index = (entry) => {
+    entries.set(entry.id, entry);
+    for (const key of cellsOf(entry.bbox)) {
+      if (!grid.has(key)) grid.set(key, new Set());
+      grid.get(key).add(entry.id);
+    }
+  };
+
+  const unindex = (entry) => {
+    entries.delete(entry.id);
+    for (const key of cellsOf(entry.bbox)) {
+      const ids = grid.get(key);
+      if (!ids) continue;
+      ids.delete(entry.id);
+      if (ids.size === 0) grid.delete(key);
+    }
+  };
+
+  const isLive = (entry, now = Date.now()) => entry.version === dataVersion && entry.expiresAt > now;
+
+  // ── Persistence: the whole store is one JSON file, rewritten atomically ──
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ entries: [...entries.values()] }));
+      fs.renameSync(tmp, filePath);
+    } catch (err) {
+      log.warn('Failed to save the cache file', { file: filePath, error: err.message });
+    }
+  };
+
+  const scheduleSave = () => {
+    if (!saveTimer) saveTimer = setTimeout(save, SAVE_DEBOUNCE_MS);
+  };
+
+  const load = () => {
+    if (!fs.existsSync(filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const entry of data.entries || []) index(entry);
+      log.info('Cache loaded', { file: filePath, entries: entries.size });
+    } catch (err) {
+      log.warn('Ignoring unreadable cache file', { file: filePath, error: err.message });
+    }
+  };
+
+  load();
+
+  return {
+    // Cached entry whose polygon contains the point and that was extracted with the same
+    // parameters (see paramsKey in server.js), or null
+    lookup(latNum, lngNum, { paramsKey = 'default' } = {}) {
+      const ids = grid.get(cellKey(toCell(lngNum), toCell(latNum)));
+      const pt = turf.point([lngNum, latNum]);
+      const now = Date.now();
+      for (const id of ids || []) {
+        const entry = entries.get(id);
+        const [w, s, e, n] = entry.bbox;
+        if (lngNum < w || lngNum > e || latNum < s || latNum > n || !isLive(entry, now)) continue;
+        if ((entry.paramsKey || 'default') !== paramsKey) continue;
+        try {
+          if (!turf.booleanPointInPolygon(pt, entry.geojson)) continue;
+        } catch (_) { continue; }
+        entry.hits++;
+        entry.lastHitAt = now;
+        counters.hits++;
+        scheduleSave();
+        return entry;
+      }
+      counters.misses++;
+      return null;
+    },
+
+    // Store a freshly extracted Feature, replacing entries with the same parameters that cover
+    // the same input point; returns the new entry
+    store(geojson, { lat, lng, engine, paramsKey = 'default', layer = null, diagnostics = null }) {
+      const now = Date.now();
+      const pt = turf.point([lng, lat]);
+      for (const id of grid.get(cellKey(toCell(lng), toCell(lat))) || []) {
+        const old = entries.get(id);
+        if ((old.paramsKey || 'default') !== paramsKey) continue;
+        try {
+          if (turf.booleanPointInPolygon(pt, old.geojson)) unindex(old);
+        } catch (_) { continue; }
+      }
+      const entry = {
+        id: crypto.randomUUID(),
+        version: dataVersion,
+        engine,
+        paramsKey,
+        layer,
+        diagnostics,
+        input: { lat, lng },
+        bbox: turf.bbox(geojson),
+        geojson,
+        createdAt: now,
+        expiresAt: now + ttlMs,
+        hits: 0,
+        lastHitAt: null,
+      };
+      index(entry);
+      counters.stores++;
+      scheduleSave();
+      return entry;
+    },
+
+    get(id) {
+      return entries.get(id) || null;
+    },
+
+    list() {
+      return [...entries.values()];
+    },
+
+    delete(id) {
+      const entry = entries.get(id);
+      if (!entry) return false;
+      unindex(entry);
+      scheduleSave();
+      return true;
+    },
+
+    // Remove entries matching a filter: { expired, version }; no filter removes everything
+    purge({ expired = false, version = null } = {}) {
+      const now = Date.now();
+      let removed = 0;
+      for (const entry of [...entries.values()]) {
+        if (expired && isLive(entry, now)) continue;
+        if (version != null && entry.version !== version) continue;
+        unindex(entry);
+        removed++;
+      }
+      if (removed > 0) scheduleSave();
+      return removed;
+    },
+
+    flush: save,
+
+    stats() {
+      const now = Date.now();
+      const live = [...entries.values()].filter((e) => isLive(e, now)).length;
+      return {
+        file: filePath,
+        data_version: dataVersion,
+        ttl_s: Math.round(ttlMs / 1000),
+        entries: entries.size,
+        live,
+        stale: entries.size - live,
+        ...counters,
+      };
+    },
+  };
+}
+
+// Public view of an entry (timestamps as ISO strings)
+function describeEntry(entry, { withGeometry = false } = {}) {
+  return {
+    id: entry.id,
+    version: entry.version,
+    engine: entry.engine,
+    params_key: entry.paramsKey || 'default',
+    layer: entry.layer ?? null,
+    confidence: entry.diagnostics?.confidence ?? null,
+    input: entry.input,
+    bbox: entry.bbox,
+    created_at: new Date(entry.createdAt).toISOString(),
+    expires_at: new Date(entry.expiresAt).toISOString(),
+    hits: entry.hits,
+    last_hit_at: entry.lastHitAt ? new Date(entry.lastHitAt).toISOString() : null,
+    ...(withGeometry ? { geojson: entry.geojson } : {}),
+  };
+}
+
+module.exports = { createBoundaryCache, describeEntry };
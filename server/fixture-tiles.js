@@ -0,0 +1,232 @@
+// ══════════════════════════════════════════════════════════════════════
+//  Synthetic fixture tiles — writes the .pbf fixtures the tests and offline harnesses replay.
+//  A scene is a set of building footprints laid out in metres around a z14 tile corner, so
+//  buildings straddle the tile seams. The footprints are clipped into tiles the way a tile
+//  server clips them (geojson-vt, no buffer), encoded as gzipped MVT (vt-pbf) into
+//  <dir>/tiles/{z}/{x}/{y}.pbf, and saved whole in <dir>/buildings.geojson as the ground truth
+//  (unless the scene sets `truth: false`).
+//  Vertices are snapped to the z14 tile grid, so the encoding is lossless. Scenes with goldens
+//  also write <dir>/golden/<lat>_<lng>.geojson, the footprint expected at each point.
+//
+//    npm run fixtures                   # regenerate every scene
+//    npm run fixtures -- tile-engine    # regenerate one scene
+// ══════════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { default: geojsonvt } = require('geojson-vt');
+const vtpbf = require('vt-pbf');
+const { TILE_ZOOM, lngLatToTile } = require('./tile-engine');
+
+const EXTENT = 4096;
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+
+// ── Tile grid ──
+// World units: tile units at TILE_ZOOM, counted from the antimeridian / north edge
+const WORLD = 2 ** TILE_ZOOM * EXTENT;
+const toLng = (ux) => (ux / WORLD) * 360 - 180;
+const toLat = (uy) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * uy) / WORLD))) * 180) / Math.PI;
+
+const toWorldX = (lng) => ((lng + 180) / 360) * WORLD;
+const toWorldY = (lat) => {
+  const latRad = (lat * Math.PI) / 180;
+  return ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * WORLD;
+};
+
+// Frame of a scene: the south-east corner of the z14 tile holding (lat, lng), where four
+// tiles meet. at(east, north) maps metres from that corner to a [lng, lat] on the tile grid;
+// metresOf(lng, lat) is the inverse.
+function sceneFrame(lat, lng) {
+  const tile = lngLatToTile(lng, lat, TILE_ZOOM);
+  const [cx, cy] = [(tile.x + 1) * EXTENT, (tile.y + 1) * EXTENT];
+  const metresPerUnit = (EARTH_CIRCUMFERENCE_M * Math.cos((toLat(cy) * Math.PI) / 180)) / WORLD;
+  const at = (east, north) => [
+    toLng(cx + Math.round(east / metresPerUnit)),
+    toLat(cy - Math.round(north / metresPerUnit)),
+  ];
+  const metresOf = (lngValue, latValue) => [
+    (toWorldX(lngValue) - cx) * metresPerUnit,
+    (cy - toWorldY(latValue)) * metresPerUnit,
+  ];
+  return { at, metresOf, tile, metresPerUnit };
+}
+
+// Closed ring from [east, north] corners in metres
+const ring = (frame, corners) => [...corners, corners[0]].map(([east, north]) => frame.at(east, north));
+// Axis-aligned rectangle [west, south, east, north] in metres
+const rect = (w, s, e, n) => [[w, s], [e, s], [e, n], [w, n]];
+
+function building(frame, id, rings, properties = {}) {
+  return {
+    type: 'Feature',
+    id,
+    properties: { render_height: 12, ...properties },
+    geometry: { type: 'Polygon', coordinates: rings.map((corners) => ring(frame, corners)) },
+  };
+}
+
+// ── Scenes ──
+
+// Small seam cases for server/tile-engine.test.js, in Zürich
+function tileEngineScene() {
+  const frame = sceneFrame(47.3769, 8.5417);
+  return {
+    dir: 'fixtures/tile-engine',
+    buildings: [
+      // L-shaped, across the vertical seam
+      building(frame, 101, [[[-20, 30], [25, 30], [25, 60], [5, 60], [5, 45], [-20, 45]]]),
+      // Across the corner, one fragment in each of the four tiles
+      building(frame, 102, [rect(-15, -12, 15, 12)], { render_height: 30 }),
+      // Neighbour of 101 across a 12 m street
+      building(frame, 103, [rect(37, 30, 60, 60)]),
+      // Courtyard block inside one tile
+      building(frame, 104, [rect(-80, -60, -40, -20), rect(-70, -50, -50, -30)]),
+    ],
+  };
+}
+
+// Footprint templates for the regression scene, in metres around the point (which each
+// one contains, away from its walls)
+const REGRESSION_SHAPES = [
+  [rect(-15, -10, 15, 10)],                                                      // block
+  [[[-20, -15], [20, -15], [20, 5], [5, 5], [5, 25], [-20, 25]]],                // L
+  [rect(-25, -25, 25, 25), rect(5, -15, 18, 15)],                                // courtyard
+  [[[-25, -5], [25, -5], [25, 8], [6, 8], [6, 30], [-6, 30], [-6, 8], [-25, 8]]], // T
+  [rect(-60, -40, 60, 40)],                                                      // warehouse
+  [rect(-5, -4, 6, 5)],                                                          // house
+];
+
+// One building at every point of lat-long.txt (the UI's TEST_COORDINATES), cycling through
+// REGRESSION_SHAPES, with a terraced neighbour sharing its west wall and a detached one 8 m
+// east. The golden of each point is its building.
+async function regressionScene() {
+  const { parseDelimitedPoints } = await import('../core/points.js');
+  const listed = parseDelimitedPoints(fs.readFileSync(path.resolve(__dirname, '../lat-long.txt'), 'utf8'));
+  const points = [...new Map(listed.map((p) => [`${p.lat}_${p.lng}`, p])).values()]; // the list repeats a few
+  const buildings = [];
+  const goldens = [];
+  points.forEach((point, i) => {
+    const frame = sceneFrame(point.lat, point.lng);
+    const [e0, n0] = frame.metresOf(point.lng, point.lat);
+    const shift = (rings) => rings.map((corners) => corners.map(([east, north]) => [east + e0, north + n0]));
+    const shape = REGRESSION_SHAPES[i % REGRESSION_SHAPES.length];
+    const [w, s, e, n] = [0, 1, 0, 1].map((axis, k) => (k < 2 ? Math.min : Math.max)(...shape[0].map((c) => c[axis])));
+
+    const target = building(frame, 1000 * (i + 1), shift(shape));
+    buildings.push(
+      target,
+      building(frame, 1000 * (i + 1) + 1, shift([rect(w - 12, s, w, Math.min(n, s + 20))])),
+      building(frame, 1000 * (i + 1) + 2, shift([rect(e + 8, s, e + 28, Math.min(n, s + 20))])),
+    );
+    goldens.push({ point, feature: target });
+  });
+  return { dir: 'fixtures/regression', buildings, goldens };
+}
+
+// Downtown district for the merge benchmark: cols × rows city blocks of 132 × 56 m. Most are
+// two facing rows of 10 terraced houses; some are perimeter blocks around a courtyard, some one
+// building split into 12 parts. The tiles clip whatever crosses a seam. The point lies in a
+// house of the middle block.
+function districtBuildings(frame, point, { cols, rows, firstId }) {
+  const HOUSES = 10;
+  const [HOUSE_W, HOUSE_D, STREET] = [11, 17, 22];
+  const [blockW, blockH] = [HOUSES * HOUSE_W + STREET, 2 * HOUSE_D + STREET];
+  const [midX, midY] = [Math.floor(cols / 2), Math.floor(rows / 2)];
+  const [e0, n0] = frame.metresOf(point.lng, point.lat);
+  // District origin, so the point is a quarter into house 4 of the middle block's first row
+  const [ox, oy] = [e0 - midX * blockW - 4.5 * HOUSE_W, n0 - midY * blockH - 0.25 * HOUSE_D];
+  const at = ([east, north]) => [east + ox, north + oy];
+  const rectAt = (w, s, e, n) => rect(w, s, e, n).map(at);
+
+  const buildings = [];
+  let id = firstId;
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      const [w, s] = [bx * blockW, by * blockH];
+      const [e, n] = [w + HOUSES * HOUSE_W, s + 2 * HOUSE_D];
+      const kind = bx === midX && by === midY ? 0 : (bx * 7 + by * 3) % 5;
+      if (kind === 1) {
+        buildings.push(building(frame, id++, [rectAt(w, s, e, n), rectAt(w + 12, s + 10, e - 12, n - 10)]));
+      } else if (kind === 2) {
+        for (let part = 0; part < 12; part++) {
+          const [col, row] = [part % 6, Math.floor(part / 6)];
+          const [pw, ps] = [w + (col * (e - w)) / 6, s + row * HOUSE_D];
+          buildings.push(building(frame, id++, [rectAt(pw, ps, pw + (e - w) / 6, ps + HOUSE_D)], { render_height: 20 + 4 * col }));
+        }
+      } else {
+        for (let row = 0; row < 2; row++) {
+          for (let h = 0; h < HOUSES; h++) {
+            const [hw, hs] = [w + h * HOUSE_W, s + row * HOUSE_D];
+            buildings.push(building(frame, id++, [rectAt(hw, hs, hw + HOUSE_W, hs + HOUSE_D)]));
+          }
+        }
+      }
+    }
+  }
+  return buildings;
+}
+
+// A 9 × 20 block district (≈ 1.2 × 1.1 km) around each city centre of bench-merge.js. Only the
+// tiles are written: the footprints matter as fragments, there is no expected result.
+function benchScene() {
+  const { DEFAULT_POINTS } = require('./bench-merge');
+  return {
+    dir: 'fixtures/bench',
+    truth: false,
+    buildings: DEFAULT_POINTS.flatMap((point, i) =>
+      districtBuildings(sceneFrame(point.lat, point.lng), point, { cols: 9, rows: 20, firstId: 100000 * (i + 1) })),
+  };
+}
+
+const SCENES = {
+  'tile-engine': tileEngineScene,
+  regression: regressionScene,
+  bench: benchScene,
+};
+
+// ── Writing ──
+
+function writeScene(scene) {
+  const dir = path.resolve(__dirname, scene.dir);
+  const collection = { type: 'FeatureCollection', features: scene.buildings };
+  const index = geojsonvt(collection, {
+    maxZoom: TILE_ZOOM, indexMaxZoom: TILE_ZOOM, indexMaxPoints: 0, tolerance: 0, extent: EXTENT, buffer: 0,
+  });
+
+  fs.rmSync(path.join(dir, 'tiles'), { recursive: true, force: true });
+  let written = 0;
+  for (const { z, x, y } of index.tileCoords) {
+    if (z !== TILE_ZOOM) continue;
+    const tile = index.getTile(z, x, y);
+    if (!tile || tile.features.length === 0) continue;
+    const file = path.join(dir, 'tiles', `${z}/${x}/${y}.pbf`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, zlib.gzipSync(vtpbf.fromGeojsonVt({ building: tile }, { version: 2, extent: EXTENT })));
+    written++;
+  }
+  if (scene.truth !== false) fs.writeFileSync(path.join(dir, 'buildings.geojson'), `${JSON.stringify(collection, null, 2)}\n`);
+  // Same file names as regression.js reads
+  for (const { point, feature } of scene.goldens || []) {
+    const file = path.join(dir, 'golden', `${point.lat}_${point.lng}.geojson`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(feature, null, 2)}\n`);
+  }
+  return written;
+}
+
+async function main() {
+  const names = process.argv.slice(2);
+  for (const name of names) {
+    if (!SCENES[name]) throw new Error(`Unknown scene "${name}" (scenes: ${Object.keys(SCENES).join(', ')})`);
+  }
+  for (const name of names.length > 0 ? names : Object.keys(SCENES)) {
+    const scene = await SCENES[name]();
+    const tiles = writeScene(scene);
+    console.log(`[Fixtures] ${name}: ${scene.buildings.length} buildings, ${tiles} tiles → ${scene.dir}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(`[Fixtures] ${err.message}`);
+  process.exitCode = 1;
+});
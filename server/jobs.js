@@ -0,0 +1,165 @@
+// ══════════════════════════════════════════════════════════════════════
+//  Batch jobs — in-memory job store with a shared, bounded worker queue
+//  Items from all jobs are processed FIFO by at most `concurrency` workers.
+// ══════════════════════════════════════════════════════════════════════
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const JOB_TTL_MS = 60 * 60 * 1000; // finished jobs are kept for 1 hour
+
+function createJobQueue({ concurrency, extract }) {
+  const jobs = new Map();
+  const queue = []; // pending { job, item }
+  let active = 0;
+
+  const pruneFinished = () => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) jobs.delete(id);
+    }
+  };
+
+  const finishIfDone = (job) => {
+    if (job.items.some((item) => item.status === 'pending' || item.status === 'running')) return;
+    job.status = 'completed';
+    job.finishedAt = Date.now();
+    logger.info('Batch job completed', {
+      tag: 'Batch',
+      job_id: job.id,
+      done: countBy(job, 'done'),
+      failed: countBy(job, 'failed'),
+      duration_ms: job.finishedAt - job.createdAt,
+    });
+  };
+
+  const runItem = async ({ job, item }) => {
+    item.status = 'running';
+    job.status = 'running';
+    const startTime = Date.now();
+    try {
+      const result = await extract(item.input.lat, item.input.lng, job.engine, job.options);
+      item.elapsed_s = elapsedSeconds(startTime);
+      item.cache = result.cache || null;
+      if (result.error) {
+        item.status = 'failed';
+        item.error = result.error;
+      } else {
+        item.status = 'done';
+        item.layer = result.layer || null;
+        item.diagnostics = result.diagnostics || null;
+        item.snap = result.snap || null;
+        item.postProcess = result.postProcess || null;
+        item.geojson = result.geojson;
+      }
+    } catch (err) {
+      item.elapsed_s = elapsedSeconds(startTime);
+      item.status = 'failed';
+      item.error = err.message;
+    }
+    finishIfDone(job);
+  };
+
+  // Start workers until the concurrency limit is reached or the queue is empty
+  const pump = () => {
+    while (active < concurrency && queue.length > 0) {
+      const next = queue.shift();
+      active++;
+      runItem(next).finally(() => {
+        active--;
+        pump();
+      });
+    }
+  };
+
+  return {
+    // Queue a list of { lat, lng, id? } points; `options` go to every extract call. Returns the new job
+    create(points, engine, options = {}) {
+      pruneFinished();
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        engine,
+        options,
+        createdAt: Date.now(),
+        finishedAt: null,
+        items: points.map((p, index) => ({
+          index,
+          id: p.id ?? null,
+          input: { lat: p.lat, lng: p.lng },
+          status: 'pending',
+          error: null,
+          elapsed_s: null,
+          cache: null,
+          layer: null,
+          diagnostics: null,
+          snap: null,
+          postProcess: null,
+          geojson: null,
+        })),
+      };
+      jobs.set(job.id, job);
+      for (const item of job.items) queue.push({ job, item });
+      if (job.items.length === 0) finishIfDone(job);
+      pump();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    stats() {
+      return { jobs: jobs.size, queued_items: queue.length, active_items: active, concurrency };
+    },
+  };
+}
+
+const elapsedSeconds = (startTime) => Number(((Date.now() - startTime) / 1000).toFixed(2));
+
+function countBy(job, status) {
+  return job.items.filter((item) => item.status === status).length;
+}
+
+// Status view of a job: progress counters plus per-item status and partial results
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    engine: job.engine,
+    params: job.options.params || null,
+    created_at: new Date(job.createdAt).toISOString(),
+    finished_at: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    progress: {
+      total: job.items.length,
+      done: countBy(job, 'done'),
+      failed: countBy(job, 'failed'),
+      running: countBy(job, 'running'),
+      pending: countBy(job, 'pending'),
+    },
+    items: job.items,
+  };
+}
+
+// Successful items as one FeatureCollection; each feature records the batch input it came from
+function jobToFeatureCollection(job) {
+  return {
+    type: 'FeatureCollection',
+    features: job.items
+      .filter((item) => item.status === 'done' && item.geojson)
+      .map((item) => ({
+        ...item.geojson,
+        properties: {
+          ...item.geojson.properties,
+          batch_index: item.index,
+          batch_id: item.id,
+          input_lat: item.input.lat,
+          input_lng: item.input.lng,
+          confidence: item.diagnostics?.confidence ?? null,
+          needs_review: item.diagnostics?.needsReview ?? null,
+          snap_distance_m: item.snap?.distanceM ?? null,
+        },
+      })),
+  };
+}
+
+module.exports = { createJobQueue, summarizeJob, jobToFeatureCollection };
@@ -0,0 +1,45 @@
+// ══════════════════════════════════════════════════════════════════════
+//  Structured logger — one JSON object per line on stdout/stderr
+//    { "time": "...", "level": "info", "tag": "API", "msg": "...", "request_id": "...", ... }
+//  LOG_FORMAT=pretty prints `[Tag] msg key=value` lines for local development instead.
+//  LOG_LEVEL (debug | info | warn | error, default info) drops anything below it.
+// ══════════════════════════════════════════════════════════════════════
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function formatPretty({ time, level, tag, msg, ...fields }) {
+  const extras = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  const prefix = level === 'info' ? '' : `${level.toUpperCase()} `;
+  return `${prefix}${tag ? `[${tag}] ` : ''}${msg}${extras ? ` ${extras}` : ''}`;
+}
+
+// Fields passed to child() are added to every entry; later fields win over earlier ones
+function createLogger({ level = 'info', format = 'json', fields = {} } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const write = (entryLevel, msg, extra) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: entryLevel, ...fields, msg, ...extra };
+    const line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    if (LEVELS[entryLevel] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+    else process.stdout.write(`${line}\n`);
+  };
+
+  return {
+    debug: (msg, extra = {}) => write('debug', msg, extra),
+    info: (msg, extra = {}) => write('info', msg, extra),
+    warn: (msg, extra = {}) => write('warn', msg, extra),
+    error: (msg, extra = {}) => write('error', msg, extra),
+    child: (extra) => createLogger({ level, format, fields: { ...fields, ...extra } }),
+  };
+}
+
+// Process-wide logger configured from the environment
+const logger = createLogger({
+  level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  format: (process.env.LOG_FORMAT || 'json').toLowerCase(),
+});
+
+module.exports = { createLogger, logger };
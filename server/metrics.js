@@ -0,0 +1,104 @@
+// ══════════════════════════════════════════════════════════════════════
+//  Metrics registry — counters, histograms and gauges rendered in the Prometheus text
+//  exposition format (served by GET /metrics). Labels are passed as plain objects.
+// ══════════════════════════════════════════════════════════════════════
+
+// Latency buckets in seconds: extractions range from a cache hit to a 120 s browser timeout
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series key: label values in the metric's declared label order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  const register = (metric) => {
+    metrics.push({ ...metric, name: `${prefix}${metric.name}` });
+    return metric;
+  };
+
+  return {
+    counter({ name, help, labelNames = [] }) {
+      const series = new Map();
+      // An unlabelled counter is exported as 0 before its first increment
+      if (labelNames.length === 0) series.set(seriesKey([], {}), { labels: {}, value: 0 });
+      return register({
+        name,
+        help,
+        type: 'counter',
+        inc(labels = {}, value = 1) {
+          const key = seriesKey(labelNames, labels);
+          const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+          current.value += value;
+          series.set(key, current);
+        },
+        samples: (fullName) => [...series.values()].map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${value}`),
+      });
+    },
+
+    histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+      const series = new Map();
+      return register({
+        name,
+        help,
+        type: 'histogram',
+        observe(labels = {}, value) {
+          const key = seriesKey(labelNames, labels);
+          let current = series.get(key);
+          if (!current) {
+            current = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+            series.set(key, current);
+          }
+          buckets.forEach((bound, i) => { if (value <= bound) current.counts[i]++; });
+          current.sum += value;
+          current.count++;
+        },
+        samples: (fullName) => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((bound, i) => `${fullName}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+          `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${fullName}_sum${formatLabels(labels)} ${Number(sum.toFixed(6))}`,
+          `${fullName}_count${formatLabels(labels)} ${count}`,
+        ]),
+      });
+    },
+
+    // Read at scrape time: collect() returns a number, or [{ labels, value }] for labelled series
+    gauge({ name, help, collect }) {
+      return register({
+        name,
+        help,
+        type: 'gauge',
+        samples(fullName) {
+          const value = collect();
+          const series = Array.isArray(value) ? value : [{ labels: {}, value }];
+          return series.map((s) => `${fullName}${formatLabels(s.labels)} ${Number(s.value) || 0}`);
+        },
+      });
+    },
+
+    // Prometheus text exposition format (version 0.0.4)
+    render() {
+      return metrics.map((metric) => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.samples(metric.name),
+      ].join('\n')).join('\n') + '\n';
+    },
+  };
+}
+
+module.exports = { createMetricsRegistry, DEFAULT_BUCKETS };
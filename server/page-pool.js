@@ -0,0 +1,129 @@
+// ══════════════════════════════════════════════════════════════════════
+//  Page pool — N warm Puppeteer pages, each holding a loaded map
+//  Bounded concurrency: at most `size` pages exist; callers beyond that wait in a
+//  FIFO queue for up to `maxWaitMs`. Pages are recycled after `maxUses` extractions
+//  or when released as unhealthy (WebGL context lost, timed-out run, crash).
+// ══════════════════════════════════════════════════════════════════════
+
+function createPagePool({ size, maxUses, maxWaitMs, createPage }) {
+  const idle = [];         // entries ready for reuse
+  const busy = new Set();  // entries checked out
+  const waiters = [];      // pending acquire() calls: { resolve, reject, timer }
+  let creating = 0;
+  const counters = { created: 0, recycled: 0, create_failures: 0, acquired: 0, wait_timeouts: 0 };
+
+  const isAlive = (entry) => !entry.page.isClosed() && entry.page.browser().connected;
+
+  const destroy = (entry) => {
+    counters.recycled++;
+    entry.page.close().catch(() => {});
+  };
+
+  const spawn = async () => {
+    creating++;
+    try {
+      const page = await createPage();
+      counters.created++;
+      return { page, uses: 0, createdAt: Date.now() };
+    } catch (err) {
+      counters.create_failures++;
+      throw err;
+    } finally {
+      creating--;
+    }
+  };
+
+  const checkout = (entry) => {
+    busy.add(entry);
+    counters.acquired++;
+    return entry;
+  };
+
+  // A slot freed up — give the next waiter an idle page, or a fresh one if capacity allows
+  const serveWaiters = () => {
+    while (waiters.length > 0) {
+      const entry = idle.pop();
+      if (entry) {
+        if (!isAlive(entry)) { destroy(entry); continue; }
+        const waiter = waiters.shift();
+        clearTimeout(waiter.timer);
+        waiter.resolve(checkout(entry));
+        continue;
+      }
+      if (busy.size + creating >= size) return;
+      const waiter = waiters.shift();
+      clearTimeout(waiter.timer);
+      spawn().then((e) => waiter.resolve(checkout(e)), waiter.reject);
+    }
+  };
+
+  return {
+    // Resolves to a pool entry ({ page, uses }); rejects with code POOL_TIMEOUT after maxWaitMs
+    async acquire() {
+      while (idle.length > 0) {
+        const entry = idle.pop();
+        if (isAlive(entry)) return checkout(entry);
+        destroy(entry);
+      }
+      if (busy.size + creating < size) return checkout(await spawn());
+
+      return new Promise((resolve, reject) => {
+        const waiter = { resolve, reject, timer: null };
+        waiter.timer = setTimeout(() => {
+          const i = waiters.indexOf(waiter);
+          if (i !== -1) waiters.splice(i, 1);
+          counters.wait_timeouts++;
+          const err = new Error(`No engine page available within ${maxWaitMs}ms`);
+          err.code = 'POOL_TIMEOUT';
+          reject(err);
+        }, maxWaitMs);
+        waiters.push(waiter);
+      });
+    },
+
+    // Return a page to the pool; `healthy: false` forces it to be recycled
+    release(entry, { healthy = true } = {}) {
+      busy.delete(entry);
+      entry.uses++;
+      if (!healthy || entry.uses >= maxUses || !isAlive(entry)) destroy(entry);
+      else idle.push(entry);
+      serveWaiters();
+    },
+
+    // Pre-create pages up to the pool size so the first requests hit a loaded map. Pages that
+    // started join the pool even when others fail; the failures are reported by rejecting.
+    async warm() {
+      const missing = size - idle.length - busy.size - creating;
+      const results = await Promise.allSettled(Array.from({ length: Math.max(0, missing) }, spawn));
+      idle.push(...results.filter((r) => r.status === 'fulfilled').map((r) => r.value));
+      serveWaiters();
+      const failed = results.filter((r) => r.status === 'rejected');
+      if (failed.length > 0) {
+        throw new Error(`${failed.length} of ${results.length} pages failed to start: ${failed[0].reason.message}`);
+      }
+    },
+
+    async close() {
+      for (const waiter of waiters.splice(0)) {
+        clearTimeout(waiter.timer);
+        waiter.reject(new Error('Page pool closed'));
+      }
+      for (const entry of idle.splice(0)) entry.page.close().catch(() => {});
+    },
+
+    metrics() {
+      return {
+        size,
+        max_uses: maxUses,
+        max_wait_ms: maxWaitMs,
+        idle: idle.length,
+        busy: busy.size,
+        starting: creating,
+        waiting: waiters.length,
+        ...counters,
+      };
+    },
+  };
+}
+
+module.exports = { createPagePool };
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPagePool } = require('./page-pool');
+
+const fakePage = () => ({ isClosed: () => false, browser: () => ({ connected: true }), close: async () => {} });
+
+test('warm keeps the pages that started when another one fails', async () => {
+  let calls = 0;
+  const pool = createPagePool({
+    size: 3,
+    maxUses: 10,
+    maxWaitMs: 100,
+    createPage: async () => {
+      calls++;
+      if (calls === 2) throw new Error('launch failed');
+      return fakePage();
+    },
+  });
+
+  await assert.rejects(pool.warm(), /1 of 3 pages failed to start: launch failed/);
+  const { idle, starting, created, create_failures: failures } = pool.metrics();
+  assert.deepEqual({ idle, starting, created, failures }, { idle: 2, starting: 0, created: 2, failures: 1 });
+
+  // The warmed pages are handed out before any new one is created
+  await pool.acquire();
+  await pool.acquire();
+  assert.equal(calls, 3);
+});
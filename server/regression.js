@@ -0,0 +1,173 @@
+// ══════════════════════════════════════════════════════════════════════
+//  Regression harness — runs the tiles engine over a point list (lat-long.txt, the same set as
+//  the UI's TEST_COORDINATES) against recorded tile fixtures and compares every footprint with
+//  its golden GeoJSON (IoU, area delta, Hausdorff distance). Works offline once recorded.
+//
+//    npm run regression                       # replay fixtures, compare, write the report
+//    npm run regression -- --record           # fetch tiles from TILES_URL/MapTiler and save them
+//    npm run regression -- --update-golden    # accept the current results as the new goldens
+//
+//  Exit code 1 when any point fails, errors or has no golden.
+// ══════════════════════════════════════════════════════════════════════
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { extractBuildingFromTiles, createFixtureFetcher } = require('./tile-engine');
+
+const DEFAULTS = {
+  points: path.resolve(__dirname, '../lat-long.txt'),
+  fixtures: path.resolve(__dirname, 'fixtures/regression'),
+  report: path.resolve(__dirname, 'data/regression-report.json'),
+  minIou: 0.95,
+  maxAreaDelta: 0.05,  // fraction of the golden area
+  maxHausdorff: 2,     // metres
+};
+
+const USAGE = `Usage: node regression.js [options]
+  --points <file>        point list, CSV or lat<TAB>lng (default ../lat-long.txt)
+  --fixtures <dir>       fixture directory with tiles/ and golden/ (default fixtures/regression)
+  --report <file>        JSON report path (default data/regression-report.json)
+  --record               fetch tiles from TILES_URL (or MapTiler) and save them as fixtures
+  --update-golden        write the current results as the golden polygons
+  --min-iou <n>          minimum intersection over union (default ${DEFAULTS.minIou})
+  --max-area-delta <n>   maximum |area delta| as a fraction (default ${DEFAULTS.maxAreaDelta})
+  --max-hausdorff <m>    maximum Hausdorff distance in metres (default ${DEFAULTS.maxHausdorff})`;
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS, record: false, updateGolden: false };
+  const value = (i) => {
+    if (argv[i + 1] === undefined) throw new Error(`${argv[i]} needs a value`);
+    return argv[i + 1];
+  };
+  const number = (i) => {
+    const n = Number(value(i));
+    if (!Number.isFinite(n)) throw new Error(`${argv[i]} must be a number`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--points': args.points = path.resolve(value(i)); i++; break;
+      case '--fixtures': args.fixtures = path.resolve(value(i)); i++; break;
+      case '--report': args.report = path.resolve(value(i)); i++; break;
+      case '--record': args.record = true; break;
+      case '--update-golden': args.updateGolden = true; break;
+      case '--min-iou': args.minIou = number(i); i++; break;
+      case '--max-area-delta': args.maxAreaDelta = number(i); i++; break;
+      case '--max-hausdorff': args.maxHausdorff = number(i); i++; break;
+      case '--help': console.log(USAGE); process.exit(0); break;
+      default: throw new Error(`Unknown option ${argv[i]}\n${USAGE}`);
+    }
+  }
+  return args;
+}
+
+const elapsedS = (startTime) => Number(((Date.now() - startTime) / 1000).toFixed(2));
+
+const goldenPath = (dir, { lat, lng }) => path.join(dir, 'golden', `${lat}_${lng}.geojson`);
+
+function loadLayerPolicy() {
+  if (!process.env.LAYER_POLICY_FILE) return undefined;
+  return JSON.parse(fs.readFileSync(path.resolve(__dirname, process.env.LAYER_POLICY_FILE), 'utf8'));
+}
+
+function checkThresholds(comparison, args) {
+  const failures = [];
+  if (comparison.iou < args.minIou) failures.push(`IoU ${comparison.iou} < ${args.minIou}`);
+  if (Math.abs(comparison.areaDelta) > args.maxAreaDelta) {
+    failures.push(`area delta ${(comparison.areaDelta * 100).toFixed(1)}% > ${args.maxAreaDelta * 100}%`);
+  }
+  if (comparison.hausdorffM > args.maxHausdorff) {
+    failures.push(`Hausdorff ${comparison.hausdorffM}m > ${args.maxHausdorff}m`);
+  }
+  return failures;
+}
+
+async function runPoint(point, index, ctx) {
+  const { args, fetchTile, layerPolicy, compareFootprints } = ctx;
+  const entry = { index, lat: point.lat, lng: point.lng, status: 'error', failures: [], iou: null, area_delta: null, hausdorff_m: null };
+  const startTime = Date.now();
+  try {
+    const result = await extractBuildingFromTiles(point.lat, point.lng, { fetchTile, layerPolicy });
+    entry.elapsed_s = elapsedS(startTime);
+    entry.confidence = result.diagnostics?.confidence ?? null;
+    const file = goldenPath(args.fixtures, point);
+
+    if (args.updateGolden) {
+      if (!result.geojson) {
+        entry.failures.push(result.error || 'no footprint');
+        return entry;
+      }
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(result.geojson, null, 2));
+      entry.status = 'updated';
+      return entry;
+    }
+    if (!fs.existsSync(file)) {
+      entry.status = 'missing';
+      entry.failures.push(`no golden at ${path.relative(args.fixtures, file)}`);
+      return entry;
+    }
+    if (!result.geojson) {
+      entry.status = 'fail';
+      entry.failures.push(result.error || 'no footprint');
+      return entry;
+    }
+
+    const comparison = compareFootprints(result.geojson, JSON.parse(fs.readFileSync(file, 'utf8')));
+    entry.iou = comparison.iou;
+    entry.area_delta = comparison.areaDelta;
+    entry.hausdorff_m = comparison.hausdorffM;
+    entry.failures = checkThresholds(comparison, args);
+    entry.status = entry.failures.length > 0 ? 'fail' : 'pass';
+  } catch (err) {
+    entry.elapsed_s = elapsedS(startTime);
+    entry.failures.push(err.message);
+  }
+  return entry;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { parseDelimitedPoints } = await import('../core/points.js');
+  const { compareFootprints } = await import('../core/compare.js');
+  const points = parseDelimitedPoints(fs.readFileSync(args.points, 'utf8'));
+  const ctx = {
+    args,
+    fetchTile: createFixtureFetcher(path.join(args.fixtures, 'tiles'), args.record),
+    layerPolicy: loadLayerPolicy(),
+    compareFootprints,
+  };
+
+  console.log(`[Regression] ${points.length} points, fixtures ${args.fixtures}${args.record ? ' (recording)' : ''}`);
+  const results = [];
+  for (const [index, point] of points.entries()) {
+    const entry = await runPoint(point, index, ctx);
+    results.push(entry);
+    const scores = entry.iou != null ? ` IoU ${entry.iou}, Δarea ${(entry.area_delta * 100).toFixed(1)}%, H ${entry.hausdorff_m}m` : '';
+    const why = entry.failures.length > 0 ? ` — ${entry.failures.join('; ')}` : '';
+    console.log(`[Regression] ${String(index + 1).padStart(3)} ${entry.status.toUpperCase().padEnd(7)} (${point.lat}, ${point.lng})${scores}${why}`);
+  }
+
+  const summary = { total: results.length };
+  for (const status of ['pass', 'fail', 'missing', 'error', 'updated']) {
+    summary[status] = results.filter((r) => r.status === status).length;
+  }
+  const report = {
+    generated_at: new Date().toISOString(),
+    fixtures: args.fixtures,
+    thresholds: { min_iou: args.minIou, max_area_delta: args.maxAreaDelta, max_hausdorff_m: args.maxHausdorff },
+    summary,
+    results,
+  };
+  await fs.promises.mkdir(path.dirname(args.report), { recursive: true });
+  await fs.promises.writeFile(args.report, JSON.stringify(report, null, 2));
+
+  console.log(`[Regression] ${summary.pass} passed, ${summary.fail} failed, ${summary.missing} missing, ${summary.error} errors`
+    + `${summary.updated ? `, ${summary.updated} goldens updated` : ''} — report: ${args.report}`);
+  process.exitCode = summary.fail + summary.missing + summary.error > 0 ? 1 : 0;
+}
+
+main().catch((err) => {
+  console.error(`[Regression] ${err.message}`);
+  process.exitCode = 1;
+});
@@ -2,21 +2,285 @@ require('dotenv').config();
 const express = require('express');
 const puppeteer = require('puppeteer');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { extractBuildingFromTiles, extractBuildingsInAreaFromTiles } = require('./tile-engine');
+const { createJobQueue, summarizeJob, jobToFeatureCollection } = require('./jobs');
+const { createPagePool } = require('./page-pool');
+const { createBoundaryCache, describeEntry } = require('./boundary-cache');
+const { createApiKeyStore } = require('./api-keys');
+const { openTileSource, buildMinimalStyle, rewriteStyle } = require('./tile-source');
+const { logger } = require('./logger');
+const { createMetricsRegistry } = require('./metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const MAPTILER_API_KEY = process.env.MAPTILER_API_KEY || process.env.VITE_MAPTILER_API_KEY || '';
+const DEFAULT_ENGINE = process.env.DEFAULT_ENGINE || 'browser';
+// Vector tile URL (or local path relative to server/) for the tiles engine; {key} is replaced with the API key
+const TILES_URL = process.env.TILES_URL || undefined;
+// Batch jobs: how many items are extracted at once (each browser item holds one Puppeteer page)
+const BATCH_CONCURRENCY = Math.max(1, parseInt(process.env.BATCH_CONCURRENCY, 10) || 2);
+const MAX_BATCH_POINTS = 1000;
+// Page pool: warm pages kept, extractions per page before recycling, max queue wait for a page
+const PAGE_POOL_SIZE = Math.max(1, parseInt(process.env.PAGE_POOL_SIZE, 10) || 2);
+const PAGE_MAX_USES = Math.max(1, parseInt(process.env.PAGE_MAX_USES, 10) || 50);
+const POOL_MAX_WAIT_MS = Math.max(0, parseInt(process.env.POOL_MAX_WAIT_MS, 10) || 30_000);
+// Boundary cache: store file, entry lifetime, and the style/tileset version entries are tagged with
+const CACHE_FILE = path.resolve(__dirname, process.env.CACHE_FILE || 'data/boundary-cache.json');
+const CACHE_TTL_HOURS = Math.max(0, parseFloat(process.env.CACHE_TTL_HOURS) || 24 * 30);
+const TILE_DATA_VERSION = process.env.TILE_DATA_VERSION || 'streets-v2';
+// API keys: with REQUIRE_API_KEY=true the extraction endpoints need a key (X-API-Key header).
+// Keys live in API_KEYS_FILE and are managed through /admin/keys with ADMIN_TOKEN; a key's own
+// limits win over the defaults (requests per minute, extractions per UTC day).
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+const API_KEYS_FILE = path.resolve(__dirname, process.env.API_KEYS_FILE || 'data/api-keys.json');
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const API_RATE_LIMIT_PER_MIN = Math.max(1, parseInt(process.env.API_RATE_LIMIT_PER_MIN, 10) || 60);
+const API_DAILY_QUOTA = Math.max(1, parseInt(process.env.API_DAILY_QUOTA, 10) || 1000);
+// Offline mode: serve tiles from a local .mbtiles/.pmtiles extract instead of MapTiler
+// (paths relative to server/). The style, glyphs and sprite are optional local copies.
+const TILE_SOURCE = process.env.TILE_SOURCE ? path.resolve(__dirname, process.env.TILE_SOURCE) : null;
+const OFFLINE_STYLE = process.env.OFFLINE_STYLE ? path.resolve(__dirname, process.env.OFFLINE_STYLE) : null;
+const OFFLINE_GLYPHS_DIR = process.env.OFFLINE_GLYPHS_DIR ? path.resolve(__dirname, process.env.OFFLINE_GLYPHS_DIR) : null;
+const OFFLINE_SPRITE = process.env.OFFLINE_SPRITE ? path.resolve(__dirname, process.env.OFFLINE_SPRITE) : null;
+// Building layer selection policy (JSON, see core/layer-policy.js); defaults to the `building` source layer
+const LAYER_POLICY_FILE = process.env.LAYER_POLICY_FILE ? path.resolve(__dirname, process.env.LAYER_POLICY_FILE) : null;
+// Address lookup for ?address= (core/geocode.js): maptiler | nominatim | csv. Defaults to MapTiler
+// when an API key is set. nominatim reads GEOCODER_URL, csv reads GEOCODER_CSV (relative to server/).
+const GEOCODER = process.env.GEOCODER || (MAPTILER_API_KEY ? 'maptiler' : null);
+const GEOCODER_URL = process.env.GEOCODER_URL || null;
+const GEOCODER_CSV = process.env.GEOCODER_CSV ? path.resolve(__dirname, process.env.GEOCODER_CSV) : null;
+// Base URL the rewritten style and TileJSON point at
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+// Style the headless engine loads
+const ENGINE_STYLE_URL = TILE_SOURCE
+  ? `${PUBLIC_URL}/style.json`
+  : `https://api.maptiler.com/maps/streets-v2/style.json?key=${MAPTILER_API_KEY}`;
 
-if (!MAPTILER_API_KEY) {
-  console.warn('[WARN] No MAPTILER_API_KEY found in .env — map tiles may fail to load.');
+// Shared extraction core bundle (built from ../core by `npm run build:engine` in the repo root)
+const CORE_BUNDLE_PATH = path.resolve(__dirname, 'dist', 'building-core.js');
+
+const configLog = logger.child({ tag: 'Config' });
+const apiLog = logger.child({ tag: 'API' });
+const browserLog = logger.child({ tag: 'Puppeteer' });
+
+if (!MAPTILER_API_KEY && !TILE_SOURCE) {
+  configLog.warn('No MAPTILER_API_KEY found in .env — map tiles may fail to load.');
+}
+
+if (!fs.existsSync(CORE_BUNDLE_PATH)) {
+  configLog.warn('Extraction core bundle missing — run `npm run build:engine` in the repo root.');
+}
+
+// Layer policy shared by both engines (validated by the core on each extraction)
+let LAYER_POLICY = undefined;
+if (LAYER_POLICY_FILE) {
+  try {
+    LAYER_POLICY = JSON.parse(fs.readFileSync(LAYER_POLICY_FILE, 'utf8'));
+    configLog.info('Layer policy loaded', { file: LAYER_POLICY_FILE });
+  } catch (err) {
+    configLog.error('Cannot read LAYER_POLICY_FILE', { file: LAYER_POLICY_FILE, error: err.message });
+    process.exit(1);
+  }
+}
+
+// Browser libraries injected into the engine page from node_modules (no CDN needed)
+const ENGINE_SCRIPTS = [
+  path.resolve(__dirname, 'node_modules', 'maplibre-gl', 'dist', 'maplibre-gl.js'),
+  path.resolve(__dirname, 'node_modules', '@turf', 'turf', 'turf.min.js'),
+  CORE_BUNDLE_PATH,
+];
+
+// ── Metrics (GET /metrics, Prometheus text format) ──
+const metrics = createMetricsRegistry({ prefix: 'boundary_' });
+const httpRequests = metrics.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+});
+const httpDuration = metrics.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route'],
+});
+const extractions = metrics.counter({
+  name: 'extractions_total',
+  help: 'Point extractions by engine, cache result and outcome (success | failure)',
+  labelNames: ['engine', 'cache', 'outcome'],
+});
+const extractionDuration = metrics.histogram({
+  name: 'extraction_duration_seconds',
+  help: 'Point extraction latency, including cache lookups',
+  labelNames: ['engine', 'cache'],
+});
+const extractionPhases = metrics.histogram({
+  name: 'extraction_phase_duration_seconds',
+  help: 'Extraction phase latency: acquire, zoom, pass, union (browser) and tiles, pass, union (tiles)',
+  labelNames: ['engine', 'phase'],
+});
+const extractionFailures = metrics.counter({
+  name: 'extraction_failures_total',
+  help: 'Failed extractions by reason',
+  labelNames: ['engine', 'reason'],
+});
+const timeouts = metrics.counter({
+  name: 'timeouts_total',
+  help: 'Timeouts by stage (extraction, pool, style_load)',
+  labelNames: ['stage'],
+});
+const pageSetupDuration = metrics.histogram({
+  name: 'engine_page_setup_duration_seconds',
+  help: 'Engine page creation by phase (page_load, style_load)',
+  labelNames: ['phase'],
+});
+const browserLaunches = metrics.counter({ name: 'browser_launches_total', help: 'Headless Chrome launches' });
+const browserRestarts = metrics.counter({
+  name: 'browser_restarts_total',
+  help: 'Headless Chrome relaunches after the previous browser disconnected',
+});
+
+// ── Request ids, request logs and HTTP metrics ──
+// Every request gets an id (X-Request-Id from the caller, else a new UUID), echoed in the response
+// header and attached to each log entry through req.log.
+app.use((req, res, next) => {
+  const requestId = req.get('X-Request-Id') || crypto.randomUUID();
+  const startTime = process.hrtime.bigint();
+  req.id = requestId;
+  req.log = apiLog.child({ request_id: requestId });
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    // Scrapes and health checks only at debug level
+    const level = route === '/metrics' || route === '/health' ? 'debug' : 'info';
+    req.log[level]('Request completed', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000),
+    });
+  });
+  next();
+});
+
+// ── API keys, rate limits and daily quotas ──
+const authLog = logger.child({ tag: 'Auth' });
+const apiKeys = createApiKeyStore({
+  filePath: API_KEYS_FILE,
+  rateLimitPerMin: API_RATE_LIMIT_PER_MIN,
+  dailyQuota: API_DAILY_QUOTA,
+});
+const authRejections = metrics.counter({
+  name: 'auth_rejections_total',
+  help: 'Requests refused by reason (missing_key, invalid_key, rate_limited, quota_exceeded)',
+  labelNames: ['reason'],
+});
+metrics.gauge({ name: 'api_keys_active', help: 'API keys that are not revoked', collect: () => apiKeys.stats().active });
+
+if (REQUIRE_API_KEY && apiKeys.stats().active === 0) {
+  configLog.warn('REQUIRE_API_KEY is set but there are no API keys — create one with POST /admin/keys.');
 }
 
+const bearerToken = (req) => {
+  const auth = req.get('Authorization') || '';
+  return auth.startsWith('Bearer ') ? auth.slice(7).trim() : null;
+};
+
+// 429 with Retry-After for a failed rate limit or quota check
+function rejectOverLimit(req, res, check, reason, message) {
+  authRejections.inc({ reason });
+  req.log.warn('Request refused', { tag: 'Auth', reason, retry_after_s: check.retryAfterS });
+  res.set('Retry-After', String(check.retryAfterS));
+  return res.status(429).json({ error: message, retry_after_s: check.retryAfterS, limit: check.limit });
+}
+
+// Routes charge the quota once the request has passed validation, so a 400 costs nothing.
+// chargeQuota charges `count` extractions to the caller's daily quota and hasQuota only checks
+// that it covers them; both are no-ops without a key. They send the 429 and return false when
+// the quota does not cover the extractions.
+function chargeQuota(req, res, count) {
+  return !req.apiKey || applyQuotaCheck(req, res, apiKeys.chargeQuota(req.apiKey, count));
+}
+
+function hasQuota(req, res, count) {
+  return !req.apiKey || applyQuotaCheck(req, res, apiKeys.checkQuota(req.apiKey, count));
+}
+
+function applyQuotaCheck(req, res, check) {
+  res.set('X-Quota-Limit', String(check.limit));
+  res.set('X-Quota-Remaining', String(check.remaining));
+  if (check.ok) return true;
+  rejectOverLimit(req, res, check, 'quota_exceeded',
+    `Daily quota of ${check.limit} extractions exceeded (${check.remaining} left today)`);
+  return false;
+}
+
+// With REQUIRE_API_KEY, refuse requests without a valid key (401) and take one request from the
+// key's rate limit (unless `rateLimit` is false; 429 when exhausted). Quotas are charged by the
+// routes. Sets req.apiKey (null when keys are not required) and tags the request's log entries.
+function requireApiKey({ rateLimit = true } = {}) {
+  return (req, res, next) => {
+    req.apiKey = null;
+    if (!REQUIRE_API_KEY) return next();
+    const presented = req.get('X-API-Key') || bearerToken(req);
+    const entry = apiKeys.authenticate(presented);
+    if (!entry) {
+      authRejections.inc({ reason: presented ? 'invalid_key' : 'missing_key' });
+      return res.status(401).json({
+        error: presented ? 'Invalid or revoked API key' : 'API key required. Send it in the X-API-Key header.',
+      });
+    }
+    req.apiKey = entry;
+    req.log = req.log.child({ api_key: entry.id });
+    if (!rateLimit) return next();
+    const rate = apiKeys.takeRequest(entry);
+    res.set('X-RateLimit-Limit', String(rate.limit));
+    res.set('X-RateLimit-Remaining', String(rate.remaining));
+    if (!rate.ok) {
+      return rejectOverLimit(req, res, rate, 'rate_limited', `Rate limit of ${rate.limit} requests per minute exceeded`);
+    }
+    return next();
+  };
+}
+
+// Admin endpoints need `Authorization: Bearer <ADMIN_TOKEN>`; without ADMIN_TOKEN they do not exist
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(404).json({ error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.' });
+  const token = Buffer.from(bearerToken(req) || '');
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  return next();
+}
+
+// Cache management is an operator task once keys are required
+const requireCacheAccess = REQUIRE_API_KEY ? requireAdmin : (req, res, next) => next();
+
+// ── Offline tile source (opened once at startup) ──
+const tilesLog = logger.child({ tag: 'Tiles' });
+const tileSourceReady = TILE_SOURCE ? openTileSource(TILE_SOURCE) : Promise.resolve(null);
+tileSourceReady.then(
+  (source) => source && tilesLog.info('Serving offline tile source', {
+    format: source.format,
+    file: TILE_SOURCE,
+    minzoom: source.metadata.minzoom,
+    maxzoom: source.metadata.maxzoom,
+  }),
+  (err) => tilesLog.error('Failed to open tile source', { error: err.message }),
+);
+
 // ── Puppeteer browser singleton ──
 let browserInstance = null;
 
 async function getBrowser() {
   if (browserInstance && browserInstance.connected) return browserInstance;
-  console.log('[Puppeteer] Launching headless Chrome with WebGL...');
+  const restart = browserInstance !== null;
+  browserLog.info(restart ? 'Relaunching headless Chrome after a disconnect' : 'Launching headless Chrome with WebGL');
+  const startTime = Date.now();
   browserInstance = await puppeteer.launch({
     headless: 'new',
     args: [
@@ -29,28 +293,19 @@ async function getBrowser() {
       '--ignore-gpu-blocklist',
     ],
   });
-  console.log('[Puppeteer] Browser ready.');
+  browserLaunches.inc();
+  if (restart) browserRestarts.inc();
+  browserInstance.on('disconnected', () => browserLog.warn('Browser disconnected'));
+  browserLog.info('Browser ready', { duration_ms: Date.now() - startTime });
   return browserInstance;
 }
 
-// ── GET /get-boundary?lat=X&lng=Y ──
-app.get('/get-boundary', async (req, res) => {
-  const { lat, lng } = req.query;
-  const latNum = parseFloat(lat);
-  const lngNum = parseFloat(lng);
-
-  if (isNaN(latNum) || isNaN(lngNum)) {
-    return res.status(400).json({ error: 'Invalid lat/lng. Use: /get-boundary?lat=41.45&lng=-88.30' });
-  }
-
-  console.log(`\n[API] Request: lat=${latNum}, lng=${lngNum}`);
+// ── Warm page pool: each page loads map-engine.html + the core once and keeps its map ──
+async function createEnginePage() {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
   const startTime = Date.now();
-
-  let page = null;
   try {
-    const browser = await getBrowser();
-    page = await browser.newPage();
-
     // Set viewport large enough for map tiles to render
     await page.setViewport({ width: 1280, height: 900 });
 
@@ -58,62 +313,810 @@ app.get('/get-boundary', async (req, res) => {
     const htmlPath = path.resolve(__dirname, 'map-engine.html');
     await page.goto(`file://${htmlPath}`, { waitUntil: 'domcontentloaded' });
 
-    // Inject the MapTiler API key and coordinates into the page
-    const result = await page.evaluate(async (apiKey, latitude, longitude) => {
-      // The map-engine.html exposes a global function: extractBuildingBoundary(apiKey, lat, lng)
-      // It returns a Promise that resolves to { geojson, error, logs }
-      return await window.extractBuildingBoundary(apiKey, latitude, longitude);
-    }, MAPTILER_API_KEY, latNum, lngNum);
+    // Inject MapLibre, Turf and the shared extraction core (exposes window.BuildingCore)
+    for (const scriptPath of ENGINE_SCRIPTS) await page.addScriptTag({ path: scriptPath });
+    const pageLoadMs = Date.now() - startTime;
+    pageSetupDuration.observe({ phase: 'page_load' }, pageLoadMs / 1000);
+
+    // Create the map and wait for the style to load
+    const { error, styleMs } = await page.evaluate((styleUrl) => window.initEngine(styleUrl), ENGINE_STYLE_URL);
+    if (error) {
+      if (error.startsWith('Timeout')) timeouts.inc({ stage: 'style_load' });
+      throw new Error(error);
+    }
+    pageSetupDuration.observe({ phase: 'style_load' }, styleMs / 1000);
+    logger.info('Engine page ready', { tag: 'Pool', page_load_ms: pageLoadMs, style_load_ms: styleMs });
+    return page;
+  } catch (err) {
+    try { await page.close(); } catch (_) {}
+    throw err;
+  }
+}
+
+const pagePool = createPagePool({
+  size: PAGE_POOL_SIZE,
+  maxUses: PAGE_MAX_USES,
+  maxWaitMs: POOL_MAX_WAIT_MS,
+  createPage: createEnginePage,
+});
+
+// ── Browser engine: run the shared core on a pooled, warm MapLibre page ──
+// Options: { snap, params }. Returns: Promise<{ geojson, error, logs, timings, layer, diagnostics, snap }>
+// `timings` starts with the wait for a pooled page ('acquire'), then the page's cascade phases.
+async function extractWithBrowser(latNum, lngNum, { snap = null, params = undefined } = {}) {
+  const acquireStart = Date.now();
+  const entry = await pagePool.acquire();
+  const acquireMs = Date.now() - acquireStart;
+  let healthy = false;
+  try {
+    // map-engine.html exposes extractBuildingBoundary(lat, lng, options)
+    //   → Promise<{ geojson, error, logs, layer, diagnostics, snap }>
+    const result = await entry.page.evaluate(async (latitude, longitude, layerPolicy, snapOption, extractionParams) => {
+      const res = await window.extractBuildingBoundary(latitude, longitude, {
+        layerPolicy,
+        snap: snapOption,
+        params: extractionParams,
+      });
+      return { ...res, healthy: window.isEngineHealthy() };
+    }, latNum, lngNum, LAYER_POLICY, snap, params);
+    healthy = result.healthy;
+    return { ...result, timings: [{ phase: 'acquire', ms: acquireMs }, ...(result.timings || [])] };
+  } finally {
+    pagePool.release(entry, { healthy });
+  }
+}
+
+// Area variant: every building intersecting { bbox } | { center, radius } | { polygon }
+async function extractAreaWithBrowser(area) {
+  const entry = await pagePool.acquire();
+  let healthy = false;
+  try {
+    const result = await entry.page.evaluate(async (selection, layerPolicy) => {
+      const res = await window.extractBuildingsInArea(selection, { layerPolicy });
+      return { ...res, healthy: window.isEngineHealthy() };
+    }, area, LAYER_POLICY);
+    healthy = result.healthy;
+    return result;
+  } finally {
+    pagePool.release(entry, { healthy });
+  }
+}
+
+// ── Extraction engines, selectable per request with ?engine= ──
+const ENGINES = {
+  browser: extractWithBrowser,
+  tiles: async (latNum, lngNum, { snap = null, params = undefined } = {}) => {
+    // With an offline tile source, read tiles straight from it instead of over HTTP
+    const source = await tileSourceReady;
+    return extractBuildingFromTiles(latNum, lngNum, {
+      tileUrl: TILES_URL,
+      apiKey: MAPTILER_API_KEY,
+      fetchTile: source ? (z, x, y) => source.getTile(z, x, y) : undefined,
+      layerPolicy: LAYER_POLICY,
+      snap,
+      params,
+    });
+  },
+};
+
+const AREA_ENGINES = {
+  browser: extractAreaWithBrowser,
+  tiles: async (area) => {
+    const source = await tileSourceReady;
+    return extractBuildingsInAreaFromTiles(area, {
+      tileUrl: TILES_URL,
+      apiKey: MAPTILER_API_KEY,
+      fetchTile: source ? (z, x, y) => source.getTile(z, x, y) : undefined,
+      layerPolicy: LAYER_POLICY,
+    });
+  },
+};
 
-    const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+// ── Offline tiles, style, glyphs and sprite ──
+// The engine page is a file:// document, so these responses need CORS headers.
+const allowAnyOrigin = (req, res, next) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  next();
+};
+
+// Resolves the tile source or answers 404 when the server is not in offline mode
+async function requireTileSource(res) {
+  const source = await tileSourceReady.catch(() => null);
+  if (!source) res.status(404).json({ error: 'No offline tile source configured (set TILE_SOURCE)' });
+  return source;
+}
+
+app.get('/tiles.json', allowAnyOrigin, async (req, res) => {
+  const source = await requireTileSource(res);
+  if (!source) return;
+  const { name, minzoom, maxzoom, bounds, center, vector_layers } = source.metadata;
+  res.json({
+    tilejson: '3.0.0',
+    name,
+    scheme: 'xyz',
+    tiles: [`${PUBLIC_URL}/tiles/{z}/{x}/{y}.pbf`],
+    minzoom,
+    maxzoom,
+    bounds,
+    center,
+    vector_layers,
+  });
+});
+
+app.get('/tiles/:z/:x/:y.pbf', allowAnyOrigin, async (req, res) => {
+  const source = await requireTileSource(res);
+  if (!source) return;
+  const [z, x, y] = [req.params.z, req.params.x, req.params.y].map((v) => parseInt(v, 10));
+  if ([z, x, y].some(Number.isNaN)) return res.status(400).json({ error: 'Invalid tile coordinates' });
+  try {
+    const tile = await source.getTile(z, x, y);
+    if (!tile) return res.status(204).end();
+    res.set('Content-Type', 'application/x-protobuf');
+    return res.send(tile);
+  } catch (err) {
+    tilesLog.error('Tile read failed', { tile: `${z}/${x}/${y}`, error: err.message });
+    return res.status(500).json({ error: 'Tile read failed', details: err.message });
+  }
+});
+
+// Style pointing at this server: OFFLINE_STYLE rewritten, or a minimal building style
+app.get('/style.json', allowAnyOrigin, async (req, res) => {
+  const source = await requireTileSource(res);
+  if (!source) return;
+  const tileJsonUrl = `${PUBLIC_URL}/tiles.json`;
+  if (!OFFLINE_STYLE) return res.json(buildMinimalStyle(tileJsonUrl, source.metadata));
+  try {
+    const style = JSON.parse(await fs.promises.readFile(OFFLINE_STYLE, 'utf8'));
+    return res.json(rewriteStyle(style, {
+      tileJsonUrl,
+      glyphsUrl: OFFLINE_GLYPHS_DIR ? `${PUBLIC_URL}/fonts/{fontstack}/{range}.pbf` : null,
+      spriteUrl: OFFLINE_SPRITE ? `${PUBLIC_URL}/sprites/${path.basename(OFFLINE_SPRITE)}` : null,
+    }));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to read OFFLINE_STYLE', details: err.message });
+  }
+});
 
-    // Forward console logs from the headless page
-    if (result.logs && result.logs.length > 0) {
-      result.logs.forEach(l => console.log(`  [MapEngine] ${l}`));
+if (OFFLINE_GLYPHS_DIR) app.use('/fonts', allowAnyOrigin, express.static(OFFLINE_GLYPHS_DIR));
+if (OFFLINE_SPRITE) app.use('/sprites', allowAnyOrigin, express.static(path.dirname(OFFLINE_SPRITE)));
+
+// ── Boundary cache ──
+const boundaryCache = createBoundaryCache({
+  filePath: CACHE_FILE,
+  ttlMs: CACHE_TTL_HOURS * 3600 * 1000,
+  dataVersion: TILE_DATA_VERSION,
+});
+
+// Cache key of a parameter set: footprints extracted with other guards are different footprints.
+// The preset name and the timeout do not change the result, so they are left out; the default
+// values keep the 'default' key of entries cached before parameters existed.
+async function paramsKey(params) {
+  if (!params) return 'default';
+  const { DEFAULT_EXTRACTION_PARAMS } = await loadCoreModule('params');
+  const valuesKey = ({ preset, timeoutS, ...values }) => JSON.stringify(values);
+  const key = valuesKey(params);
+  return key === valuesKey(DEFAULT_EXTRACTION_PARAMS) ? 'default' : key;
+}
+
+// Serve from the cache when the point falls inside a polygon cached with the same extraction
+// parameters, otherwise run the engine and cache its result. `snap` and `params` are passed to the
+// engine (a snapped footprint is cached like any other).
+// Returns: Promise<{ geojson, error, logs, layer, diagnostics, snap, cache, cacheEntry }>
+async function extractCached(latNum, lngNum, engine, { useCache = true, snap = null, params = null } = {}) {
+  const key = await paramsKey(params);
+  if (useCache) {
+    const entry = boundaryCache.lookup(latNum, lngNum, { paramsKey: key });
+    if (entry) {
+      return {
+        geojson: entry.geojson,
+        error: null,
+        logs: [],
+        timings: [],
+        layer: entry.layer,
+        diagnostics: entry.diagnostics,
+        snap: null,
+        cache: 'hit',
+        cacheEntry: entry,
+      };
     }
+  }
+  const result = await ENGINES[engine](latNum, lngNum, { snap, params: params || undefined });
+  const cacheEntry = result.geojson
+    ? boundaryCache.store(result.geojson, {
+      lat: latNum,
+      lng: lngNum,
+      engine,
+      paramsKey: key,
+      layer: result.layer,
+      diagnostics: result.diagnostics,
+    })
+    : null;
+  return { ...result, cache: useCache ? 'miss' : 'bypass', cacheEntry };
+}
+
+// ?cache=false (or 0/no/off) skips the cache lookup and refreshes the entry
+const wantsCache = (value) => !['false', '0', 'no', 'off'].includes(String(value ?? '').toLowerCase());
+
+// Export formats (core/formats.js) and building metrics (core/metrics.js) live in the ESM core —
+// loaded on first use
+const coreModules = {};
+const loadCoreModule = (name) => {
+  if (!coreModules[name]) coreModules[name] = import(`../core/${name}.js`);
+  return coreModules[name];
+};
+const loadFormats = () => loadCoreModule('formats');
+
+// ?format=<name> validation: null when absent/json or known, else an error message
+async function checkFormat(format) {
+  if (!format || format === 'json') return null;
+  const { EXPORT_FORMATS } = await loadFormats();
+  return EXPORT_FORMATS[format] ? null : `Invalid format "${format}". Use one of: json, ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+}
+
+// Send GeoJSON as a file download in an export format (shapefile, kml, gpkg, …)
+async function sendExport(res, geojson, format, name) {
+  const { exportGeoJSON } = await loadFormats();
+  const file = await exportGeoJSON(geojson, format, { name });
+  res.set('Content-Type', file.mimeType);
+  res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+  return res.send(typeof file.data === 'string' ? file.data : Buffer.from(file.data));
+}
+
+// ── Geocoding ──
+// One geocoder per process, created on the first address lookup
+let geocoderPromise = null;
+function getGeocoder() {
+  if (!geocoderPromise) {
+    geocoderPromise = loadCoreModule('geocode').then(({ createGeocoder }) => {
+      if (GEOCODER === 'csv' && !GEOCODER_CSV) throw new Error('GEOCODER=csv needs GEOCODER_CSV');
+      const geocoder = createGeocoder({
+        provider: GEOCODER,
+        apiKey: MAPTILER_API_KEY,
+        url: GEOCODER_URL,
+        headers: { 'User-Agent': 'building-boundary-api' },
+        csv: GEOCODER === 'csv' ? fs.readFileSync(GEOCODER_CSV, 'utf8') : undefined,
+      });
+      logger.info('Geocoder ready', { tag: 'Geocode', provider: geocoder.name });
+      return geocoder;
+    });
+  }
+  return geocoderPromise;
+}
+
+// Resolves { query, lat, lng, label, quality } or null when nothing matches.
+// Throws with err.code NO_GEOCODER (not configured) or GEOCODER_FAILED (provider error).
+async function geocodeAddress(address) {
+  if (!GEOCODER) {
+    const err = new Error('Address lookup is not configured (set GEOCODER or MAPTILER_API_KEY)');
+    err.code = 'NO_GEOCODER';
+    throw err;
+  }
+  try {
+    const geocoder = await getGeocoder();
+    const result = await geocoder.geocode(address);
+    return result ? { query: address, ...result } : null;
+  } catch (err) {
+    err.code = err.code || 'GEOCODER_FAILED';
+    throw err;
+  }
+}
+
+// ?simplify=<metres>, ?orthogonalize=<degrees>, ?removeSlivers=<metres>, ?fillHoles=<m²> (or =true for
+// the defaults) enable the post-processing steps of core/postprocess.js. An object per step is also
+// accepted from JSON bodies. Returns the normalized options or null; throws on invalid values.
+async function parsePostProcess(src = {}) {
+  const { POST_PROCESS_STEPS, normalizePostProcessOptions } = await loadCoreModule('postprocess');
+  const options = {};
+  for (const step of POST_PROCESS_STEPS) {
+    const value = src[step];
+    if (value == null || value === '') continue;
+    if (typeof value === 'object' || typeof value === 'boolean') options[step] = value;
+    else if (['true', 'false'].includes(String(value).toLowerCase())) options[step] = String(value).toLowerCase() === 'true';
+    else options[step] = Number(value);
+  }
+  return normalizePostProcessOptions(options);
+}
+
+// Failure reason label for the metrics, from an engine error message
+function failureReason(error) {
+  if (/^Timeout/i.test(error)) return 'timeout';
+  if (/^No building found/i.test(error)) return 'not_found';
+  if (/^Engine not ready/i.test(error)) return 'engine_not_ready';
+  if (/^Tile extraction failed/i.test(error)) return 'tile_error';
+  return 'other';
+}
+
+function recordExtraction(engine, result, seconds) {
+  extractions.inc({ engine, cache: result.cache, outcome: result.error ? 'failure' : 'success' });
+  extractionDuration.observe({ engine, cache: result.cache }, seconds);
+  for (const { phase, ms } of result.timings || []) extractionPhases.observe({ engine, phase }, ms / 1000);
+  if (!result.error) return;
+  const reason = failureReason(result.error);
+  extractionFailures.inc({ engine, reason });
+  if (reason === 'timeout') timeouts.inc({ stage: 'extraction' });
+}
+
+// Per-phase totals for the response: { total_ms, phases: { acquire: ms, zoom: ms, … } }
+function summarizeTimings(timings = [], totalMs) {
+  const phases = {};
+  for (const { phase, ms } of timings) phases[phase] = (phases[phase] || 0) + ms;
+  return { total_ms: totalMs, phases };
+}
+
+// extractCached plus the requested post-processing. The cache keeps the raw footprint, so the
+// same cached building can be served with different clean-up settings. Every call is recorded
+// in the extraction metrics.
+async function extractBoundary(latNum, lngNum, engine, { postProcess = null, ...options } = {}) {
+  const startTime = Date.now();
+  let result;
+  try {
+    result = await extractCached(latNum, lngNum, engine, options);
+  } catch (err) {
+    const reason = err.code === 'POOL_TIMEOUT' ? 'pool_timeout' : 'exception';
+    extractionFailures.inc({ engine, reason });
+    if (reason === 'pool_timeout') timeouts.inc({ stage: 'pool' });
+    throw err;
+  }
+  recordExtraction(engine, result, (Date.now() - startTime) / 1000);
+  if (!postProcess || !result.geojson) return { ...result, postProcess: null };
+  const { postProcessFeature } = await loadCoreModule('postprocess');
+  const { geojson, report } = postProcessFeature(result.geojson, postProcess);
+  return { ...result, geojson, postProcess: report };
+}
+
+// ?preset=residential|industrial|campus and ?maxPasses=…, ?zoomCascade=13.5,15.5,… etc. (or the
+// same keys in a JSON body, flat or under `params`) set the extraction parameters of core/params.js.
+// Returns the complete, validated parameter set; throws on unknown presets and invalid values.
+async function parseExtractionParams(src = {}) {
+  const { EXTRACTION_PARAM_KEYS, normalizeExtractionParams } = await loadCoreModule('params');
+  const params = {};
+  for (const key of ['preset', ...EXTRACTION_PARAM_KEYS]) {
+    if (src[key] != null && src[key] !== '') params[key] = src[key];
+  }
+  return normalizeExtractionParams(params);
+}
+
+// ?snap=true (default distance) or ?snap=<metres> enables nearest-building snapping.
+// Returns null (off), true or a distance; throws on anything else.
+function parseSnap(value) {
+  if (value == null || value === '' || !wantsCache(value)) return null;
+  if (value === true || String(value).toLowerCase() === 'true') return true;
+  const metres = Number(value);
+  if (!Number.isFinite(metres) || metres <= 0) throw new Error('snap must be true or a positive distance in metres');
+  return metres;
+}
+
+// ── GET /get-boundary?lat=X&lng=Y | ?address=<street address>[&engine=browser|tiles][&cache=false][&snap=true|metres][&debug=true]
+//      [&preset=…][&maxPasses=…&zoomCascade=…]
+//      [&simplify=…][&orthogonalize=…][&removeSlivers=…][&fillHoles=…]
+//      [&format=json|geojson|kml|wkt|wkb|csv|shapefile|gpkg] ──
+// POST /get-boundary takes the same fields as a JSON body (extraction parameters flat or under
+// `params`, clean-up steps flat or under `postProcess`); query parameters fill in the rest.
+// format=json (default) is the JSON envelope below; any other format downloads just the footprint.
+// `diagnostics` says how the footprint was found and scores it; debug=true also returns the engine logs.
+// With address= (and no lat/lng) the configured geocoder picks the point; `geocode` carries its
+// match label and quality.
+// `post_process` reports the vertices each enabled clean-up step removed.
+// `metrics` measures it (area, perimeter, rotated bounding rectangle, height, …; see core/metrics.js).
+// With snap, a point that misses every footprint returns the nearest building and `snap` says how far.
+// `params` echoes the effective extraction parameters.
+async function handleGetBoundary(req, res) {
+  const input = req.method === 'POST' && req.body && typeof req.body === 'object' ? { ...req.query, ...req.body } : req.query;
+  const { lat, lng } = input;
+  const address = String(input.address ?? '').trim();
+  const engine = input.engine || DEFAULT_ENGINE;
+  const debug = String(input.debug) === 'true';
+  let latNum = parseFloat(lat);
+  let lngNum = parseFloat(lng);
+  const byAddress = Boolean(address) && (isNaN(latNum) || isNaN(lngNum));
+
+  if (!byAddress && (isNaN(latNum) || isNaN(lngNum))) {
+    return res.status(400).json({ error: 'Invalid lat/lng. Use: /get-boundary?lat=41.45&lng=-88.30 or ?address=…' });
+  }
+  if (!Object.hasOwn(ENGINES, engine)) {
+    return res.status(400).json({ error: `Invalid engine "${engine}". Use one of: ${Object.keys(ENGINES).join(', ')}` });
+  }
+  let snap;
+  let postProcess;
+  let params;
+  try {
+    snap = parseSnap(input.snap);
+    postProcess = await parsePostProcess(input.postProcess || input);
+    params = await parseExtractionParams(input.params || input);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { format } = input;
+  const formatError = await checkFormat(format);
+  if (formatError) return res.status(400).json({ error: formatError });
+  if (!chargeQuota(req, res, 1)) return undefined;
+
+  const startTime = Date.now();
+  const log = req.log;
+  let geocode = null;
+
+  try {
+    if (byAddress) {
+      geocode = await geocodeAddress(address);
+      if (!geocode) {
+        log.info('Address not found', { tag: 'Geocode', address });
+        return res.status(404).json({ error: `Address not found: ${address}` });
+      }
+      log.info('Address geocoded', {
+        tag: 'Geocode',
+        address,
+        lat: geocode.lat,
+        lng: geocode.lng,
+        provider: geocode.quality.provider,
+        score: geocode.quality.score,
+      });
+      latNum = geocode.lat;
+      lngNum = geocode.lng;
+    }
+    log.info('Boundary request', { lat: latNum, lng: lngNum, engine, snap, preset: params.preset });
+
+    const result = await extractBoundary(latNum, lngNum, engine, {
+      useCache: wantsCache(input.cache),
+      snap,
+      postProcess,
+      params,
+    });
+
+    const elapsedMs = Date.now() - startTime;
+    const elapsed = Number((elapsedMs / 1000).toFixed(2));
+    const timings = summarizeTimings(result.timings, elapsedMs);
+    const responseTimings = debug ? { ...timings, steps: result.timings || [] } : timings;
+    // Engine logs travel with the request's completion entry instead of as loose lines
+    const outcome = { engine, cache: result.cache, duration_ms: elapsedMs, phases: timings.phases, engine_logs: result.logs || [] };
 
     if (result.error) {
-      console.log(`[API] Error after ${elapsed}s: ${result.error}`);
-      return res.status(404).json({ error: result.error, elapsed_s: elapsed });
+      log.info('Boundary not found', { ...outcome, error: result.error, reason: failureReason(result.error) });
+      return res.status(404).json({
+        error: result.error,
+        engine,
+        cache: result.cache,
+        elapsed_s: elapsed,
+        timings: responseTimings,
+        params,
+        geocode,
+        ...(debug ? { logs: result.logs || [] } : {}),
+      });
     }
 
-    console.log(`[API] Success after ${elapsed}s — ${result.geojson?.geometry?.type || 'unknown'}`);
+    log.info('Boundary found', {
+      ...outcome,
+      geometry: result.geojson?.geometry?.type || 'unknown',
+      confidence: result.diagnostics?.confidence ?? null,
+    });
+    if (format && format !== 'json') return await sendExport(res, result.geojson, format, 'building');
+    const { computeBuildingMetrics } = await loadCoreModule('metrics');
     return res.json({
       success: true,
+      engine: result.cache === 'hit' ? result.cacheEntry.engine : engine,
+      cache: result.cache,
+      cache_entry: result.cacheEntry ? describeEntry(result.cacheEntry) : null,
       elapsed_s: elapsed,
-      input: { lat: latNum, lng: lngNum },
+      timings: responseTimings,
+      input: { lat: latNum, lng: lngNum, ...(byAddress ? { address } : {}) },
+      geocode,
+      layer: result.layer || null,
+      diagnostics: result.diagnostics || null,
+      snap: result.snap || null,
+      params,
+      post_process: result.postProcess,
+      metrics: computeBuildingMetrics(result.geojson),
       geojson: result.geojson,
+      ...(debug ? { logs: result.logs || [] } : {}),
     });
   } catch (err) {
-    console.error('[API] Fatal error:', err.message);
+    if (err.code === 'POOL_TIMEOUT') {
+      log.warn('Server busy', { error: err.message });
+      return res.status(503).json({ error: 'Server busy, try again later', details: err.message });
+    }
+    if (err.code === 'NO_GEOCODER') return res.status(501).json({ error: err.message });
+    if (err.code === 'GEOCODER_FAILED') {
+      log.warn('Geocoding failed', { tag: 'Geocode', error: err.message });
+      return res.status(502).json({ error: 'Geocoding failed', details: err.message });
+    }
+    log.error('Fatal error', { error: err.message, stack: err.stack });
     return res.status(500).json({ error: 'Internal server error', details: err.message });
-  } finally {
-    if (page) {
-      try { await page.close(); } catch (_) {}
+  }
+}
+
+app.get('/get-boundary', requireApiKey(), handleGetBoundary);
+app.post('/get-boundary', requireApiKey(), express.json({ limit: '2mb' }), handleGetBoundary);
+
+// ── Buildings in an area ──
+// Area from query params (bbox=w,s,e,n | lat, lng, radius | polygon=<GeoJSON>) or a JSON body
+// ({ bbox } | { lat, lng, radius } | { center, radius } | { polygon } | a GeoJSON Polygon/Feature).
+// Shape and size are validated by the core.
+function parseAreaInput(src) {
+  if (!src || typeof src !== 'object') return null;
+  if (src.type === 'Polygon' || src.type === 'MultiPolygon' || src.type === 'Feature') return { polygon: src };
+  if (src.bbox != null) {
+    return { bbox: Array.isArray(src.bbox) ? src.bbox : String(src.bbox).split(',').map(Number) };
+  }
+  if (src.polygon != null) {
+    return { polygon: typeof src.polygon === 'string' ? JSON.parse(src.polygon) : src.polygon };
+  }
+  if (src.radius != null) {
+    const center = src.center ?? [parseFloat(src.lng), parseFloat(src.lat)];
+    return { center, radius: parseFloat(src.radius) };
+  }
+  return null;
+}
+
+// ── GET|POST /buildings-in-area[?engine=browser|tiles][&format=…] ──
+// Charges one extraction per building found (one for an empty area). When the quota cannot
+// cover them all the request is refused whole (429), after the search.
+async function handleBuildingsInArea(req, res) {
+  const engine = req.query.engine || req.body?.engine || DEFAULT_ENGINE;
+  if (!Object.hasOwn(AREA_ENGINES, engine)) {
+    return res.status(400).json({ error: `Invalid engine "${engine}". Use one of: ${Object.keys(AREA_ENGINES).join(', ')}` });
+  }
+  const { format } = req.query;
+  const formatError = await checkFormat(format);
+  if (formatError) return res.status(400).json({ error: formatError });
+  let area;
+  try {
+    area = parseAreaInput(req.method === 'POST' ? req.body : req.query);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid polygon: ${err.message}` });
+  }
+  if (!area) {
+    return res.status(400).json({
+      error: 'Missing area. Use bbox=w,s,e,n, lat&lng&radius (metres), or polygon=<GeoJSON>',
+    });
+  }
+  if (!hasQuota(req, res, 1)) return undefined;
+
+  const log = req.log;
+  log.info('Area request', { area: Object.keys(area).join('+'), engine });
+  const startTime = Date.now();
+  try {
+    const result = await AREA_ENGINES[engine](area);
+    const elapsedMs = Date.now() - startTime;
+    const elapsed = Number((elapsedMs / 1000).toFixed(2));
+    const outcome = { engine, duration_ms: elapsedMs, engine_logs: result.logs || [] };
+
+    if (result.error) {
+      log.info('Area extraction failed', { ...outcome, error: result.error });
+      return res.status(400).json({ error: result.error, engine, elapsed_s: elapsed });
     }
+    log.info('Area extracted', { ...outcome, buildings: result.geojson.features.length });
+    if (!chargeQuota(req, res, Math.max(1, result.geojson.features.length))) return undefined;
+    if (format && format !== 'json') return await sendExport(res, result.geojson, format, 'buildings');
+    return res.json({
+      success: true,
+      engine,
+      elapsed_s: elapsed,
+      input: area,
+      count: result.geojson.features.length,
+      geojson: result.geojson,
+    });
+  } catch (err) {
+    if (err.code === 'POOL_TIMEOUT') {
+      timeouts.inc({ stage: 'pool' });
+      log.warn('Server busy', { error: err.message });
+      return res.status(503).json({ error: 'Server busy, try again later', details: err.message });
+    }
+    log.error('Fatal error', { error: err.message, stack: err.stack });
+    return res.status(500).json({ error: 'Internal server error', details: err.message });
+  }
+}
+
+app.get('/buildings-in-area', requireApiKey(), handleBuildingsInArea);
+app.post('/buildings-in-area', requireApiKey(), express.json({ limit: '2mb' }), handleBuildingsInArea);
+
+// ── Cache inspection & purge ──
+// GET /cache — stats and entry list; GET /cache/:id — one entry with its polygon
+app.get('/cache', requireCacheAccess, (req, res) => {
+  res.json({ stats: boundaryCache.stats(), entries: boundaryCache.list().map((e) => describeEntry(e)) });
+});
+
+app.get('/cache/:id', requireCacheAccess, (req, res) => {
+  const entry = boundaryCache.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Cache entry not found' });
+  return res.json(describeEntry(entry, { withGeometry: true }));
+});
+
+// DELETE /cache[?expired=true][&version=X] — purge all, or only expired/stale or one version's entries
+app.delete('/cache', requireCacheAccess, (req, res) => {
+  const removed = boundaryCache.purge({
+    expired: req.query.expired === 'true',
+    version: req.query.version ?? null,
+  });
+  req.log.info('Cache purged', { tag: 'Cache', removed });
+  res.json({ removed, stats: boundaryCache.stats() });
+});
+
+app.delete('/cache/:id', requireCacheAccess, (req, res) => {
+  if (!boundaryCache.delete(req.params.id)) return res.status(404).json({ error: 'Cache entry not found' });
+  return res.json({ removed: 1 });
+});
+
+// ── Batch jobs ──
+const jobQueue = createJobQueue({
+  concurrency: BATCH_CONCURRENCY,
+  extract: (latNum, lngNum, engine, options) => extractBoundary(latNum, lngNum, engine, options),
+});
+
+const batchBodyParsers = [
+  express.json({ limit: '2mb' }),
+  express.text({ type: ['text/csv', 'text/plain', 'text/tab-separated-values'], limit: '2mb' }),
+];
+
+// ── POST /boundaries/batch[?engine=browser|tiles][&snap=true|metres][&simplify=…&orthogonalize=…][&preset=…] ──
+// Body: JSON ([[lat, lng]], [{ lat, lng, id }] or { points, engine, snap, postProcess, params }), CSV, or
+// lat-long.txt TSV. Post-processing and extraction parameters come from the query or the body's
+// `postProcess` / `params` objects.
+// Each point counts against the caller's daily quota; a batch the quota cannot cover is refused whole.
+app.post('/boundaries/batch', requireApiKey(), batchBodyParsers, async (req, res) => {
+  const engine = req.query.engine || req.body?.engine || DEFAULT_ENGINE;
+  if (!Object.hasOwn(ENGINES, engine)) {
+    return res.status(400).json({ error: `Invalid engine "${engine}". Use one of: ${Object.keys(ENGINES).join(', ')}` });
+  }
+
+  let points;
+  let snap;
+  let postProcess;
+  let params;
+  try {
+    const { parsePoints } = await loadCoreModule('points');
+    points = parsePoints(req.body);
+    snap = parseSnap(req.query.snap ?? req.body?.snap);
+    postProcess = await parsePostProcess(req.body?.postProcess || req.query);
+    params = await parseExtractionParams(req.body?.params || req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (points.length === 0) {
+    return res.status(400).json({ error: 'No points in request body.' });
+  }
+  if (points.length > MAX_BATCH_POINTS) {
+    return res.status(400).json({ error: `Too many points (${points.length}). Max per batch: ${MAX_BATCH_POINTS}` });
+  }
+
+  if (!chargeQuota(req, res, points.length)) return undefined;
+
+  const job = jobQueue.create(points, engine, { snap, postProcess, params });
+  job.owner = req.apiKey?.id ?? null;
+  req.log.info('Batch job queued', { tag: 'Batch', job_id: job.id, points: points.length, engine, preset: params.preset });
+  return res.status(202).json({
+    job_id: job.id,
+    status: job.status,
+    total: points.length,
+    status_url: `/jobs/${job.id}`,
+    result_url: `/jobs/${job.id}/result`,
+  });
+});
+
+// ── GET /jobs/:id — per-item status and partial results ──
+// Jobs are only visible to the key that created them. Polling is not rate limited.
+function findJob(req) {
+  const job = jobQueue.get(req.params.id);
+  return job && (!req.apiKey || job.owner === req.apiKey.id) ? job : null;
+}
+
+app.get('/jobs/:id', requireApiKey({ rateLimit: false }), (req, res) => {
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  return res.json(summarizeJob(job));
+});
+
+// ── GET /jobs/:id/result[?format=geojson|kml|wkt|wkb|csv|shapefile|gpkg] — final FeatureCollection download ──
+app.get('/jobs/:id/result', requireApiKey({ rateLimit: false }), async (req, res) => {
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== 'completed') {
+    return res.status(409).json({ error: `Job is still ${job.status}`, status_url: `/jobs/${job.id}` });
+  }
+  const format = req.query.format || 'geojson';
+  const formatError = format === 'json' ? `Invalid format "json" for a download` : await checkFormat(format);
+  if (formatError) return res.status(400).json({ error: formatError });
+  try {
+    return await sendExport(res, jobToFeatureCollection(job), format, `boundaries-${job.id}`);
+  } catch (err) {
+    req.log.error('Batch export failed', { tag: 'Batch', job_id: job.id, error: err.message });
+    return res.status(500).json({ error: 'Export failed', details: err.message });
   }
 });
 
+// ── Admin: API keys ──
+// GET /admin/keys — every key with its limits and usage
+app.get('/admin/keys', requireAdmin, (req, res) => {
+  res.json({ stats: apiKeys.stats(), keys: apiKeys.list().map((entry) => apiKeys.describe(entry)) });
+});
+
+// POST /admin/keys { name, rate_limit_per_min?, daily_quota? } — the response is the only time
+// the key itself is shown
+app.post('/admin/keys', requireAdmin, express.json(), (req, res) => {
+  let created;
+  try {
+    created = apiKeys.create({
+      name: req.body?.name,
+      rateLimitPerMin: req.body?.rate_limit_per_min,
+      dailyQuota: req.body?.daily_quota,
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  authLog.info('API key created', { request_id: req.id, key_id: created.entry.id, name: created.entry.name });
+  return res.status(201).json({ ...apiKeys.describe(created.entry), key: created.key });
+});
+
+// DELETE /admin/keys/:id — revoke; the key stays listed with its usage
+app.delete('/admin/keys/:id', requireAdmin, (req, res) => {
+  if (!apiKeys.revoke(req.params.id)) return res.status(404).json({ error: 'API key not found' });
+  authLog.info('API key revoked', { request_id: req.id, key_id: req.params.id });
+  return res.json(apiKeys.describe(apiKeys.get(req.params.id)));
+});
+
 // ── Health check ──
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', browser_connected: !!(browserInstance && browserInstance.connected) });
+  res.json({
+    status: 'ok',
+    browser_connected: !!(browserInstance && browserInstance.connected),
+    tile_source: TILE_SOURCE ? path.basename(TILE_SOURCE) : 'maptiler',
+    pool: pagePool.metrics(),
+    batch: jobQueue.stats(),
+    cache: boundaryCache.stats(),
+    auth: { required: REQUIRE_API_KEY, keys: apiKeys.stats().active },
+  });
+});
+
+// ── GET /metrics — Prometheus scrape endpoint ──
+// Pool, cache and batch state are read at scrape time
+metrics.gauge({
+  name: 'browser_connected',
+  help: '1 while the headless browser is connected',
+  collect: () => (browserInstance && browserInstance.connected ? 1 : 0),
+});
+metrics.gauge({
+  name: 'page_pool_pages',
+  help: 'Engine pages in the pool by state',
+  collect: () => {
+    const pool = pagePool.metrics();
+    return ['idle', 'busy', 'starting'].map((state) => ({ labels: { state }, value: pool[state] }));
+  },
+});
+metrics.gauge({ name: 'page_pool_waiting', help: 'Requests waiting for an engine page', collect: () => pagePool.metrics().waiting });
+metrics.gauge({ name: 'cache_entries', help: 'Boundary cache entries', collect: () => boundaryCache.stats().entries });
+metrics.gauge({ name: 'batch_queued_items', help: 'Batch items waiting for a worker', collect: () => jobQueue.stats().queued_items });
+metrics.gauge({ name: 'batch_active_items', help: 'Batch items being extracted', collect: () => jobQueue.stats().active_items });
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
 });
 
 // ── Graceful shutdown ──
+const serverLog = logger.child({ tag: 'Server' });
 process.on('SIGINT', async () => {
-  console.log('\n[Server] Shutting down...');
+  serverLog.info('Shutting down');
+  await pagePool.close();
+  boundaryCache.flush();
+  apiKeys.flush();
   if (browserInstance) await browserInstance.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
+  await pagePool.close();
+  boundaryCache.flush();
+  apiKeys.flush();
   if (browserInstance) await browserInstance.close();
   process.exit(0);
 });
 
-app.listen(PORT, () => {
-  console.log(`\n╔════════════════════════════════════════════╗`);
-  console.log(`║  Building Boundary API                     ║`);
-  console.log(`║  http://localhost:${PORT}/get-boundary?lat=X&lng=Y ║`);
-  console.log(`╚════════════════════════════════════════════╝\n`);
-});
+// Listens when run directly; server.test.js requires the app and listens on its own port
+if (require.main === module) {
+  app.listen(PORT, () => {
+    serverLog.info('Building Boundary API listening', { port: Number(PORT), url: `http://localhost:${PORT}/get-boundary?lat=X&lng=Y` });
+
+    // Load the map in the pooled pages up front so the first request does not pay for it
+    pagePool.warm().catch((err) => logger.warn('Warm-up failed', { tag: 'Pool', error: err.message }));
+  });
+}
+
+module.exports = { app };
@@ -0,0 +1,79 @@
+// HTTP routes against the tiles engine and the synthetic fixtures in fixtures/tile-engine.
+// Export writers are replaced by one that always fails (see the loader hook below), to check
+// that a failed export still ends in a response.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { register } = require('node:module');
+const turf = require('@turf/turf');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+Object.assign(process.env, {
+  DEFAULT_ENGINE: 'tiles',
+  TILES_URL: 'fixtures/tile-engine/tiles/{z}/{x}/{y}.pbf',
+  CACHE_FILE: path.join(dataDir, 'boundary-cache.json'),
+  API_KEYS_FILE: path.join(dataDir, 'api-keys.json'),
+  LOG_LEVEL: 'error',
+});
+
+const failingFormats = `
+export const EXPORT_FORMATS = { wkt: { extension: 'wkt' } };
+export async function exportGeoJSON() { throw new Error('WKT writer failed'); }
+`;
+register(`data:text/javascript,${encodeURIComponent(`
+export async function load(url, context, nextLoad) {
+  if (url.endsWith('/core/formats.js')) {
+    return { format: 'module', source: ${JSON.stringify(failingFormats)}, shortCircuit: true };
+  }
+  return nextLoad(url, context);
+}`)}`);
+
+const { app } = require('./server');
+
+const truth = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/tile-engine/buildings.geojson'), 'utf8'));
+const [lng, lat] = turf.pointOnFeature(truth.features.find((f) => f.id === 101)).geometry.coordinates;
+
+let server;
+let baseUrl;
+test.before(() => new Promise((resolve) => {
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// A request the server never answers fails after 10 s instead of hanging the run
+const request = (route, init = {}) => fetch(`${baseUrl}${route}`, { ...init, signal: AbortSignal.timeout(10_000) });
+
+test('get-boundary answers 500 when the export fails', async () => {
+  const res = await request(`/get-boundary?lat=${lat}&lng=${lng}&format=wkt&cache=false`);
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).details, 'WKT writer failed');
+});
+
+test('buildings-in-area answers 500 when the export fails', async () => {
+  const bbox = turf.bbox(turf.buffer(turf.point([lng, lat]), 20, { units: 'meters' }));
+  const res = await request(`/buildings-in-area?bbox=${bbox.join(',')}&format=wkt`);
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).details, 'WKT writer failed');
+});
+
+test('engine names are only the listed engines, not inherited object keys', async () => {
+  for (const route of [`/get-boundary?lat=${lat}&lng=${lng}&cache=false`, `/buildings-in-area?lat=${lat}&lng=${lng}&radius=20`]) {
+    const res = await request(`${route}&engine=toString`);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Invalid engine "toString"/);
+  }
+  const res = await request('/boundaries/batch?engine=constructor', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ points: [[lat, lng]] }),
+  });
+  assert.equal(res.status, 400);
+});
@@ -0,0 +1,455 @@
+// ══════════════════════════════════════════════════════════════════════
+//  Tile engine — pure-Node building extraction (no headless Chrome)
+//  Fetches the MVT tiles around the point, decodes the building source layer(s) picked
+//  by the layer policy, and runs the shared core's seed/cluster/union on the fragments.
+// ══════════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { VectorTile } = require('@mapbox/vector-tile');
+const Pbf = require('pbf');
+const turf = require('@turf/turf');
+
+// ── Constants ──
+const TILE_ZOOM = 14;                 // OpenMapTiles schema: building detail is complete at z14
+const INITIAL_TILE_RADIUS = 1;        // start with the 3×3 tiles around the point
+const MAX_TILE_RADIUS = 3;            // never load more than 7×7 tiles
+const MAX_AREA_TILES = 64;            // area queries: tiles covering the area plus a 1-tile ring
+const DEFAULT_TILE_URL = 'https://api.maptiler.com/tiles/v3/{z}/{x}/{y}.pbf?key={key}';
+
+// The extraction core is ESM — load it once and reuse
+let corePromise = null;
+function loadCore() {
+  if (!corePromise) corePromise = import('../core/index.js');
+  return corePromise;
+}
+
+// ── Tile math (Web Mercator / XYZ) ──
+function lngLatToTile(lng, lat, z) {
+  const n = 2 ** z;
+  const latRad = (lat * Math.PI) / 180;
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
+  return { x: Math.min(Math.max(x, 0), n - 1), y: Math.min(Math.max(y, 0), n - 1) };
+}
+
+function tileToLngLat(x, y, z) {
+  const n = 2 ** z;
+  const lng = (x / n) * 360 - 180;
+  const lat = (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / n))) * 180) / Math.PI;
+  return [lng, lat];
+}
+
+// Geographic bbox [w, s, e, n] covered by the tile window centre ± radius
+function windowBounds(center, radius, z) {
+  const [w, n] = tileToLngLat(center.x - radius, center.y - radius, z);
+  const [e, s] = tileToLngLat(center.x + radius + 1, center.y + radius + 1, z);
+  return [w, s, e, n];
+}
+
+// ── Tile fetching ──
+// `template` is either an http(s) URL or a filesystem path (relative to server/), both with
+// {z}/{x}/{y} placeholders. A missing tile resolves to null (empty tile, not an error).
+function createTileFetcher(template, apiKey) {
+  const isRemote = /^https?:\/\//i.test(template);
+  const fill = (z, x, y) => template
+    .replace('{z}', z).replace('{x}', x).replace('{y}', y)
+    .replace('{key}', encodeURIComponent(apiKey || ''));
+
+  return async (z, x, y) => {
+    let data = null;
+    if (isRemote) {
+      const res = await fetch(fill(z, x, y));
+      if (res.status === 204 || res.status === 404) return null;
+      if (!res.ok) throw new Error(`Tile ${z}/${x}/${y} request failed: HTTP ${res.status}`);
+      data = Buffer.from(await res.arrayBuffer());
+    } else {
+      const filePath = path.resolve(__dirname, fill(z, x, y));
+      if (!fs.existsSync(filePath)) return null;
+      data = await fs.promises.readFile(filePath);
+    }
+    // Tiles on disk (and some servers) are gzipped without a Content-Encoding header
+    if (data.length > 2 && data[0] === 0x1f && data[1] === 0x8b) data = zlib.gunzipSync(data);
+    return data;
+  };
+}
+
+// Fixture tiles for the offline harnesses (regression.js, bench-merge.js): replays tiles from
+// `tilesDir`, or with `record` fetches them remotely and saves each one (missing tiles
+// as empty files, so a replay never needs the network)
+function createFixtureFetcher(tilesDir, record) {
+  const replay = createTileFetcher(path.join(tilesDir, '{z}/{x}/{y}.pbf'));
+  if (!record) return replay;
+  const remote = createTileFetcher(
+    process.env.TILES_URL || DEFAULT_TILE_URL,
+    process.env.MAPTILER_API_KEY || process.env.VITE_MAPTILER_API_KEY,
+  );
+  return async (z, x, y) => {
+    const data = await remote(z, x, y);
+    const file = path.join(tilesDir, `${z}/${x}/${y}.pbf`);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, data || Buffer.alloc(0));
+    return data;
+  };
+}
+
+// Decode the polygon features of the given source layers (all layers when none are given)
+// into GeoJSON features (lng/lat), tagged with their source layer and tile
+function decodeTileFeatures(buffer, z, x, y, sourceLayers = []) {
+  if (!buffer || buffer.length === 0) return [];
+  const tile = new VectorTile(new Pbf(buffer));
+  const layerNames = sourceLayers.length > 0 ? sourceLayers : Object.keys(tile.layers);
+
+  const features = [];
+  for (const layerName of layerNames) {
+    const layer = tile.layers[layerName];
+    if (!layer) continue;
+    for (let i = 0; i < layer.length; i++) {
+      const vtFeature = layer.feature(i);
+      const geojson = vtFeature.toGeoJSON(x, y, z);
+      const { type } = geojson.geometry || {};
+      if (type !== 'Polygon' && type !== 'MultiPolygon') continue;
+      features.push({
+        type: 'Feature',
+        id: vtFeature.id,
+        properties: geojson.properties || {},
+        geometry: geojson.geometry,
+        source: 'tiles',
+        sourceLayer: layerName,
+        tile: { z, x, y },
+        extent: layer.extent,
+      });
+    }
+  }
+  return features;
+}
+
+// ══════════════════════════════════════════════════════════════════════
+//  extractBuildingFromTiles — same contract as the browser engine
+//  Options: { zoom, tileUrl, apiKey, fetchTile, layerPolicy, snap, params }
+//  `params` are the core's extraction parameters (core/params.js); zoomCascade does not apply,
+//  tiles are always read at `zoom`, and timeoutS bounds the whole extraction.
+//  Returns: Promise<{ geojson, error, logs, timings, layer, diagnostics, snap }>
+//  `timings` lists phase durations: 'tiles' (one window load), 'pass' and 'union', as in the core.
+// ══════════════════════════════════════════════════════════════════════
+async function extractBuildingFromTiles(latNum, lngNum, options = {}) {
+  const { normalizeSnapOption, normalizeExtractionParams } = await loadCore();
+  let snap;
+  let params;
+  try {
+    snap = normalizeSnapOption(options.snap);
+    params = normalizeExtractionParams(options.params);
+  } catch (err) {
+    return { geojson: null, error: err.message, logs: [], timings: [], layer: null, diagnostics: null, snap: null };
+  }
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({
+      geojson: null,
+      error: 'Timeout: extraction took too long',
+      logs: [`TIMEOUT after ${params.timeoutS}s`],
+      timings: [],
+      layer: null,
+      diagnostics: null,
+      snap: null,
+    }), params.timeoutS * 1000);
+  });
+  try {
+    return await Promise.race([extractWithSnap(latNum, lngNum, { ...options, snap, params }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// One run at the point and, when snapping, a second one from the nearest building
+async function extractWithSnap(latNum, lngNum, options) {
+  const { findNearestBuilding, buildDiagnostics } = await loadCore();
+  const { snap } = options;
+
+  // Both runs share one tile fetch per tile
+  const fetched = new Map();
+  const fetchTileOnce = options.fetchTile
+    || createTileFetcher(options.tileUrl || DEFAULT_TILE_URL, options.apiKey);
+  const fetchTile = (z, x, y) => {
+    const key = `${z}/${x}/${y}`;
+    if (!fetched.has(key)) fetched.set(key, fetchTileOnce(z, x, y));
+    return fetched.get(key);
+  };
+
+  const { candidates, ...result } = await extractAtPoint(latNum, lngNum, { ...options, fetchTile });
+  if (!snap || result.diagnostics?.validated) return { ...result, snap: null };
+
+  const { logs, timings } = result;
+  logs.push(`No building at the point — snapping within ${snap.maxDistanceM}m`);
+  const nearest = findNearestBuilding(candidates, [lngNum, latNum], snap.maxDistanceM);
+  if (!nearest || nearest.distanceM === 0) {
+    logs.push('✗ no building within the snap distance');
+    return { ...result, snap: null };
+  }
+  logs.push(`Snapped ${nearest.distanceM}m at ${nearest.bearing}° — re-running from the nearest footprint`);
+  const snapped = await extractAtPoint(nearest.target[1], nearest.target[0], { ...options, fetchTile });
+  delete snapped.candidates;
+  if (!snapped.geojson) {
+    return { ...result, logs: [...logs, ...snapped.logs], timings: [...timings, ...snapped.timings], snap: null };
+  }
+
+  const { from, to, distanceM, bearing } = nearest;
+  return {
+    ...snapped,
+    logs: [...logs, ...snapped.logs],
+    timings: [...timings, ...snapped.timings],
+    diagnostics: buildDiagnostics({ ...snapped.diagnostics, snapped: true, snapDistanceM: distanceM }),
+    snap: { from, to, distanceM, bearing },
+  };
+}
+
+// One extraction at a point; also returns `candidates` (every policy-matching fragment loaded)
+// for the snapping search
+async function extractAtPoint(latNum, lngNum, options) {
+  const {
+    pickOrMergeSourceFeatures,
+    validateBuildingResult,
+    buildGeoJSONFromFeature,
+    normalizeLayerPolicy,
+    matchesLayerPolicy,
+    describeFeatureLayer,
+    buildDiagnostics,
+  } = await loadCore();
+  const { areaMultiplier, maxNeighborDistanceKm, maxBuildingAreaM2, maxPasses, bboxGrowth, multipart } = options.params;
+
+  const logs = [];
+  const log = (msg) => logs.push(msg);
+  const timings = [];
+  const timing = (phase, startedAt, detail) => {
+    timings.push({ phase, ms: Math.round(performance.now() - startedAt), ...detail });
+  };
+  let layerPolicy;
+  try {
+    layerPolicy = normalizeLayerPolicy(options.layerPolicy);
+  } catch (err) {
+    return {
+      geojson: null, error: `Invalid layer policy: ${err.message}`, logs, timings, layer: null, diagnostics: null, candidates: [],
+    };
+  }
+  const zoom = options.zoom || TILE_ZOOM;
+  const { fetchTile } = options;
+  const lngLat = [lngNum, latNum];
+  const clickPt = turf.point(lngLat);
+  const center = lngLatToTile(lngNum, latNum, zoom);
+
+  // ── Load tiles (each tile is fetched and decoded at most once) ──
+  const tiles = new Map();
+  const candidates = () => [...tiles.values()].flat().filter(Boolean);
+  const notFound = () => ({
+    geojson: null, error: 'No building found at this location.', logs, timings, layer: null, diagnostics: null, candidates: candidates(),
+  });
+  const loadWindow = async (radius) => {
+    const startedAt = performance.now();
+    const n = 2 ** zoom;
+    const pending = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        const x = (((center.x + dx) % n) + n) % n;
+        const y = center.y + dy;
+        const key = `${x}/${y}`;
+        if (y < 0 || y >= n || tiles.has(key)) continue;
+        tiles.set(key, null);
+        pending.push(fetchTile(zoom, x, y).then((buf) => {
+          const decoded = decodeTileFeatures(buf, zoom, x, y, layerPolicy.sourceLayers);
+          tiles.set(key, decoded.filter((f) => matchesLayerPolicy(f, layerPolicy)));
+        }));
+      }
+    }
+    await Promise.all(pending);
+    timing('tiles', startedAt, { zoom, radius, tiles: pending.length });
+    log(`z${zoom} window r=${radius} — ${tiles.size} tiles loaded`);
+    return [...tiles.values()].flat();
+  };
+
+  // ── Seed: the smallest building-sized fragment containing the point, else one within tolerance ──
+  const findSeed = (features) => {
+    let seed = null;
+    let seedArea = Infinity;
+    for (const f of features) {
+      try {
+        if (!turf.booleanPointInPolygon(clickPt, f)) continue;
+        const a = turf.area(f);
+        if (a <= maxBuildingAreaM2 && a < seedArea) { seed = f; seedArea = a; }
+      } catch (_) { continue; }
+    }
+    if (seed) return seed;
+    return features.find((f) => {
+      const { pointOk, areaOk } = validateBuildingResult(f.geometry, lngLat, options.params);
+      return pointOk && areaOk;
+    }) || null;
+  };
+
+  // Fragments of the seed across tile seams share its feature id
+  const fragmentsOf = (seed, features) => {
+    const seedId = seed.id ?? seed.properties?.id ?? seed.properties?.osm_id;
+    if (seedId == null) return features;
+    return features.filter((f) => (f.id ?? f.properties?.id ?? f.properties?.osm_id) === seedId);
+  };
+
+  try {
+    let radius = INITIAL_TILE_RADIUS;
+    let features = await loadWindow(radius);
+    const seed = findSeed(features);
+    if (!seed) return notFound();
+    const layer = describeFeatureLayer(seed);
+    log(`Seed found in tile ${seed.tile.z}/${seed.tile.x}/${seed.tile.y} (layer=${seed.sourceLayer}, id=${seed.id ?? 'none'})`);
+
+    // ── Iterative expansion: re-merge with adaptive guards, widening the tile window ──
+    // while the footprint reaches its edge, until the bbox stops growing (mirrors the browser passes)
+    const stats = { passes: 0, converged: false, seedMethod: null, fragments: 0, merged: 0, seams: 0 };
+    const mergeFragments = (fragments, mergeOptions = {}) => {
+      const report = {};
+      const startedAt = performance.now();
+      const result = pickOrMergeSourceFeatures(fragments, lngLat, {
+        areaMultiplier,
+        maxDistanceKm: maxNeighborDistanceKm,
+        maxBuildingAreaM2,
+        multipart,
+        tileGrid: { zoom, extent: fragments[0]?.extent },
+        ...mergeOptions,
+        report,
+      });
+      timing('union', startedAt, { zoom });
+      if (result?.geometry) {
+        Object.assign(stats, { seedMethod: report.seedMethod, fragments: fragments.length, merged: report.merged, seams: report.seams });
+      }
+      return result;
+    };
+    let merged = mergeFragments(fragmentsOf(seed, features));
+    let prevDiagonal = 0;
+    for (let pass = 1; merged?.geometry && pass <= maxPasses; pass++) {
+      const passStartedAt = performance.now();
+      const [w, s, e, n] = turf.bbox(turf.feature(merged.geometry));
+      const [ww, ws, we, wn] = windowBounds(center, radius, zoom);
+      const canWiden = (w <= ww || s <= ws || e >= we || n >= wn) && radius < MAX_TILE_RADIUS;
+      const diagonal = diagonalKm(merged.geometry);
+      const growth = prevDiagonal > 0 ? (diagonal - prevDiagonal) / prevDiagonal : 1;
+      if (pass > 1 && growth < bboxGrowth && !canWiden) {
+        log(`pass ${pass} — converged`);
+        stats.converged = true;
+        break;
+      }
+      prevDiagonal = diagonal;
+
+      if (canWiden) {
+        radius++;
+        log(`pass ${pass} — footprint reaches window edge, widening`);
+        features = await loadWindow(radius);
+      }
+      const fragments = fragmentsOf(seed, features);
+      merged = mergeFragments(fragments, {
+        areaMultiplier: Math.max(areaMultiplier, 10.0),
+        maxDistanceKm: Math.max(maxNeighborDistanceKm, diagonal * 2.0),
+      }) || merged;
+      stats.passes = pass;
+      timing('pass', passStartedAt, { zoom, pass });
+      log(`pass ${pass} — ${fragments.length} fragment(s), diag=${diagonal.toFixed(3)}km`);
+    }
+
+    if (!merged?.geometry) return notFound();
+
+    const { pointOk, areaOk, pointBuffered } = validateBuildingResult(merged.geometry, lngLat, options.params);
+    if (!areaOk) {
+      log('✗ area too large (landuse/zone)');
+      return notFound();
+    }
+    log(pointOk ? '✓ VALIDATED (point inside + building-sized)' : '✗ point NOT inside — using best available result');
+
+    const diagnostics = buildDiagnostics({
+      zoom,
+      zoomsTried: 1,
+      ...stats,
+      pointInside: pointOk && !pointBuffered,
+      pointBuffered,
+      validated: pointOk,
+      tiles: tiles.size,
+    });
+    const { tile, source, sourceLayer, ...feature } = merged;
+    return {
+      geojson: buildGeoJSONFromFeature(feature, merged.geometry), error: null, logs, timings, layer, diagnostics, candidates: candidates(),
+    };
+  } catch (err) {
+    log(`Tile engine error: ${err.message}`);
+    return {
+      geojson: null, error: `Tile extraction failed: ${err.message}`, logs, timings, layer: null, diagnostics: null, candidates: [],
+    };
+  }
+}
+
+// ══════════════════════════════════════════════════════════════════════
+//  extractBuildingsInAreaFromTiles — every building intersecting an area
+//  `area` is { bbox } | { center, radius } | { polygon } (see core/area.js).
+//  Options: { zoom, tileUrl, apiKey, fetchTile, layerPolicy }
+//  Returns: Promise<{ geojson, error, logs }> — geojson is a FeatureCollection
+// ══════════════════════════════════════════════════════════════════════
+async function extractBuildingsInAreaFromTiles(area, options = {}) {
+  const { normalizeLayerPolicy, matchesLayerPolicy, normalizeSelectionArea, collectBuildingsInArea } = await loadCore();
+
+  const logs = [];
+  const log = (msg) => logs.push(msg);
+  let layerPolicy;
+  let areaFeature;
+  try {
+    layerPolicy = normalizeLayerPolicy(options.layerPolicy);
+    areaFeature = normalizeSelectionArea(area);
+  } catch (err) {
+    return { geojson: null, error: err.message, logs };
+  }
+  const zoom = options.zoom || TILE_ZOOM;
+  const fetchTile = options.fetchTile
+    || createTileFetcher(options.tileUrl || DEFAULT_TILE_URL, options.apiKey);
+
+  // Tiles covering the area, plus one ring so buildings crossing its edge come back whole
+  const [w, s, e, n] = turf.bbox(areaFeature);
+  const nw = lngLatToTile(w, n, zoom);
+  const se = lngLatToTile(e, s, zoom);
+  const last = 2 ** zoom - 1;
+  const minX = Math.max(nw.x - 1, 0);
+  const maxX = Math.min(se.x + 1, last);
+  const minY = Math.max(nw.y - 1, 0);
+  const maxY = Math.min(se.y + 1, last);
+  const tileCount = (maxX - minX + 1) * (maxY - minY + 1);
+  if (tileCount > MAX_AREA_TILES) {
+    return { geojson: null, error: `Area spans ${tileCount} tiles (max ${MAX_AREA_TILES})`, logs };
+  }
+
+  try {
+    const pending = [];
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        pending.push(fetchTile(zoom, x, y).then((buf) =>
+          decodeTileFeatures(buf, zoom, x, y, layerPolicy.sourceLayers)
+            .filter((f) => matchesLayerPolicy(f, layerPolicy))));
+      }
+    }
+    const fragments = (await Promise.all(pending)).flat();
+    log(`z${zoom} ${tileCount} tiles loaded — ${fragments.length} fragment(s)`);
+
+    const collection = collectBuildingsInArea(fragments, areaFeature, { log, tileGrid: { zoom, extent: fragments[0]?.extent } });
+    return { geojson: collection, error: null, logs };
+  } catch (err) {
+    log(`Tile engine error: ${err.message}`);
+    return { geojson: null, error: `Tile extraction failed: ${err.message}`, logs };
+  }
+}
+
+function diagonalKm(geometry) {
+  const [w, s, e, n] = turf.bbox(turf.feature(geometry));
+  return turf.distance(turf.point([w, s]), turf.point([e, n]), { units: 'kilometers' });
+}
+
+module.exports = {
+  TILE_ZOOM,
+  lngLatToTile,
+  createTileFetcher,
+  createFixtureFetcher,
+  decodeTileFeatures,
+  extractBuildingFromTiles,
+  extractBuildingsInAreaFromTiles,
+};
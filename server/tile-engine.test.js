@@ -0,0 +1,80 @@
+// Tile engine against the synthetic fixtures in fixtures/tile-engine (see fixture-tiles.js):
+// four buildings laid out around the corner where tiles 14/8580-8581/5737-5738 meet.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const turf = require('@turf/turf');
+const { createTileFetcher, decodeTileFeatures, extractBuildingFromTiles } = require('./tile-engine');
+
+const FIXTURES = path.join(__dirname, 'fixtures/tile-engine');
+const fetchTile = createTileFetcher('fixtures/tile-engine/tiles/{z}/{x}/{y}.pbf');
+const truth = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'buildings.geojson'), 'utf8'));
+const building = (id) => truth.features.find((f) => f.id === id);
+
+async function extractInside(id) {
+  const [lng, lat] = turf.pointOnFeature(building(id)).geometry.coordinates;
+  return extractBuildingFromTiles(lat, lng, { fetchTile });
+}
+
+// Area (m²) covered by only one of the two footprints
+function mismatchM2(a, b) {
+  return [[a, b], [b, a]].reduce((sum, pair) => {
+    const rest = turf.difference(turf.featureCollection(pair));
+    return sum + (rest ? turf.area(rest) : 0);
+  }, 0);
+}
+
+function assertMatchesTruth(result, id) {
+  assert.equal(result.error, null);
+  assert.equal(result.geojson.geometry.type, 'Polygon');
+  const mismatch = mismatchM2(result.geojson, building(id));
+  assert.ok(mismatch < 0.01, `${mismatch} m² differ from the footprint`);
+}
+
+test('decodeTileFeatures returns the clipped fragments of a tile as lng/lat features', async () => {
+  const features = decodeTileFeatures(await fetchTile(14, 8580, 5737), 14, 8580, 5737);
+  assert.deepEqual(features.map((f) => f.id).sort(), [101, 102]);
+  for (const f of features) {
+    assert.equal(f.geometry.type, 'Polygon');
+    assert.equal(f.sourceLayer, 'building');
+    assert.deepEqual(f.tile, { z: 14, x: 8580, y: 5737 });
+    assert.equal(typeof f.properties.render_height, 'number');
+  }
+  // Clipped at the tile's east edge
+  const [, , east] = turf.bbox(turf.featureCollection(features));
+  assert.ok(Math.abs(east - ((8581 / 2 ** 14) * 360 - 180)) < 1e-9);
+});
+
+test('decodeTileFeatures filters by source layer and tolerates empty tiles', async () => {
+  const buf = await fetchTile(14, 8580, 5737);
+  assert.deepEqual(decodeTileFeatures(buf, 14, 8580, 5737, ['landuse']), []);
+  assert.equal(decodeTileFeatures(buf, 14, 8580, 5737, ['building']).length, 2);
+  assert.deepEqual(decodeTileFeatures(null, 14, 8580, 5737), []);
+  assert.equal(await fetchTile(14, 0, 0), null);
+});
+
+test('extractBuildingFromTiles joins a building clipped at a vertical seam', async () => {
+  assertMatchesTruth(await extractInside(101), 101);
+});
+
+test('extractBuildingFromTiles joins the four fragments of a building across a tile corner', async () => {
+  assertMatchesTruth(await extractInside(102), 102);
+});
+
+test('extractBuildingFromTiles keeps the neighbour across the street apart', async () => {
+  assertMatchesTruth(await extractInside(103), 103);
+});
+
+test('extractBuildingFromTiles keeps courtyards', async () => {
+  const result = await extractInside(104);
+  assertMatchesTruth(result, 104);
+  assert.equal(result.geojson.geometry.coordinates.length, 2);
+});
+
+test('extractBuildingFromTiles reports no building away from the fixtures', async () => {
+  const [lng, lat] = turf.destination(turf.centroid(building(102)), 0.4, 45).geometry.coordinates;
+  const result = await extractBuildingFromTiles(lat, lng, { fetchTile });
+  assert.equal(result.geojson, null);
+  assert.equal(result.error, 'No building found at this location.');
+});
@@ -0,0 +1,163 @@
+// ══════════════════════════════════════════════════════════════════════
+//  Offline tile source — serves vector tiles from a local .mbtiles or .pmtiles extract
+//  Both formats expose the same interface:
+//    getTile(z, x, y) → Promise<Buffer|null>   (uncompressed MVT, XYZ addressing)
+//    metadata         → { name, minzoom, maxzoom, bounds, center, vector_layers }
+// ══════════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const gunzipIfNeeded = (buf) =>
+  (buf && buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b ? zlib.gunzipSync(buf) : buf);
+
+// ── MBTiles (SQLite). sql.js is pure WASM, so no native build is needed on the target box;
+// the trade-off is that the whole file is read into memory. ──
+async function openMbtiles(filePath) {
+  const initSqlJs = require('sql.js');
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(fs.readFileSync(filePath));
+
+  const meta = {};
+  const metaRows = db.exec('SELECT name, value FROM metadata');
+  for (const [name, value] of metaRows[0]?.values || []) meta[name] = value;
+  const json = meta.json ? JSON.parse(meta.json) : {};
+
+  const tileQuery = db.prepare(
+    'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?',
+  );
+
+  return {
+    format: 'mbtiles',
+    metadata: {
+      name: meta.name || path.basename(filePath),
+      minzoom: Number(meta.minzoom ?? 0),
+      maxzoom: Number(meta.maxzoom ?? 14),
+      bounds: meta.bounds ? meta.bounds.split(',').map(Number) : [-180, -85.0511, 180, 85.0511],
+      center: meta.center ? meta.center.split(',').map(Number) : undefined,
+      vector_layers: json.vector_layers || [],
+    },
+    async getTile(z, x, y) {
+      // MBTiles rows are TMS — flip y
+      tileQuery.bind([z, x, (2 ** z) - 1 - y]);
+      const row = tileQuery.step() ? tileQuery.get() : null;
+      tileQuery.reset();
+      return row ? gunzipIfNeeded(Buffer.from(row[0])) : null;
+    },
+    close() {
+      tileQuery.free();
+      db.close();
+    },
+  };
+}
+
+// ── PMTiles (single-file archive, read with ranged file reads) ──
+async function openPmtiles(filePath) {
+  const { PMTiles } = require('pmtiles');
+  const fd = fs.openSync(filePath, 'r');
+  const source = {
+    getKey: () => filePath,
+    async getBytes(offset, length) {
+      const buf = Buffer.alloc(length);
+      const { bytesRead } = await fs.promises.read(fd, buf, 0, length, offset);
+      const data = buf.subarray(0, bytesRead);
+      return { data: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) };
+    },
+  };
+  const archive = new PMTiles(source);
+  const header = await archive.getHeader();
+  const meta = await archive.getMetadata().catch(() => ({}));
+
+  return {
+    format: 'pmtiles',
+    metadata: {
+      name: meta.name || path.basename(filePath),
+      minzoom: header.minZoom,
+      maxzoom: header.maxZoom,
+      bounds: [header.minLon, header.minLat, header.maxLon, header.maxLat],
+      center: [header.centerLon, header.centerLat, header.centerZoom],
+      vector_layers: meta.vector_layers || [],
+    },
+    async getTile(z, x, y) {
+      const tile = await archive.getZxy(z, x, y);
+      return tile?.data ? gunzipIfNeeded(Buffer.from(tile.data)) : null;
+    },
+    close() {
+      fs.closeSync(fd);
+    },
+  };
+}
+
+async function openTileSource(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (!fs.existsSync(filePath)) throw new Error(`Tile source not found: ${filePath}`);
+  if (ext === '.mbtiles') return openMbtiles(filePath);
+  if (ext === '.pmtiles') return openPmtiles(filePath);
+  throw new Error(`Unsupported tile source "${ext}" — use .mbtiles or .pmtiles`);
+}
+
+// ══════════════════════════════════════════════════════════════════════
+//  Style rewriting — point every vector source at the local tile endpoint
+// ══════════════════════════════════════════════════════════════════════
+
+// Minimal style for a tileset with no style file: just enough to render building footprints
+// (the extraction only queries the building layer) plus water/landuse for orientation.
+function buildMinimalStyle(tileJsonUrl, metadata) {
+  const layerIds = new Set(metadata.vector_layers.map((l) => l.id));
+  const fills = [
+    { id: 'water', color: '#a0c8f0' },
+    { id: 'landuse', color: '#e8eedf' },
+    { id: 'building', color: '#d9d0c9' },
+  ].filter((l) => layerIds.size === 0 ? l.id === 'building' : layerIds.has(l.id));
+
+  return {
+    version: 8,
+    name: `${metadata.name} (offline)`,
+    sources: { openmaptiles: { type: 'vector', url: tileJsonUrl } },
+    layers: [
+      { id: 'background', type: 'background', paint: { 'background-color': '#f8f4f0' } },
+      ...fills.map((l) => ({
+        id: l.id,
+        type: 'fill',
+        source: 'openmaptiles',
+        'source-layer': l.id,
+        paint: { 'fill-color': l.color, ...(l.id === 'building' ? { 'fill-outline-color': '#bfb3a8' } : {}) },
+      })),
+    ],
+  };
+}
+
+// Rewrite an existing style: vector sources → local TileJSON, glyphs/sprite → local copies if
+// configured; otherwise drop them along with the label layers / icon properties that need them.
+function rewriteStyle(style, { tileJsonUrl, glyphsUrl, spriteUrl }) {
+  const out = JSON.parse(JSON.stringify(style));
+  for (const source of Object.values(out.sources || {})) {
+    if (source.type !== 'vector') continue;
+    delete source.tiles;
+    source.url = tileJsonUrl;
+  }
+  // Raster/DEM sources would still need the network
+  for (const [id, source] of Object.entries(out.sources || {})) {
+    if (source.type !== 'vector') delete out.sources[id];
+  }
+  out.layers = (out.layers || []).filter((l) => !l.source || out.sources[l.source]);
+
+  if (glyphsUrl) {
+    out.glyphs = glyphsUrl;
+  } else {
+    delete out.glyphs;
+    out.layers = out.layers.filter((l) => l.type !== 'symbol');
+  }
+  if (spriteUrl) {
+    out.sprite = spriteUrl;
+  } else {
+    delete out.sprite;
+    for (const l of out.layers) {
+      if (l.layout) delete l.layout['icon-image'];
+      if (l.paint) delete l.paint['fill-pattern'];
+    }
+  }
+  return out;
+}
+
+module.exports = { openTileSource, buildMinimalStyle, rewriteStyle };
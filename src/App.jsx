@@ -1,346 +1,204 @@
-import { useRef, useEffect, useState, useCallback } from 'react'
+import { useRef, useEffect, useState, useCallback, useMemo } from 'react'
 import maplibregl from 'maplibre-gl'
-import * as turf from '@turf/turf'
+import { bbox } from '@turf/turf'
+import {
+  createMaplibreAdapter,
+  findRenderedBuilding,
+  mergeBuildingFeatureAtPoint,
+  buildGeoJSONFromFeature,
+  normalizeLayerPolicy,
+  extractBuildingsInArea,
+  markManualEdit,
+  computeBuildingMetrics,
+  postProcessFeature,
+  normalizeExtractionParams,
+  EXTRACTION_PRESETS,
+  GEOCODE_REVIEW_SCORE,
+  FLY_TO_ZOOM,
+  parsePointList
+} from '../core/index.js'
+import { createGeocoder } from '../core/geocode.js'
+import { EXPORT_FORMATS, exportGeoJSON } from '../core/formats.js'
+import { useBoundaryEditor, EDIT_TOOLS } from './useBoundaryEditor.js'
+import { createGeometryWorker } from './geometryWorker.js'
+import { createBuildingExtractor } from './extractBuilding.js'
+import BatchResults from './BatchResults.jsx'
+import sqlWasmUrl from 'sql.js/dist/sql-wasm.wasm?url'
 import 'maplibre-gl/dist/maplibre-gl.css'
 import './App.css'
 
-const MAPTILER_STYLE_URL = `https://api.maptiler.com/maps/streets-v2/style.json?key=${import.meta.env.VITE_MAPTILER_API_KEY || ''}`
-
-// Bounding box buffer for initial click detection (center ± N → (2N+1)x(2N+1) px)
-const QUERY_RADIUS_PX = 3
-const FLY_TO_ZOOM = 17.5
-const DISCOVERY_ZOOM = 13.5            // lower zoom for Phase 1 — broad tile coverage to discover full building extent
-const SOURCE_QUERY_DELAY_MS = 75
-
-// ── Area-Guard & Distance-Guard thresholds (defaults, can be overridden per-call) ──
-const AREA_MULTIPLIER = 3.0           // max cluster area = seed area × this
-const MAX_NEIGHBOR_DISTANCE_KM = 0.05 // 50 m — reject polygons farther than this from seed centroid
-const MAX_BUILDING_AREA_SQM = 350_000 // 350K m² — anything larger is landuse/zone, not a building
-
-// Ray-casting: is point [lng, lat] inside polygon ring (array of [lng, lat])?
-function pointInRing(point, ring) {
-  const [x, y] = point
-  let inside = false
-  const n = ring.length
-  for (let i = 0, j = n - 1; i < n; j = i++) {
-    const [xi, yi] = ring[i]
-    const [xj, yj] = ring[j]
-    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside
+// VITE_STYLE_URL overrides the MapTiler style, e.g. the offline server's http://localhost:3001/style.json
+const MAP_STYLE_URL =
+  import.meta.env.VITE_STYLE_URL ||
+  `https://api.maptiler.com/maps/streets-v2/style.json?key=${import.meta.env.VITE_MAPTILER_API_KEY || ''}`
+
+// VITE_LAYER_POLICY (JSON) picks which layers count as buildings; see core/layer-policy.js
+const LAYER_POLICY = normalizeLayerPolicy(
+  import.meta.env.VITE_LAYER_POLICY ? JSON.parse(import.meta.env.VITE_LAYER_POLICY) : {}
+)
+
+// ── Test runner: built-in point list (same set as lat-long.txt); a CSV/JSON upload replaces it ──
+const TEST_COORDINATES = [
+  [49.06114, -122.49594],
+  [50.99507, -113.96369],
+  [39.53652, -84.30099],
+  [39.59358, -86.09508],
+  [33.65604, -117.718598],
+  [37.71727, -121.51804],
+  [47.27738, -122.234526],
+  [40.21300507, -76.0802536],
+  [38.93801, -94.84897],
+  [40.88931, -84.6097],
+  [41.5582, -90.4346],
+  [28.58543, -81.41385],
+  [28.03257942, -82.05041504],
+  [34.04669189, -117.6206131],
+  [33.73733, -84.56177],
+  [32.7696514, -96.8901692],
+  [41.40439777510291, -88.12477561852806],
+  [41.46080917, -88.10173598],
+  [41.44887833, -88.29277723],
+  [43.51063588, -88.79531788],
+  [41.98487941, -84.9802332],
+  [44.8972224, -91.86311665],
+  [40.97655267, -91.5282162],
+  [41.35273813, -89.22253163],
+  [41.46080917, -88.10173598],
+  [41.44887833, -88.29277723],
+  [55.37545776, -131.7204742],
+  [29.89539, -90.05731],
+  [36.670022, -76.95544],
+  [35.81965256, -79.82302094],
+  [34.155258, -79.764127],
+  [37.06111908, -93.2988739],
+  [42.66067123, -83.46760559],
+]
+const DEFAULT_TEST_POINTS = TEST_COORDINATES.map(([lat, lng]) => ({ lat, lng }))
+const TEST_POINT_DELAY_MS = 5000 // pause on each result before moving to the next point
+
+// Resolves after `ms`, or rejects with the signal's reason when it aborts first
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer)
+    reject(signal.reason)
   }
-  return inside
-}
-
-// Get a single Polygon from feature at the given lngLat. MultiPolygon → one polygon containing the point.
-function toSinglePolygon(feature, lngLat) {
-  if (!feature?.geometry) return null
-  const { type, coordinates } = feature.geometry
-  const [lng, lat] = Array.isArray(lngLat) ? lngLat : [lngLat.lng, lngLat.lat]
-
-  if (type === 'Polygon') {
-    return { type: 'Polygon', coordinates }
-  }
-  if (type === 'MultiPolygon') {
-    const point = [lng, lat]
-    for (const polygon of coordinates) {
-      const exteriorRing = polygon[0]
-      if (exteriorRing?.length && pointInRing(point, exteriorRing)) {
-        return { type: 'Polygon', coordinates: polygon }
-      }
-    }
-    return { type: 'Polygon', coordinates: coordinates[0] }
-  }
-  return null
-}
-
-function buildGeoJSONFromFeature(feature, geometry) {
-  if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) return null
-  return {
+  const timer = setTimeout(() => {
+    signal.removeEventListener('abort', onAbort)
+    resolve()
+  }, ms)
+  signal.addEventListener('abort', onAbort, { once: true })
+})
+
+// Highlight features, one per footprint part: the first part is the seed (see summarizeParts in
+// core/geometry.js), the others are neighbour parts of a multipart result
+const highlightParts = (geometry) =>
+  (geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates]).map((coordinates, i) => ({
     type: 'Feature',
-    properties: feature.properties || {},
-    geometry
-  }
-}
-
-// Count coordinate pairs in a geometry (for choosing "most detailed" feature)
-function countCoords(geometry) {
-  if (!geometry || !geometry.coordinates) return 0
-  const c = geometry.coordinates
-  if (geometry.type === 'Polygon') return (c[0] && c[0].length) || 0
-  if (geometry.type === 'MultiPolygon') {
-    return c.reduce((sum, poly) => sum + ((poly[0] && poly[0].length) || 0), 0)
-  }
-  return 0
-}
-
-// Extract flat list of polygon coordinate arrays from features (Polygon or MultiPolygon).
-// Returns { coords, turfPolys } so we can reuse Turf polygon objects and avoid reference ambiguity.
-function extractPolygonCoords(features) {
-  const coords = []
-  const turfPolys = []
-  for (const f of features) {
-    if (!f?.geometry?.coordinates) continue
-    const { type, coordinates } = f.geometry
-    if (type === 'Polygon' && coordinates[0]?.length) {
-      try {
-        coords.push(coordinates)
-        turfPolys.push(turf.polygon(coordinates))
-      } catch (_) {
-        coords.push(coordinates)
-        turfPolys.push(null)
-      }
-    } else if (type === 'MultiPolygon' && Array.isArray(coordinates)) {
-      for (const polygonCoords of coordinates) {
-        if (!polygonCoords?.[0]?.length) continue
-        try {
-          coords.push(polygonCoords)
-          turfPolys.push(turf.polygon(polygonCoords))
-        } catch (_) {
-          coords.push(polygonCoords)
-          turfPolys.push(null)
-        }
-      }
-    }
-  }
-  return { coords, turfPolys }
-}
-
-// ── Bulletproof building extraction ──
-// "Click-Point Isolation First" strategy:
-//   1. ALWAYS flatten every feature into individual polygons (no early returns)
-//   2. Find the single Seed polygon containing the click lat/lng
-//   3. Only merge truly adjacent tile-fragments with strict Area + Distance guards
-//   4. Final output is ALWAYS a single Polygon (never MultiPolygon)
-function pickOrMergeSourceFeatures(features, lngLat, options = {}) {
-  if (!features || features.length === 0) return null
-
-  const areaMultiplier = options.areaMultiplier || AREA_MULTIPLIER
-  const maxDistanceKm = options.maxDistanceKm || MAX_NEIGHBOR_DISTANCE_KM
-
-  // ── 0) Flatten ALL features into individual polygons ──
-  // Even a single feature can be a MultiPolygon containing dozens of separate buildings.
-  const { coords: allCoords, turfPolys } = extractPolygonCoords(features)
-  if (allCoords.length === 0) return features[0]
-
-  const [lng, lat] = Array.isArray(lngLat) ? lngLat : [lngLat.lng, lngLat.lat]
-  const clickPt = turf.point([lng, lat])
-
-  // If only one polygon exists after flattening, return it directly
-  if (allCoords.length === 1) {
-    return { ...features[0], geometry: { type: 'Polygon', coordinates: allCoords[0] } }
-  }
-
-  // ── 1) Seed identification ──
-  // Find the smallest polygon that actually contains the user's lat/lng.
-  let seedIndex = -1
-  let seedArea = Infinity
-  for (let i = 0; i < allCoords.length; i++) {
-    const poly = turfPolys[i]
-    if (!poly) continue
-    try {
-      if (turf.booleanPointInPolygon(clickPt, poly)) {
-        const a = turf.area(poly)
-        if (a > MAX_BUILDING_AREA_SQM) continue  // skip landuse/colonies
-        if (a < seedArea) {
-          seedArea = a
-          seedIndex = i
-        }
-      }
-    } catch (_) {
-      continue
-    }
-  }
-
-  // Fallback: ray-casting on raw coords
-  if (seedIndex === -1) {
-    for (let i = 0; i < allCoords.length; i++) {
-      if (allCoords[i]?.[0] && pointInRing([lng, lat], allCoords[i][0])) {
-        seedIndex = i
-        const poly = turfPolys[i]
-        seedArea = poly ? turf.area(poly) : 0
-        break
-      }
-    }
-  }
-
-  // Last-resort fallback: pick the closest polygon to the click point
-  if (seedIndex === -1) {
-    let minDist = Infinity
-    for (let i = 0; i < allCoords.length; i++) {
-      const poly = turfPolys[i]
-      if (!poly) continue
-      try {
-        const d = turf.distance(clickPt, turf.centroid(poly), { units: 'kilometers' })
-        if (d < minDist) {
-          minDist = d
-          seedIndex = i
-          seedArea = turf.area(poly)
-        }
-      } catch (_) {
-        continue
-      }
-    }
-  }
-
-  if (seedIndex === -1) return features[0]
-
-  // Precompute seed centroid for distance-guard
-  const seedPoly = turfPolys[seedIndex]
-  const seedCentroid = seedPoly ? turf.centroid(seedPoly) : clickPt
-  if (!seedArea || seedArea <= 0) {
-    seedArea = seedPoly ? turf.area(seedPoly) : 0
-  }
-  const maxClusterArea = seedArea * areaMultiplier
-
-  // Precompute areas and centroids for all polygons
-  const areas = allCoords.map((_, i) => {
-    const p = turfPolys[i]
-    if (!p) return 0
-    try { return turf.area(p) } catch (_) { return 0 }
-  })
-  const centroids = allCoords.map((_, i) => {
-    const p = turfPolys[i]
-    if (!p) return null
-    try { return turf.centroid(p) } catch (_) { return null }
-  })
-
-  // ── 2) Strict expansion: only merge adjacent tile-fragments ──
-  // A candidate must: touch the cluster, pass area guard, AND pass distance guard.
-  const cluster = new Set([seedIndex])
-  let clusterArea = areas[seedIndex] || 0
-  let changed = true
-
-  while (changed) {
-    changed = false
-    for (let i = 0; i < allCoords.length; i++) {
-      if (cluster.has(i)) continue
-      const poly = turfPolys[i]
-      if (!poly) continue
-
-      try {
-        // ── Distance Guard (check first — cheapest) ──
-        const candidateCentroid = centroids[i]
-        if (candidateCentroid) {
-          const dist = turf.distance(seedCentroid, candidateCentroid, { units: 'kilometers' })
-          if (dist > maxDistanceKm) continue
-        }
-
-        // ── Area Guard ──
-        const candidateArea = areas[i] || 0
-        if (maxClusterArea > 0 && (clusterArea + candidateArea) > maxClusterArea) continue
-
-        // ── Geometric connectivity: must truly touch/overlap a cluster member ──
-        const touchesCluster = [...cluster].some((j) => {
-          const other = turfPolys[j]
-          if (!other) return false
-          try { return turf.booleanIntersects(poly, other) } catch (_) { return false }
-        })
-        if (!touchesCluster) continue
-
-        // Passed all guards → add to cluster
-        cluster.add(i)
-        clusterArea += candidateArea
-        changed = true
-      } catch (_) {
-        continue
-      }
-    }
-  }
-
-  // ── 3) Union the cluster into a single geometry ──
-  const clusterCoords = [...cluster].map((i) => allCoords[i])
-
-  if (clusterCoords.length === 0) {
-    return { ...features[0], geometry: { type: 'Polygon', coordinates: allCoords[seedIndex] } }
-  }
-  if (clusterCoords.length === 1) {
-    return { ...features[0], geometry: { type: 'Polygon', coordinates: clusterCoords[0] } }
-  }
-
-  let unionResult = null
-  try {
-    unionResult = turf.polygon(clusterCoords[0])
-    for (let i = 1; i < clusterCoords.length; i++) {
-      try {
-        const next = turf.polygon(clusterCoords[i])
-        unionResult = turf.union(turf.featureCollection([unionResult, next]))
-        if (!unionResult) break
-      } catch (_) {
-        continue
-      }
-    }
-  } catch (_) {
-    unionResult = null
-  }
-
-  // ── 4) Force single Polygon output ──
-  // If union produced a MultiPolygon, keep ONLY the sub-polygon containing the click point.
-  let finalGeometry = null
-
-  if (unionResult?.geometry) {
-    const geom = unionResult.geometry
-
-    if (geom.type === 'MultiPolygon' && geom.coordinates.length > 1) {
-      let bestIdx = 0
-      let bestArea = 0
-      for (let i = 0; i < geom.coordinates.length; i++) {
-        try {
-          const subPoly = turf.polygon(geom.coordinates[i])
-          if (turf.booleanPointInPolygon(clickPt, subPoly)) {
-            bestIdx = i
-            break
-          }
-          const a = turf.area(subPoly)
-          if (a > bestArea) {
-            bestArea = a
-            bestIdx = i
-          }
-        } catch (_) {
-          continue
-        }
-      }
-      finalGeometry = { type: 'Polygon', coordinates: geom.coordinates[bestIdx] }
-    } else if (geom.type === 'MultiPolygon' && geom.coordinates.length === 1) {
-      finalGeometry = { type: 'Polygon', coordinates: geom.coordinates[0] }
-    } else {
-      finalGeometry = geom
-    }
-  }
-
-  // Fallback if union failed entirely
-  if (!finalGeometry) {
-    finalGeometry = clusterCoords.length === 1
-      ? { type: 'Polygon', coordinates: clusterCoords[0] }
-      : { type: 'MultiPolygon', coordinates: clusterCoords }
-  }
-
-  // ── 5) Geometry cleanup: remove duplicate vertices from tile seams ──
-  try {
-    const cleaned = turf.cleanCoords(turf.feature(finalGeometry))
-    if (cleaned?.geometry) finalGeometry = cleaned.geometry
-  } catch (_) { /* keep as-is */ }
-
-  return { ...features[0], geometry: finalGeometry }
-}
+    properties: { role: i === 0 ? 'seed' : 'neighbour' },
+    geometry: { type: 'Polygon', coordinates }
+  }))
+
+// Advanced panel fields: [parameter, label, input step]
+const PARAM_FIELDS = [
+  ['areaMultiplier', 'Max cluster area × seed', '0.5'],
+  ['maxNeighborDistanceKm', 'Max neighbour distance (km)', '0.01'],
+  ['maxBuildingAreaM2', 'Max building area (m²)', '1000'],
+  ['zoomCascade', 'Zoom cascade', null],
+  ['maxPasses', 'Max passes per zoom', '1'],
+  ['bboxGrowth', 'Convergence bbox growth', '0.01'],
+  ['pointBufferM', 'Point tolerance (m)', '1'],
+  ['timeoutS', 'Timeout (s)', '5']
+]
+
+// Address search: a Nominatim-compatible VITE_GEOCODER_URL, else MapTiler geocoding with the API key
+const GEOCODER = import.meta.env.VITE_GEOCODER_URL
+  ? createGeocoder({ provider: 'nominatim', url: import.meta.env.VITE_GEOCODER_URL })
+  : import.meta.env.VITE_MAPTILER_API_KEY
+    ? createGeocoder({ provider: 'maptiler', apiKey: import.meta.env.VITE_MAPTILER_API_KEY })
+    : null
 
 function App() {
   const mapContainerRef = useRef(null)
   const mapRef = useRef(null)
+  const geometryWorkerRef = useRef(null)
+  const extractBuildingRef = useRef(null) // extractBuilding(point, options, signal), see src/extractBuilding.js
   const markerRef = useRef(null)
   const markerOnMapRef = useRef(false)
   const highlightSourceId = 'building-highlight'
   const highlightLayerId = 'building-highlight-layer'
+  const selectionSourceId = 'area-selection'
+  const snapSourceId = 'snap-vector'
+  const batchSourceId = 'batch-results'
   const [geoJSON, setGeoJSON] = useState(null)
+  const [diagnostics, setDiagnostics] = useState(null)
+  const [snapEnabled, setSnapEnabled] = useState(false)
+  const [snapDistance, setSnapDistance] = useState('50')
+  const [snapResult, setSnapResult] = useState(null)
+  const [exportFormat, setExportFormat] = useState('geojson')
+  // Optional footprint clean-up (core/postprocess.js), applied to every extraction
+  const [cleanup, setCleanup] = useState({ simplify: false, orthogonalize: false, removeSlivers: false, fillHoles: false })
+  const [simplifyTolerance, setSimplifyTolerance] = useState('0.3')
+  const [cleanupReport, setCleanupReport] = useState(null)
+  const cleanupRef = useRef(null)
+  // Advanced extraction parameters (core/params.js): a preset, plus per-field overrides (blank = preset value)
+  const [paramPreset, setParamPreset] = useState('default')
+  const [paramOverrides, setParamOverrides] = useState({})
+  const extractionParamsRef = useRef(null)
   const [error, setError] = useState(null)
   const [isLoadingBuilding, setIsLoadingBuilding] = useState(false)
   const [lat, setLat] = useState('')
   const [lng, setLng] = useState('')
+  const [address, setAddress] = useState('')
+  const [geocodeResult, setGeocodeResult] = useState(null)
   const [isRunningTests, setIsRunningTests] = useState(false)
   const [testPaused, setTestPaused] = useState(false)
   const [testProgress, setTestProgress] = useState('')
-  const testAbortRef = useRef(false)
   const testPauseRef = useRef(false)
-  const testIndexRef = useRef(0)
-  const testResumeRef = useRef(null) // holds the resume callback when paused
+  const testResumeRef = useRef(null) // resolves the paused run's wait
+  const testControllerRef = useRef(null) // AbortController of the current run; stop and restart abort it
+  const [testPoints, setTestPoints] = useState(DEFAULT_TEST_POINTS)
+  const [testPointsName, setTestPointsName] = useState(null) // uploaded file name, null = built-in list
+  const testPointsRef = useRef(DEFAULT_TEST_POINTS)
+  testPointsRef.current = testPoints
+  const [batchResults, setBatchResults] = useState([])
+  const [selectedBatchIndex, setSelectedBatchIndex] = useState(null)
+  const runBatchPointRef = useRef(null)
+  const [selectMode, setSelectMode] = useState(null) // null | 'rectangle' | 'lasso'
+  const selectModeRef = useRef(null)
+  const selectionRef = useRef(null) // { mode, points } while drawing, { done: true } until the trailing click
+  const editOriginalRef = useRef(null) // feature as extracted, restored when every edit is undone
+  // Fragment merges run in the geometry worker (core merge on this thread when there is none);
+  // a new merge on a channel supersedes the one still pending there
+  const mergeOn = (channel) => {
+    const worker = geometryWorkerRef.current
+    return worker
+      ? (features, lngLat, options, { signal } = {}) => worker.merge(features, lngLat, options, { channel, signal })
+      : undefined
+  }
+  const editor = useBoundaryEditor(mapRef, {
+    onChange: (geometry, edited) => {
+      setError(null)
+      setGeoJSON(edited ? markManualEdit(editOriginalRef.current, geometry) : editOriginalRef.current)
+    },
+    pickFootprint: (point, lngLat) =>
+      mergeBuildingFeatureAtPoint(createMaplibreAdapter(mapRef.current), point, lngLat, {
+        layerPolicy: LAYER_POLICY,
+        merge: mergeOn('edit')
+      }),
+    onError: setError
+  })
+  const editActiveRef = editor.activeRef
+  cleanupRef.current = { ...cleanup, simplify: cleanup.simplify && (Number(simplifyTolerance) || true) }
+  const extractionParams = useMemo(() => {
+    try {
+      return { params: normalizeExtractionParams({ preset: paramPreset, ...paramOverrides }), error: null }
+    } catch (err) {
+      return { params: null, error: err.message }
+    }
+  }, [paramPreset, paramOverrides])
+  extractionParamsRef.current = extractionParams
+  // Recomputed from the current (possibly edited) footprint
+  const metrics = useMemo(() => (geoJSON?.type === 'Feature' ? computeBuildingMetrics(geoJSON) : null), [geoJSON])
 
   const clearHighlight = useCallback((map) => {
     if (!map) return
@@ -348,93 +206,86 @@ function App() {
     if (map.getSource(highlightSourceId)) map.removeSource(highlightSourceId)
   }, [])
 
+  const clearSnapVector = useCallback((map) => {
+    if (!map) return
+    if (map.getLayer(`${snapSourceId}-line`)) map.removeLayer(`${snapSourceId}-line`)
+    if (map.getLayer(`${snapSourceId}-origin`)) map.removeLayer(`${snapSourceId}-origin`)
+    if (map.getSource(snapSourceId)) map.removeSource(snapSourceId)
+  }, [])
+
+  // Dashed line from the input point to where it snapped onto the building
+  const showSnapVector = useCallback((map, snap) => {
+    clearSnapVector(map)
+    map.addSource(snapSourceId, {
+      type: 'geojson',
+      data: {
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [snap.from, snap.to] } },
+          { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: snap.from } }
+        ]
+      }
+    })
+    map.addLayer({
+      id: `${snapSourceId}-line`,
+      type: 'line',
+      source: snapSourceId,
+      filter: ['==', ['geometry-type'], 'LineString'],
+      paint: { 'line-color': '#fb8c00', 'line-width': 2, 'line-dasharray': [1, 1] }
+    })
+    map.addLayer({
+      id: `${snapSourceId}-origin`,
+      type: 'circle',
+      source: snapSourceId,
+      filter: ['==', ['geometry-type'], 'Point'],
+      paint: { 'circle-radius': 4, 'circle-color': '#fb8c00' }
+    })
+  }, [clearSnapVector])
+
+  // Accepts a Polygon/MultiPolygon geometry, or a FeatureCollection of buildings (area selection)
   const showHighlight = useCallback((map, polygonGeometry) => {
     clearHighlight(map)
+    const isCollection = polygonGeometry?.type === 'FeatureCollection'
     if (
       !polygonGeometry ||
-      (polygonGeometry.type !== 'Polygon' && polygonGeometry.type !== 'MultiPolygon') ||
-      !polygonGeometry.coordinates
+      (!isCollection && polygonGeometry.type !== 'Polygon' && polygonGeometry.type !== 'MultiPolygon') ||
+      (!isCollection && !polygonGeometry.coordinates)
     )
       return
     map.addSource(highlightSourceId, {
       type: 'geojson',
-      data: {
-        type: 'Feature',
-        properties: {},
-        geometry: polygonGeometry
-      }
+      data: isCollection ? polygonGeometry : { type: 'FeatureCollection', features: highlightParts(polygonGeometry) }
     })
     map.addLayer({
       id: highlightLayerId,
       type: 'line',
       source: highlightSourceId,
       paint: {
-        'line-color': '#e53935',
-        'line-width': 3
+        'line-color': ['match', ['get', 'role'], 'neighbour', '#1e88e5', '#e53935'],
+        'line-width': ['match', ['get', 'role'], 'neighbour', 2, 3]
       }
     })
   }, [clearHighlight])
 
-  const getBuildingFeatureAtPoint = useCallback((map, point, lngLat) => {
-    const x = point.x ?? point[0]
-    const y = point.y ?? point[1]
-    const bbox = [
-      [x - QUERY_RADIUS_PX, y - QUERY_RADIUS_PX],
-      [x + QUERY_RADIUS_PX, y + QUERY_RADIUS_PX]
-    ]
-    const rendered = map.queryRenderedFeatures(bbox)
-    const renderedBuilding = rendered.find(
-      (f) =>
-        f.geometry &&
-        (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon') &&
-        (f.layer?.id?.toLowerCase().includes('building') || f.layer?.type === 'fill')
-    )
-    if (!renderedBuilding) return null
-
-    const sourceId = renderedBuilding.source
-    const sourceLayer = renderedBuilding.sourceLayer
-    // Vector tiles may expose id as top-level or in properties.id / properties.osm_id
-    const featureId =
-      renderedBuilding.id ??
-      renderedBuilding.properties?.id ??
-      renderedBuilding.properties?.osm_id
-
-    if (sourceId && sourceLayer != null && featureId !== undefined && featureId !== null) {
-      const filtersToTry = [
-        ['==', ['id'], featureId],
-        ['==', ['get', 'id'], featureId],
-        ['==', ['get', 'osm_id'], featureId]
-      ]
-      for (const filter of filtersToTry) {
-        try {
-          const sourceFeatures = map.querySourceFeatures(sourceId, {
-            sourceLayer,
-            filter
-          })
-          if (sourceFeatures && sourceFeatures.length > 0) {
-            const merged = pickOrMergeSourceFeatures(sourceFeatures, lngLat)
-            if (merged) return merged
-            break
-          }
-        } catch (_) {
-          continue
-        }
-      }
-    }
-    return renderedBuilding
-  }, [])
-
   useEffect(() => {
     if (!mapContainerRef.current) return
 
     const map = new maplibregl.Map({
       container: mapContainerRef.current,
-      style: MAPTILER_STYLE_URL,
+      style: MAP_STYLE_URL,
       center: [0, 0],
       zoom: 2
     })
 
     map.addControl(new maplibregl.NavigationControl(), 'top-right')
+    const adapter = createMaplibreAdapter(map)
+    const log = (msg) => console.log(`[Building] ${msg}`)
+    geometryWorkerRef.current = typeof Worker === 'undefined' ? null : createGeometryWorker({ log })
+    extractBuildingRef.current = createBuildingExtractor(map, {
+      layerPolicy: LAYER_POLICY,
+      merge: mergeOn('extract'),
+      log
+    })
 
     const markerEl = document.createElement('div')
     markerEl.className = 'input-location-marker'
@@ -450,32 +301,134 @@ function App() {
       if (e?.error?.message) setError(e.error.message)
     })
 
+    // A newer click supersedes this one while its merge is pending (its promise rejects with AbortError)
     const applyBuildingAtPoint = (map, point, lngLat) => {
       setIsLoadingBuilding(true)
       if (typeof console !== 'undefined' && console.log) {
         console.log('[Building extraction] querySourceFeatures running…')
       }
-      try {
-        const feature = getBuildingFeatureAtPoint(map, point, lngLat)
-        if (feature?.geometry && (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon')) {
-          showHighlight(map, feature.geometry)
-          setGeoJSON(buildGeoJSONFromFeature(feature, feature.geometry))
+      mergeBuildingFeatureAtPoint(adapter, point, lngLat, { layerPolicy: LAYER_POLICY, merge: mergeOn('pick') })
+        .then((feature) => {
+          setDiagnostics(null)
+          setSnapResult(null)
+          clearSnapVector(map)
+          if (feature?.geometry && (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon')) {
+            const { geojson, report } = postProcessFeature(buildGeoJSONFromFeature(feature, feature.geometry), cleanupRef.current)
+            showHighlight(map, geojson.geometry)
+            setGeoJSON(geojson)
+            setCleanupReport(report)
+          } else {
+            clearHighlight(map)
+            setGeoJSON(null)
+            setCleanupReport(null)
+          }
+          setIsLoadingBuilding(false)
+        })
+        .catch((err) => {
+          if (err.name === 'AbortError') return
+          setError(err.message)
+          setIsLoadingBuilding(false)
+        })
+    }
+
+    // ── Area selection (rectangle / lasso): drag on the map, then collect every building inside ──
+    const selectionPolygon = ({ mode, points }) => {
+      if (mode === 'rectangle') {
+        const [a, b] = [points[0], points[points.length - 1]]
+        if (!b || a.lng === b.lng || a.lat === b.lat) return null
+        return [[[a.lng, a.lat], [b.lng, a.lat], [b.lng, b.lat], [a.lng, b.lat], [a.lng, a.lat]]]
+      }
+      if (points.length < 3) return null
+      const ring = points.map((p) => [p.lng, p.lat])
+      return [[...ring, ring[0]]]
+    }
+
+    const drawSelection = (coordinates) => {
+      const data = {
+        type: 'FeatureCollection',
+        features: coordinates ? [{ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates } }] : []
+      }
+      const source = map.getSource(selectionSourceId)
+      if (source) {
+        source.setData(data)
+        return
+      }
+      map.addSource(selectionSourceId, { type: 'geojson', data })
+      map.addLayer({
+        id: `${selectionSourceId}-fill`,
+        type: 'fill',
+        source: selectionSourceId,
+        paint: { 'fill-color': '#1976d2', 'fill-opacity': 0.08 }
+      })
+      map.addLayer({
+        id: `${selectionSourceId}-line`,
+        type: 'line',
+        source: selectionSourceId,
+        paint: { 'line-color': '#1976d2', 'line-width': 2, 'line-dasharray': [2, 2] }
+      })
+    }
+
+    const applyBuildingsInArea = (coordinates) => {
+      setError(null)
+      clearHighlight(map)
+      setGeoJSON(null)
+      setDiagnostics(null)
+      setSnapResult(null)
+      setCleanupReport(null)
+      clearSnapVector(map)
+      setIsLoadingBuilding(true)
+      extractBuildingsInArea(adapter, { polygon: { type: 'Polygon', coordinates } }, {
+        log: (msg) => console.log(`[Area] ${msg}`),
+        layerPolicy: LAYER_POLICY
+      }).then(({ geojson, error }) => {
+        if (geojson && geojson.features.length > 0) {
+          showHighlight(map, geojson)
+          setGeoJSON(geojson)
         } else {
-          clearHighlight(map)
-          setGeoJSON(null)
+          setError(error || 'No buildings found in the selected area.')
         }
-      } finally {
         setIsLoadingBuilding(false)
-      }
+      })
     }
 
+    map.on('mousedown', (e) => {
+      if (!selectModeRef.current) return
+      e.preventDefault()
+      selectionRef.current = { mode: selectModeRef.current, points: [e.lngLat] }
+    })
+
+    map.on('mouseup', () => {
+      const selection = selectionRef.current
+      if (!selection?.points) return
+      selectionRef.current = { done: true }
+      const coordinates = selectionPolygon(selection)
+      drawSelection(coordinates)
+      selectModeRef.current = null
+      setSelectMode(null)
+      if (coordinates) applyBuildingsInArea(coordinates)
+    })
+
     map.on('click', (e) => {
+      if (selectionRef.current) {
+        selectionRef.current = null // the click that ends a selection drag
+        return
+      }
+      if (selectModeRef.current || editActiveRef.current) return
       applyBuildingAtPoint(map, e.point, e.lngLat)
     })
 
     map.on('mousemove', (e) => {
-      const feature = getBuildingFeatureAtPoint(map, e.point, e.lngLat)
-      map.getCanvas().style.cursor = feature ? 'pointer' : 'default'
+      const selection = selectionRef.current
+      if (selection?.points) {
+        if (selection.mode === 'rectangle') selection.points[1] = e.lngLat
+        else selection.points.push(e.lngLat)
+        drawSelection(selectionPolygon(selection))
+        return
+      }
+      if (selectModeRef.current || editActiveRef.current) return
+      // Rendered features only: hovering must stay cheap, merging happens on click
+      const building = findRenderedBuilding(adapter, e.point, LAYER_POLICY)
+      map.getCanvas().style.cursor = building ? 'pointer' : 'default'
     })
 
     mapRef.current = map
@@ -486,6 +439,9 @@ function App() {
       clearHighlight(map)
       map.remove()
       mapRef.current = null
+      geometryWorkerRef.current?.terminate()
+      geometryWorkerRef.current = null
+      extractBuildingRef.current = null
     }
   }, []) // eslint-disable-line react-hooks/exhaustive-deps
 
@@ -507,327 +463,229 @@ function App() {
     }
   }, [lat, lng])
 
-  const handleDownloadGeoJSON = () => {
+  // Selection mode: drawing replaces map panning until the drag ends
+  useEffect(() => {
+    const map = mapRef.current
+    selectModeRef.current = selectMode
+    if (!map) return
+    if (selectMode) {
+      map.dragPan.disable()
+      map.getCanvas().style.cursor = 'crosshair'
+    } else {
+      map.dragPan.enable()
+      map.getCanvas().style.cursor = 'default'
+    }
+  }, [selectMode])
+
+  // Every runner footprint at once, so a whole batch can be reviewed on the map
+  useEffect(() => {
+    const map = mapRef.current
+    if (!map) return
+    const data = {
+      type: 'FeatureCollection',
+      features: batchResults
+        .filter((row) => row.geojson)
+        .map((row) => ({ type: 'Feature', properties: { index: row.index }, geometry: row.geojson.geometry }))
+    }
+    const source = map.getSource(batchSourceId)
+    if (source) {
+      source.setData(data)
+      return
+    }
+    if (data.features.length === 0) return
+    map.addSource(batchSourceId, { type: 'geojson', data })
+    map.addLayer({
+      id: `${batchSourceId}-fill`,
+      type: 'fill',
+      source: batchSourceId,
+      paint: { 'fill-color': '#8e24aa', 'fill-opacity': 0.15 }
+    })
+    map.addLayer({
+      id: `${batchSourceId}-line`,
+      type: 'line',
+      source: batchSourceId,
+      paint: { 'line-color': '#8e24aa', 'line-width': 2 }
+    })
+  }, [batchResults])
+
+  const toggleSelectMode = (mode) => setSelectMode((current) => (current === mode ? null : mode))
+
+  // Edit mode hides the highlight and draws the editable copy; leaving it redraws the result
+  const toggleEditMode = () => {
+    const map = mapRef.current
+    if (!map || !geoJSON?.geometry) return
+    if (editor.active) {
+      editor.stop()
+      showHighlight(map, geoJSON.geometry)
+      return
+    }
+    setError(null)
+    setSelectMode(null)
+    editOriginalRef.current = geoJSON
+    clearHighlight(map)
+    editor.start(geoJSON.geometry)
+  }
+
+  const handleDownload = () => {
     if (!geoJSON) return
-    const blob = new Blob([JSON.stringify(geoJSON, null, 2)], { type: 'application/geo+json' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `building-boundary-${Date.now()}.geojson`
-    a.click()
-    URL.revokeObjectURL(url)
+    const name = geoJSON.type === 'FeatureCollection' ? 'buildings' : 'building-boundary'
+    exportGeoJSON(geoJSON, exportFormat, { name, sqlJsConfig: { locateFile: () => sqlWasmUrl } })
+      .then(({ data, mimeType, extension }) => {
+        const blob = new Blob([data], { type: mimeType })
+        const url = URL.createObjectURL(blob)
+        const a = document.createElement('a')
+        a.href = url
+        a.download = `${name}-${Date.now()}.${extension}`
+        a.click()
+        URL.revokeObjectURL(url)
+      })
+      .catch((err) => setError(`Export failed: ${err.message}`))
   }
 
-  const handleGetBuildingAtLocation = useCallback(() => {
+  // Run the extraction cascade at a point (lat/lng inputs, geocoded address or test runner).
+  // Resolves { geojson, error, diagnostics } with the post-processed footprint, or { aborted: true }
+  // when `signal` aborts or a newer extraction supersedes this one (the newer one owns the panel).
+  const extractAt = useCallback((latNum, lngNum, signal) => {
     const map = mapRef.current
-    const latNum = parseFloat(lat)
-    const lngNum = parseFloat(lng)
-    if (!map || isNaN(latNum) || isNaN(lngNum)) {
-      setError('Enter valid latitude and longitude.')
-      return
+    if (!map || !extractBuildingRef.current) return Promise.resolve({ geojson: null, error: 'Map not ready', diagnostics: null })
+    const { params, error: paramsError } = extractionParamsRef.current
+    if (!params) {
+      setError(`Advanced settings: ${paramsError}`)
+      return Promise.resolve({ geojson: null, error: paramsError, diagnostics: null })
     }
+    editor.stop()
     setError(null)
     clearHighlight(map)
+    clearSnapVector(map)
     setGeoJSON(null)
+    setDiagnostics(null)
+    setSnapResult(null)
+    setCleanupReport(null)
     setIsLoadingBuilding(true)
 
-    // ── Configuration ──
-    const ZOOM_CASCADE = [13.5, 15.5, 17.5, 19.5] // try from broadest to most precise
-    const MAX_PASSES = 6
-    const BBOX_GROWTH = 0.10
-    const POINT_BUFFER_M = 10 // 10 m tolerance for point-in-polygon validation
-
-    const clickPt = turf.point([lngNum, latNum])
-
-    // ── Validation: is the click point inside the polygon? (with buffer) ──
-    const isPointInsideResult = (geometry) => {
-      if (!geometry) return false
-      try {
-        const feat = turf.feature(geometry)
-        // Direct check
-        if (turf.booleanPointInPolygon(clickPt, feat)) return true
-        // Buffer check: is the point within 10m of the polygon?
-        const buffered = turf.buffer(feat, POINT_BUFFER_M, { units: 'meters' })
-        if (buffered && turf.booleanPointInPolygon(clickPt, buffered)) return true
-      } catch (_) { }
-      return false
-    }
-
-    // ── Discover building at a given zoom, run iterative expansion, return result ──
-    const discoverAtZoom = (zoom, onResult) => {
-      console.log(`[Building] ── Trying zoom ${zoom} ──`)
-      map.flyTo({ center: [lngNum, latNum], zoom, duration: 400 })
-      map.once('idle', () => {
-        setTimeout(() => {
-          // Find building at rendered level
-          const point = map.project([lngNum, latNum])
-          const x = point.x ?? point[0]
-          const y = point.y ?? point[1]
-          const bboxPx = [
-            [x - QUERY_RADIUS_PX, y - QUERY_RADIUS_PX],
-            [x + QUERY_RADIUS_PX, y + QUERY_RADIUS_PX]
-          ]
-          const rendered = map.queryRenderedFeatures(bboxPx)
-          const building = rendered.find(
-            (f) =>
-              f.geometry &&
-              (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon') &&
-              (f.layer?.id?.toLowerCase().includes('building') || f.layer?.type === 'fill')
-          )
-          if (!building) {
-            onResult(null) // no building found at this zoom
-            return
-          }
-
-          const sourceId = building.source
-          const sourceLayer = building.sourceLayer
-          const featureId =
-            building.id ??
-            building.properties?.id ??
-            building.properties?.osm_id
-
-          // Find working filter
-          let workingFilter = null
-          if (sourceId && sourceLayer != null && featureId != null) {
-            for (const filter of [
-              ['==', ['id'], featureId],
-              ['==', ['get', 'id'], featureId],
-              ['==', ['get', 'osm_id'], featureId]
-            ]) {
-              try {
-                const sf = map.querySourceFeatures(sourceId, { sourceLayer, filter })
-                if (sf && sf.length > 0) { workingFilter = filter; break }
-              } catch (_) { continue }
-            }
-          }
-
-          if (!workingFilter || !sourceId || sourceLayer == null) {
-            // No source query possible — use rendered feature directly
-            const geom = toSinglePolygon(building, [lngNum, latNum]) || building.geometry
-            onResult(geom ? { feature: building, geometry: geom } : null)
-            return
-          }
-
-          // ── Iterative expansion at this zoom level ──
-          let currentMerged = null
-          let currentGeom = building.geometry
-          let prevDiagonal = 0
-          let passNumber = 0
-
-          // Initial discovery query at current zoom
-          try {
-            const sf = map.querySourceFeatures(sourceId, { sourceLayer, filter: workingFilter })
-            if (sf && sf.length > 0) {
-              const merged = pickOrMergeSourceFeatures(sf, [lngNum, latNum])
-              if (merged?.geometry) {
-                currentMerged = merged
-                currentGeom = merged.geometry
-              }
-            }
-          } catch (_) { }
-
-          const runPass = () => {
-            passNumber++
-            if (!currentGeom || passNumber > MAX_PASSES) {
-              onResult(currentMerged ? { feature: currentMerged, geometry: currentGeom } : null)
-              return
-            }
-
-            const bboxGeo = turf.bbox(turf.feature(currentGeom))
-            const diagonal = turf.distance(
-              turf.point([bboxGeo[0], bboxGeo[1]]),
-              turf.point([bboxGeo[2], bboxGeo[3]]),
-              { units: 'kilometers' }
-            )
-
-            const growth = prevDiagonal > 0 ? (diagonal - prevDiagonal) / prevDiagonal : 1
-            if (passNumber > 1 && growth < BBOX_GROWTH) {
-              console.log(`[Building] z${zoom} pass ${passNumber} — converged`)
-              onResult(currentMerged ? { feature: currentMerged, geometry: currentGeom } : null)
-              return
-            }
-            prevDiagonal = diagonal
-
-            const adaptiveDistanceKm = Math.max(MAX_NEIGHBOR_DISTANCE_KM, diagonal * 2.0)
-            const adaptiveAreaMultiplier = Math.max(AREA_MULTIPLIER, 10.0)
-
-            console.log(`[Building] z${zoom} pass ${passNumber} — fitBounds (diag=${diagonal.toFixed(3)}km)`)
-            map.fitBounds(
-              [[bboxGeo[0], bboxGeo[1]], [bboxGeo[2], bboxGeo[3]]],
-              { padding: 120, maxZoom: FLY_TO_ZOOM, duration: 300 }
-            )
-
-            map.once('idle', () => {
-              setTimeout(() => {
-                try {
-                  const features = map.querySourceFeatures(sourceId, { sourceLayer, filter: workingFilter })
-                  if (features && features.length > 0) {
-                    const merged = pickOrMergeSourceFeatures(
-                      features, [lngNum, latNum],
-                      { areaMultiplier: adaptiveAreaMultiplier, maxDistanceKm: adaptiveDistanceKm }
-                    )
-                    if (merged?.geometry) {
-                      currentMerged = merged
-                      currentGeom = merged.geometry
-                    }
-                  }
-                } catch (_) { }
-                runPass()
-              }, SOURCE_QUERY_DELAY_MS)
-            })
-          }
+    const options = { snap: snapEnabled ? Number(snapDistance) || true : null, params }
+    return extractBuildingRef.current({ lat: latNum, lng: lngNum }, options, signal).then(({ geojson, error, diagnostics, snap }) => {
+      setIsLoadingBuilding(false)
+      if (!geojson) {
+        setError(error)
+        return { geojson: null, error, diagnostics: null }
+      }
+      const processed = postProcessFeature(geojson, cleanupRef.current)
+      showHighlight(map, processed.geojson.geometry)
+      setGeoJSON(processed.geojson)
+      setCleanupReport(processed.report)
+      setDiagnostics(diagnostics)
+      if (snap) {
+        showSnapVector(map, snap)
+        setSnapResult(snap)
+      }
+      return { geojson: processed.geojson, error: null, diagnostics }
+    }, (err) => {
+      if (err.name === 'AbortError') {
+        if (signal?.aborted) setIsLoadingBuilding(false)
+        return { geojson: null, error: null, diagnostics: null, aborted: true }
+      }
+      const error = err.name === 'TimeoutError' ? 'Timeout: extraction took too long' : err.message
+      setIsLoadingBuilding(false)
+      setError(error)
+      return { geojson: null, error, diagnostics: null }
+    })
+  }, [snapEnabled, snapDistance, showHighlight, clearHighlight, showSnapVector, clearSnapVector, editor.stop])
 
-          runPass()
-        }, SOURCE_QUERY_DELAY_MS)
-      })
+  const handleGetBuildingAtLocation = useCallback(() => {
+    const latNum = parseFloat(lat)
+    const lngNum = parseFloat(lng)
+    if (isNaN(latNum) || isNaN(lngNum)) {
+      setError('Enter valid latitude and longitude.')
+      return
     }
-
-    // ── Cascading zoom: try each zoom level, validate, escalate if needed ──
-    let zoomIndex = 0
-    let bestResult = null // keep the best result across zooms as fallback
-
-    const tryNextZoom = () => {
-      if (zoomIndex >= ZOOM_CASCADE.length) {
-        // All zooms tried — use the best result we found (even if validation failed)
-        if (bestResult) {
-          console.log('[Building] All zooms tried — using best available result')
-          showHighlight(map, bestResult.geometry)
-          setGeoJSON(buildGeoJSONFromFeature(bestResult.feature, bestResult.geometry))
-        } else {
-          setError('No building found at this location.')
+    setGeocodeResult(null)
+    extractAt(latNum, lngNum)
+  }, [lat, lng, extractAt])
+
+  const handleAddressSearch = useCallback((e) => {
+    e.preventDefault()
+    if (!GEOCODER) {
+      setError('Address search needs VITE_MAPTILER_API_KEY or VITE_GEOCODER_URL.')
+      return
+    }
+    setError(null)
+    setGeocodeResult(null)
+    setIsLoadingBuilding(true)
+    GEOCODER.geocode(address)
+      .then((result) => {
+        if (!result) {
+          setError(`Address not found: ${address}`)
+          setIsLoadingBuilding(false)
+          return
         }
+        setGeocodeResult(result)
+        setLat(String(result.lat))
+        setLng(String(result.lng))
+        extractAt(result.lat, result.lng)
+      })
+      .catch((err) => {
+        setError(`Geocoding failed: ${err.message}`)
         setIsLoadingBuilding(false)
-        return
-      }
-
-      const zoom = ZOOM_CASCADE[zoomIndex]
-      zoomIndex++
+      })
+  }, [address, extractAt])
 
-      discoverAtZoom(zoom, (result) => {
-        if (!result || !result.geometry) {
-          console.log(`[Building] z${zoom} — no building found, trying next zoom`)
-          tryNextZoom()
-          return
-        }
 
-        // Keep as best result (higher zoom results are more precise)
-        bestResult = result
-
-        // ── Validate: is the click point inside the extracted polygon? ──
-        const pointOk = isPointInsideResult(result.geometry)
-        let areaOk = true
-        try { areaOk = turf.area(turf.feature(result.geometry)) <= MAX_BUILDING_AREA_SQM } catch (_) { }
-        if (pointOk && areaOk) {
-          console.log(`[Building] ✓ z${zoom} — VALIDATED (point inside + building-sized)`)
-          showHighlight(map, result.geometry)
-          setGeoJSON(buildGeoJSONFromFeature(result.feature, result.geometry))
-          setIsLoadingBuilding(false)
-        } else {
-          const reason = !pointOk ? 'point NOT inside' : 'area too large (landuse/zone)'
-          console.log(`[Building] ✗ z${zoom} — ${reason}, escalating...`)
-          if (!areaOk) bestResult = null
-          tryNextZoom()
-        }
-      })
-    }
+  // ── Test runner ──
+  const updateBatchResult = useCallback((index, fields) => {
+    setBatchResults((rows) => rows.map((row) => (row.index === index ? { ...row, ...fields } : row)))
+  }, [])
 
-    tryNextZoom()
-  }, [lat, lng, showHighlight, clearHighlight])
-
-  // ── Test Runner: auto-run all lat/lng from the test list ──
-  const TEST_COORDINATES = [
-    [49.06114, -122.49594],
-    [50.99507, -113.96369],
-    [39.53652, -84.30099],
-    [39.59358, -86.09508],
-    [33.65604, -117.718598],
-    [37.71727, -121.51804],
-    [47.27738, -122.234526],
-    [40.21300507, -76.0802536],
-    [38.93801, -94.84897],
-    [40.88931, -84.6097],
-    [41.5582, -90.4346],
-    [28.58543, -81.41385],
-    [28.03257942, -82.05041504],
-    [34.04669189, -117.6206131],
-    [33.73733, -84.56177],
-    [32.7696514, -96.8901692],
-    [41.40439777510291, -88.12477561852806],
-    [41.46080917, -88.10173598],
-    [41.44887833, -88.29277723],
-    [43.51063588, -88.79531788],
-    [41.98487941, -84.9802332],
-    [44.8972224, -91.86311665],
-    [40.97655267, -91.5282162],
-    [41.35273813, -89.22253163],
-    [41.46080917, -88.10173598],
-    [41.44887833, -88.29277723],
-    [55.37545776, -131.7204742],
-    [29.89539, -90.05731],
-    [36.670022, -76.95544],
-    [35.81965256, -79.82302094],
-    [34.155258, -79.764127],
-    [37.06111908, -93.2988739],
-    [42.66067123, -83.46760559],
-  ]
+  // Extract one runner point and record the outcome in its row (back to pending when aborted)
+  const runBatchPoint = useCallback((point, index, signal) => {
+    updateBatchResult(index, { status: 'running', error: null })
+    setSelectedBatchIndex(index)
+    setLat(String(point.lat))
+    setLng(String(point.lng))
+    setGeocodeResult(null)
+    const started = performance.now()
+    return extractAt(point.lat, point.lng, signal).then(({ geojson, error, diagnostics, aborted }) => {
+      const elapsedS = ((performance.now() - started) / 1000).toFixed(1)
+      if (aborted) {
+        updateBatchResult(index, { status: 'pending' })
+        return
+      }
+      updateBatchResult(index, geojson
+        ? { status: 'done', geojson, diagnostics, areaM2: computeBuildingMetrics(geojson).areaM2, zoom: diagnostics?.zoom ?? null, elapsedS }
+        : { status: 'failed', error: error || 'No building found', geojson: null, diagnostics: null, areaM2: null, zoom: null, elapsedS })
+    })
+  }, [extractAt, updateBatchResult])
+  runBatchPointRef.current = runBatchPoint
 
+  // Every point in turn, from the start; a previous run is aborted first (restart)
   const handleStartTests = useCallback(() => {
-    // Always start from beginning
-    testAbortRef.current = false
+    testControllerRef.current?.abort()
+    const controller = new AbortController()
+    const { signal } = controller
+    const points = testPointsRef.current
+    testControllerRef.current = controller
     testPauseRef.current = false
-    testIndexRef.current = 0
     testResumeRef.current = null
     setTestPaused(false)
     setIsRunningTests(true)
-
-    const runNext = () => {
-      if (testAbortRef.current || testIndexRef.current >= TEST_COORDINATES.length) {
-        setIsRunningTests(false)
-        setTestPaused(false)
-        setTestProgress(
-          testAbortRef.current
-            ? 'Stopped'
-            : `Done — ${TEST_COORDINATES.length}/${TEST_COORDINATES.length}`
-        )
-        testResumeRef.current = null
-        return
-      }
-
-      // Pause check — store resume callback
-      if (testPauseRef.current) {
-        testResumeRef.current = runNext
-        return
+    setBatchResults(points.map((point, index) => ({ ...point, index, status: 'pending' })))
+
+    const run = async () => {
+      for (const [idx, point] of points.entries()) {
+        if (testPauseRef.current) await new Promise((resolve) => { testResumeRef.current = resolve })
+        if (signal.aborted) return
+        setTestProgress(`${idx + 1}/${points.length} — (${point.lat}, ${point.lng})`)
+        await runBatchPointRef.current(point, idx, signal)
+        if (idx < points.length - 1) await wait(TEST_POINT_DELAY_MS, signal)
       }
-
-      const idx = testIndexRef.current
-      const [tLat, tLng] = TEST_COORDINATES[idx]
-      setTestProgress(`${idx + 1}/${TEST_COORDINATES.length} — (${tLat}, ${tLng})`)
-      setLat(String(tLat))
-      setLng(String(tLng))
-      testIndexRef.current = idx + 1
-
-      setTimeout(() => {
-        const btn = document.getElementById('btn-get-building')
-        if (btn) btn.click()
-
-        const poll = setInterval(() => {
-          if (testAbortRef.current) {
-            clearInterval(poll)
-            setIsRunningTests(false)
-            setTestPaused(false)
-            setTestProgress('Stopped')
-            return
-          }
-          const b = document.getElementById('btn-get-building')
-          if (b && !b.disabled) {
-            clearInterval(poll)
-            setTimeout(runNext, 5000)
-          }
-        }, 500)
-      }, 300)
     }
-
-    runNext()
+    run().then(() => {
+      if (signal.aborted) return // stop / restart already updated the runner state
+      testControllerRef.current = null
+      setIsRunningTests(false)
+      setTestPaused(false)
+      setTestProgress(`Done — ${points.length}/${points.length}`)
+    }, () => {}) // aborted during the pause between points
   }, [])
 
   const handlePauseResume = useCallback(() => {
@@ -847,21 +705,71 @@ function App() {
   }, [])
 
   const handleStopTests = useCallback(() => {
-    testAbortRef.current = true
+    testControllerRef.current?.abort()
+    testControllerRef.current = null
     testPauseRef.current = false
+    testResumeRef.current?.() // a paused run wakes up, sees the abort and ends
     testResumeRef.current = null
     setIsRunningTests(false)
     setTestPaused(false)
     setTestProgress('Stopped')
   }, [])
 
+  // Replace the runner's point list with an uploaded CSV / TSV / JSON file
+  const handleUploadPoints = (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    file.text().then((text) => {
+      const points = parsePointList(text)
+      if (points.length === 0) throw new Error('no points in file')
+      setTestPoints(points)
+      setTestPointsName(file.name)
+      setBatchResults([])
+      setTestProgress('')
+      setError(null)
+    }).catch((err) => setError(`Cannot load ${file.name}: ${err.message}`))
+  }
+
+  const handleResetTestPoints = () => {
+    setTestPoints(DEFAULT_TEST_POINTS)
+    setTestPointsName(null)
+    setBatchResults([])
+    setTestProgress('')
+  }
+
+  // Zoom to a runner result and make it the current building
+  const handleSelectBatchRow = (row) => {
+    const map = mapRef.current
+    if (!map || row.status === 'running') return
+    setSelectedBatchIndex(row.index)
+    setLat(String(row.lat))
+    setLng(String(row.lng))
+    if (!row.geojson) {
+      map.flyTo({ center: [row.lng, row.lat], zoom: FLY_TO_ZOOM })
+      if (row.error) setError(row.error)
+      return
+    }
+    editor.stop()
+    setError(null)
+    clearSnapVector(map)
+    map.fitBounds(bbox(row.geojson), { padding: 80, maxZoom: 19, duration: 600 })
+    showHighlight(map, row.geojson.geometry)
+    setGeoJSON(row.geojson)
+    setDiagnostics(row.diagnostics)
+    setSnapResult(null)
+    setCleanupReport(null)
+    setGeocodeResult(null)
+  }
+
+  const handleClearBatchResults = () => {
+    setBatchResults([])
+    setSelectedBatchIndex(null)
+  }
+
   const handleRestartTests = useCallback(() => {
-    testAbortRef.current = true
-    testPauseRef.current = false
-    testResumeRef.current = null
-    setTestPaused(false)
-    // Start fresh after a tick so abort propagates
-    setTimeout(() => handleStartTests(), 100)
+    testResumeRef.current?.() // let a paused run end; handleStartTests aborts it
+    handleStartTests()
   }, [handleStartTests])
 
   return (
@@ -916,11 +824,37 @@ function App() {
               </>
             )}
           </div>
+          <div className="test-points">
+            <span>
+              {testPointsName ? `${testPoints.length} point(s) from ${testPointsName}` : `${testPoints.length} built-in test points`}
+            </span>
+            <label className={`btn-select btn-upload${isRunningTests ? ' disabled' : ''}`}>
+              Upload CSV/JSON
+              <input type="file" accept=".csv,.tsv,.txt,.json" onChange={handleUploadPoints} disabled={isRunningTests} hidden />
+            </label>
+            {testPointsName && (
+              <button type="button" className="btn-select" onClick={handleResetTestPoints} disabled={isRunningTests}>
+                Built-in
+              </button>
+            )}
+          </div>
           {testProgress && (
             <p style={{ fontSize: 12, margin: '0 0 8px', color: testPaused ? '#e65100' : '#555', fontWeight: 500 }}>
               {testPaused ? `⏸ PAUSED — ${testProgress}` : testProgress}
             </p>
           )}
+          <form className="address-search" onSubmit={handleAddressSearch}>
+            <input
+              type="text"
+              value={address}
+              onChange={(e) => setAddress(e.target.value)}
+              placeholder="Search an address"
+              className="input-field"
+            />
+            <button type="submit" className="btn-select" disabled={isLoadingBuilding || !address.trim()}>
+              Find
+            </button>
+          </form>
           <label className="input-label">
             Latitude
             <input
@@ -941,6 +875,98 @@ function App() {
               className="input-field"
             />
           </label>
+          <div className="snap-option">
+            <label>
+              <input type="checkbox" checked={snapEnabled} onChange={(e) => setSnapEnabled(e.target.checked)} />
+              Snap to nearest building within
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="250"
+              value={snapDistance}
+              onChange={(e) => setSnapDistance(e.target.value)}
+              disabled={!snapEnabled}
+              className="input-field snap-distance"
+            />
+            m
+          </div>
+          <fieldset className="cleanup-options">
+            <legend>Clean-up</legend>
+            <label>
+              <input
+                type="checkbox"
+                checked={cleanup.simplify}
+                onChange={(e) => setCleanup({ ...cleanup, simplify: e.target.checked })}
+              />
+              Simplify, tolerance
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={simplifyTolerance}
+                onChange={(e) => setSimplifyTolerance(e.target.value)}
+                disabled={!cleanup.simplify}
+                className="input-field snap-distance"
+              />
+              m
+            </label>
+            {[['orthogonalize', 'Square corners'], ['removeSlivers', 'Remove spikes and slivers'], ['fillHoles', 'Fill small holes']].map(([key, label]) => (
+              <label key={key}>
+                <input
+                  type="checkbox"
+                  checked={cleanup[key]}
+                  onChange={(e) => setCleanup({ ...cleanup, [key]: e.target.checked })}
+                />
+                {label}
+              </label>
+            ))}
+          </fieldset>
+          <details className="advanced-options">
+            <summary>Advanced{paramPreset !== 'default' || Object.keys(paramOverrides).length > 0 ? ' (custom)' : ''}</summary>
+            <div className="advanced-fields">
+              <label>
+                Preset
+                <select value={paramPreset} onChange={(e) => setParamPreset(e.target.value)} className="input-field">
+                  {Object.keys(EXTRACTION_PRESETS).map((name) => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </label>
+              {PARAM_FIELDS.map(([key, label, step]) => (
+                <label key={key}>
+                  {label}
+                  <input
+                    type={key === 'zoomCascade' ? 'text' : 'number'}
+                    step={step}
+                    value={paramOverrides[key] ?? ''}
+                    placeholder={String(EXTRACTION_PRESETS[paramPreset][key])}
+                    onChange={(e) => {
+                      const { [key]: _, ...rest } = paramOverrides
+                      setParamOverrides(e.target.value === '' ? rest : { ...rest, [key]: e.target.value })
+                    }}
+                    className="input-field"
+                  />
+                </label>
+              ))}
+              <label className="advanced-check">
+                <input
+                  type="checkbox"
+                  checked={paramOverrides.multipart ?? EXTRACTION_PRESETS[paramPreset].multipart}
+                  onChange={(e) => {
+                    const { multipart: _, ...rest } = paramOverrides
+                    const preset = EXTRACTION_PRESETS[paramPreset].multipart
+                    setParamOverrides(e.target.checked === preset ? rest : { ...rest, multipart: e.target.checked })
+                  }}
+                />
+                Keep every part (MultiPolygon)
+              </label>
+              {extractionParams.error && <p className="advanced-error">{extractionParams.error}</p>}
+              <button type="button" className="btn-select" onClick={() => setParamOverrides({})}>
+                Reset to preset
+              </button>
+            </div>
+          </details>
           <button
             type="button"
             id="btn-get-building"
@@ -950,15 +976,164 @@ function App() {
           >
             {isLoadingBuilding ? 'Loading…' : 'Get building at location'}
           </button>
+          <div className="select-tools">
+            <button
+              type="button"
+              className={`btn-select${selectMode === 'rectangle' ? ' active' : ''}`}
+              onClick={() => toggleSelectMode('rectangle')}
+              disabled={isLoadingBuilding || editor.active}
+            >
+              ▭ Rectangle
+            </button>
+            <button
+              type="button"
+              className={`btn-select${selectMode === 'lasso' ? ' active' : ''}`}
+              onClick={() => toggleSelectMode('lasso')}
+              disabled={isLoadingBuilding || editor.active}
+            >
+              ➰ Lasso
+            </button>
+          </div>
+          {selectMode && (
+            <p className="select-hint">Drag on the map to select an area — every building inside is returned.</p>
+          )}
         </div>
         {isLoadingBuilding && (
           <p className="panel-loading">Querying source features for full boundary…</p>
         )}
         {!isLoadingBuilding && geoJSON ? (
           <>
+            {geocodeResult && (
+              <p className={`panel-hint${geocodeResult.quality.score < GEOCODE_REVIEW_SCORE ? ' needs-review' : ''}`}>
+                Matched “{geocodeResult.label}” — {geocodeResult.quality.provider} score {geocodeResult.quality.score}
+                {geocodeResult.quality.matchType && ` (${geocodeResult.quality.matchType})`}
+              </p>
+            )}
+            {snapResult && (
+              <p className="panel-hint needs-review">
+                Snapped {snapResult.distanceM} m at {snapResult.bearing}° from the input point
+              </p>
+            )}
+            {cleanupReport && (
+              <p className="panel-hint">
+                Clean-up: {cleanupReport.verticesBefore} → {cleanupReport.verticesAfter} vertices (
+                {Object.entries(cleanupReport.steps).map(([step, { removed }]) => `${step} −${removed}`).join(', ')})
+              </p>
+            )}
+            {diagnostics && (
+              <p className={`panel-hint${diagnostics.needsReview ? ' needs-review' : ''}`}>
+                Confidence {diagnostics.confidence.toFixed(2)} — z{diagnostics.zoom}, {diagnostics.passes} pass(es),
+                seed {diagnostics.seedMethod}, {diagnostics.merged}/{diagnostics.fragments} fragment(s) merged
+                {diagnostics.flags.length > 0 && ` · ${diagnostics.flags.join(', ')}`}
+              </p>
+            )}
+            {metrics && (
+              <dl className="panel-metrics">
+                <dt>Area</dt>
+                <dd>{Math.round(metrics.areaM2).toLocaleString()} m² · {Math.round(metrics.areaFt2).toLocaleString()} ft²</dd>
+                <dt>Perimeter</dt>
+                <dd>{metrics.perimeterM.toFixed(1)} m</dd>
+                {metrics.rectangle && (
+                  <>
+                    <dt>Dimensions</dt>
+                    <dd>
+                      {metrics.rectangle.lengthM.toFixed(1)} × {metrics.rectangle.widthM.toFixed(1)} m, oriented {metrics.rectangle.orientationDeg}°
+                    </dd>
+                  </>
+                )}
+                <dt>Centroid</dt>
+                <dd>{metrics.centroid[1].toFixed(6)}, {metrics.centroid[0].toFixed(6)}</dd>
+                <dt>Shape</dt>
+                <dd>
+                  {metrics.vertices} vertices{metrics.parts > 1 && ` in ${metrics.parts} parts`}, compactness {metrics.compactness.toFixed(2)}
+                </dd>
+                {geoJSON.properties?.parts?.length > 1 && (
+                  <>
+                    <dt>Parts</dt>
+                    <dd>
+                      {geoJSON.properties.parts
+                        .map((part) => `${part.role} ${Math.round(part.area_m2).toLocaleString()} m²`)
+                        .join(' · ')}
+                    </dd>
+                  </>
+                )}
+                {metrics.heightM != null && (
+                  <>
+                    <dt>Height</dt>
+                    <dd>
+                      {metrics.heightM} m{metrics.minHeightM ? ` (from ${metrics.minHeightM} m)` : ''}
+                      {metrics.levels != null && `, ${metrics.levelsEstimated ? '~' : ''}${metrics.levels} level(s)`}
+                    </dd>
+                  </>
+                )}
+              </dl>
+            )}
+            {geoJSON.properties?.manual_edit && (
+              <p className="panel-hint">Manually edited — diagnostics describe the original extraction.</p>
+            )}
+            {geoJSON.type === 'Feature' && (
+              <div className="edit-tools">
+                <button
+                  type="button"
+                  className={`btn-select${editor.active ? ' active' : ''}`}
+                  onClick={toggleEditMode}
+                >
+                  {editor.active ? '✓ Done editing' : '✎ Edit boundary'}
+                </button>
+                {editor.active && (
+                  <>
+                    <div className="select-tools">
+                      {[['vertex', 'Vertices'], ['split', 'Split'], ['delete-part', 'Delete part'], ['add-adjacent', 'Add adjacent']].map(([key, label]) => (
+                        <button
+                          key={key}
+                          type="button"
+                          className={`btn-select${editor.tool === key ? ' active' : ''}`}
+                          onClick={() => editor.setTool(key)}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="select-tools">
+                      <button
+                        type="button"
+                        className="btn-select"
+                        onClick={editor.merge}
+                        disabled={geoJSON.geometry.type !== 'MultiPolygon'}
+                      >
+                        Merge parts
+                      </button>
+                      <button type="button" className="btn-select" onClick={editor.undo} disabled={!editor.canUndo}>
+                        ↶ Undo
+                      </button>
+                      <button type="button" className="btn-select" onClick={editor.redo} disabled={!editor.canRedo}>
+                        ↷ Redo
+                      </button>
+                    </div>
+                    <p className="select-hint">{EDIT_TOOLS[editor.tool]} Ctrl+Z / Ctrl+Shift+Z to undo / redo.</p>
+                  </>
+                )}
+              </div>
+            )}
+            {geoJSON.type === 'FeatureCollection' && (
+              <p className="panel-hint">
+                {geoJSON.features.length} building(s), {Math.round(
+                  geoJSON.features.reduce((sum, f) => sum + (f.properties.area_m2 || 0), 0)
+                ).toLocaleString()} m² total
+              </p>
+            )}
             <div className="panel-actions">
-              <button type="button" className="btn-download" onClick={handleDownloadGeoJSON}>
-                Download GeoJSON
+              <select
+                className="input-field export-format"
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+              >
+                {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <button type="button" className="btn-download" onClick={handleDownload}>
+                Download {EXPORT_FORMATS[exportFormat].label}
               </button>
             </div>
             <div className="panel-json">
@@ -969,6 +1144,23 @@ function App() {
           <p className="panel-empty">Enter lat/long and click &quot;Get building at location&quot; to see the full boundary (no clipping at tile edges).</p>
         ) : null}
       </aside>
+      {batchResults.length > 0 && (
+        <section className="batch-panel">
+          <div className="batch-panel-header">
+            <h3>Test runner results</h3>
+            <button type="button" className="btn-select" onClick={handleClearBatchResults} disabled={isRunningTests}>
+              Clear
+            </button>
+          </div>
+          <BatchResults
+            results={batchResults}
+            selectedIndex={selectedBatchIndex}
+            onSelect={handleSelectBatchRow}
+            onRetry={(row) => runBatchPoint(row, row.index)}
+            busy={isRunningTests || isLoadingBuilding}
+          />
+        </section>
+      )}
     </div>
   )
 }
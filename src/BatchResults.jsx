@@ -0,0 +1,91 @@
+// ── Test runner results table ──
+// One row per point: thumbnail, coordinates, status, area, zoom, time. Clicking a row selects it
+// (App zooms to it); failed rows can be retried on their own.
+
+const THUMB_SIZE = 36
+
+// Footprint outline as an SVG path, fitted into the thumbnail (equirectangular, north up)
+function FootprintThumbnail({ geometry }) {
+  if (!geometry) return <span className="batch-thumb empty" />
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+  const coords = polygons.flat(2)
+  const kx = Math.cos((coords[0][1] * Math.PI) / 180)
+  const xs = coords.map(([lng]) => lng * kx)
+  const ys = coords.map(([, lat]) => lat)
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)]
+  const scale = (THUMB_SIZE - 4) / Math.max(maxX - minX, maxY - minY, 1e-12)
+  const offsetX = (THUMB_SIZE - (maxX - minX) * scale) / 2
+  const offsetY = (THUMB_SIZE - (maxY - minY) * scale) / 2
+  const d = polygons
+    .flat()
+    .map((ring) => 'M' + ring.map(([lng, lat]) => `${((lng * kx - minX) * scale + offsetX).toFixed(1)},${((maxY - lat) * scale + offsetY).toFixed(1)}`).join('L') + 'Z')
+    .join('')
+  return (
+    <svg className="batch-thumb" width={THUMB_SIZE} height={THUMB_SIZE} viewBox={`0 0 ${THUMB_SIZE} ${THUMB_SIZE}`}>
+      <path d={d} fillRule="evenodd" />
+    </svg>
+  )
+}
+
+const STATUS_LABELS = { pending: 'Pending', running: 'Running…', done: 'OK', failed: 'Failed' }
+
+export default function BatchResults({ results, selectedIndex, onSelect, onRetry, busy }) {
+  const done = results.filter((r) => r.status === 'done').length
+  const failed = results.filter((r) => r.status === 'failed').length
+  return (
+    <div className="batch-results">
+      <div className="batch-summary">
+        {results.length} point(s) — {done} ok, {failed} failed
+      </div>
+      <div className="batch-table-wrap">
+        <table className="batch-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th />
+              <th>Lat, Lng</th>
+              <th>Status</th>
+              <th>Area m²</th>
+              <th>Zoom</th>
+              <th>Time</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((row) => (
+              <tr
+                key={row.index}
+                className={`status-${row.status}${row.index === selectedIndex ? ' selected' : ''}`}
+                onClick={() => onSelect(row)}
+                title={row.error || ''}
+              >
+                <td>{row.id ?? row.index + 1}</td>
+                <td><FootprintThumbnail geometry={row.geojson?.geometry} /></td>
+                <td>{row.lat.toFixed(5)}, {row.lng.toFixed(5)}</td>
+                <td>{STATUS_LABELS[row.status]}</td>
+                <td>{row.areaM2 != null ? Math.round(row.areaM2).toLocaleString() : '—'}</td>
+                <td>{row.zoom ?? '—'}</td>
+                <td>{row.elapsedS != null ? `${row.elapsedS}s` : '—'}</td>
+                <td>
+                  {row.status === 'failed' && (
+                    <button
+                      type="button"
+                      className="btn-retry"
+                      disabled={busy}
+                      onClick={(e) => {
+                        e.stopPropagation()
+                        onRetry(row)
+                      }}
+                    >
+                      Retry
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
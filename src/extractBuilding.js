@@ -0,0 +1,41 @@
+// ── Cancellable extraction ──
+// Promise API over the core cascade (extractBuildingBoundary) for the React app.
+// createBuildingExtractor(map, { layerPolicy, merge, log }) returns
+//   extractBuilding(point, options, signal) → Promise<{ geojson, error, layer, diagnostics, snap }>
+// point is { lat, lng }; options are { params, snap } (see extractBuildingBoundary), params.timeoutS
+// bounds the call. It rejects with an AbortError when `signal` aborts or a newer call supersedes
+// it, so a stale extraction never resolves after a newer one started, and with a TimeoutError
+// when it runs out of time. Either way the cascade stops moving the map.
+
+import { createMaplibreAdapter, extractBuildingBoundary, DEFAULT_EXTRACTION_PARAMS } from '../core/index.js'
+
+export function createBuildingExtractor(map, { layerPolicy, merge, log } = {}) {
+  let current = null // controller of the call in flight
+
+  return function extractBuilding(point, options = {}, signal = null) {
+    current?.abort(new DOMException('Superseded by a newer extraction', 'AbortError'))
+    const controller = new AbortController()
+    current = controller
+
+    const timeoutS = options.params?.timeoutS ?? DEFAULT_EXTRACTION_PARAMS.timeoutS
+    const timer = setTimeout(
+      () => controller.abort(new DOMException(`Extraction timed out after ${timeoutS} s`, 'TimeoutError')),
+      timeoutS * 1000
+    )
+    const onAbort = () => controller.abort(signal.reason)
+    if (signal?.aborted) onAbort()
+    else signal?.addEventListener('abort', onAbort, { once: true })
+
+    return extractBuildingBoundary(createMaplibreAdapter(map), [point.lng, point.lat], {
+      ...options,
+      layerPolicy,
+      log,
+      merge,
+      signal: controller.signal
+    }).finally(() => {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+      if (current === controller) current = null
+    })
+  }
+}
@@ -0,0 +1,44 @@
+// ── Geometry worker ──
+// Runs the core merge (flatten, seed, cluster, union, cleanup — see core/merge.js) off the main
+// thread. Driven by src/geometryWorker.js:
+//   { type: 'merge', id, features, lngLat, options } → { id, feature, report } or { id, error }
+//   { type: 'cancel', id }                           → drops the request if it has not started
+// Each request runs in its own task, so cancellations queued behind a long merge are seen
+// before the next request starts.
+import { pickOrMergeSourceFeatures } from '../core/merge.js'
+
+const queue = []
+let scheduled = false
+
+function runNext() {
+  scheduled = false
+  const request = queue.shift()
+  if (!request) return
+  const { id, features, lngLat, options } = request
+  const report = {}
+  try {
+    const feature = pickOrMergeSourceFeatures(features, lngLat, { ...options, report })
+    self.postMessage({ id, feature, report })
+  } catch (err) {
+    self.postMessage({ id, error: err.message })
+  }
+  schedule()
+}
+
+function schedule() {
+  if (scheduled || queue.length === 0) return
+  scheduled = true
+  setTimeout(runNext, 0)
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'cancel') {
+    const index = queue.findIndex((request) => request.id === data.id)
+    if (index >= 0) queue.splice(index, 1)
+    return
+  }
+  if (data.type === 'merge') {
+    queue.push(data)
+    schedule()
+  }
+}
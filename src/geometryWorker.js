@@ -0,0 +1,96 @@
+// ── Geometry worker client ──
+// Promise API over src/geometry.worker.js. merge(features, lngLat, options, { channel, signal })
+// has the contract of the core's `merge` option (extractBuildingBoundary,
+// mergeBuildingFeatureAtPoint): it resolves to the merged feature and fills `options.report`.
+// A newer request on the same `channel` supersedes the older one, and `signal` aborts a single
+// request. Either way the request rejects with an AbortError and is dropped from the worker
+// queue if it has not started yet.
+// If the worker fails (a script error, or it could not load), it is not used again: the requests
+// it still held and every later one run the core merge on this thread instead, and `log` is told.
+import { toLngLatArray, pickOrMergeSourceFeatures } from '../core/index.js'
+
+const abortError = (message) => new DOMException(message, 'AbortError')
+
+// Map features carry getters and tile references that cannot be posted to a worker
+const toPlainFeature = (f) => ({ type: 'Feature', id: f.id, properties: f.properties, geometry: f.geometry })
+
+const mergeHere = (features, lngLat, options) =>
+  Promise.resolve().then(() => pickOrMergeSourceFeatures(features, lngLat, options))
+
+export function createGeometryWorker({ log = () => {} } = {}) {
+  const worker = new Worker(new URL('./geometry.worker.js', import.meta.url), { type: 'module' })
+  const pending = new Map() // id → { resolve, reject, report, channel, cleanup, rerun }
+  const latest = new Map()  // channel → id of its current request
+  let nextId = 1
+  let dead = false // failed or terminated; merges run on this thread
+
+  const settle = (id) => {
+    const request = pending.get(id)
+    if (!request) return null
+    pending.delete(id)
+    if (request.channel != null && latest.get(request.channel) === id) latest.delete(request.channel)
+    request.cleanup()
+    return request
+  }
+
+  const cancel = (id, message) => {
+    const request = settle(id)
+    if (!request) return
+    worker.postMessage({ type: 'cancel', id })
+    request.reject(abortError(message))
+  }
+
+  worker.onmessage = ({ data }) => {
+    const request = settle(data.id)
+    if (!request) return // cancelled while running
+    if (data.error) {
+      request.reject(new Error(data.error))
+      return
+    }
+    Object.assign(request.report, data.report)
+    request.resolve(data.feature)
+  }
+
+  worker.onerror = (e) => {
+    e.preventDefault()
+    if (dead) return
+    dead = true
+    worker.terminate()
+    log(`Geometry worker failed, merging on the main thread: ${e.message}`)
+    for (const id of [...pending.keys()]) {
+      const request = settle(id)
+      request.rerun().then(request.resolve, request.reject)
+    }
+  }
+
+  return {
+    merge(features, lngLat, options = {}, { channel = null, signal = null } = {}) {
+      if (signal?.aborted) return Promise.reject(abortError('Merge aborted'))
+      if (dead) return mergeHere(features, lngLat, options)
+      const { report = {}, ...mergeOptions } = options
+      const id = nextId++
+      if (channel != null && latest.has(channel)) cancel(latest.get(channel), 'Superseded by a newer request')
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => cancel(id, 'Merge aborted')
+        signal?.addEventListener('abort', onAbort, { once: true })
+        pending.set(id, {
+          resolve,
+          reject,
+          report,
+          channel,
+          cleanup: () => signal?.removeEventListener('abort', onAbort),
+          rerun: () => mergeHere(features, lngLat, options)
+        })
+        if (channel != null) latest.set(channel, id)
+        worker.postMessage({ type: 'merge', id, features: features.map(toPlainFeature), lngLat: toLngLatArray(lngLat), options: mergeOptions })
+      })
+    },
+
+    terminate() {
+      for (const id of [...pending.keys()]) settle(id).reject(abortError('Geometry worker terminated'))
+      if (!dead) worker.terminate()
+      dead = true
+    }
+  }
+}
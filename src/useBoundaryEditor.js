@@ -0,0 +1,289 @@
+import { useRef, useState, useEffect, useCallback } from 'react'
+import {
+  moveVertex,
+  insertVertex,
+  deleteVertex,
+  partAt,
+  deletePart,
+  splitGeometry,
+  unionGeometries,
+  mergeParts,
+  editHandles,
+  createEditHistory
+} from '../core/index.js'
+
+// ── Boundary edit mode ──
+// Draws the geometry being edited with vertex / midpoint handles and turns map gestures into
+// core/edit.js operations. Tools:
+//   vertex        drag a vertex to move it, click a midpoint to insert one, right-click to delete
+//   split         click two points; every part the line crosses is cut in two
+//   delete-part   click inside a part to remove it
+//   add-adjacent  click another building footprint to union it into the boundary
+// Committed edits go through an undo/redo history and are reported via onChange(geometry, edited),
+// where `edited` is false once everything has been undone back to the original.
+// Layer ids avoid "building" so the default layer policy never picks them up as footprints.
+
+const SHAPE_SOURCE = 'edit-shape'
+const HANDLE_SOURCE = 'edit-handles'
+const EMPTY = { type: 'FeatureCollection', features: [] }
+
+export const EDIT_TOOLS = {
+  vertex: 'Drag vertices to move them, click a midpoint to add one, right-click a vertex to delete it.',
+  split: 'Click two points on the map — the line through them splits the polygon.',
+  'delete-part': 'Click inside a polygon part to delete it.',
+  'add-adjacent': 'Click another building to add its footprint to this boundary.'
+}
+
+function ensureLayers(map) {
+  if (map.getSource(SHAPE_SOURCE)) return
+  map.addSource(SHAPE_SOURCE, { type: 'geojson', data: EMPTY })
+  map.addSource(HANDLE_SOURCE, { type: 'geojson', data: EMPTY })
+  map.addLayer({
+    id: `${SHAPE_SOURCE}-fill`,
+    type: 'fill',
+    source: SHAPE_SOURCE,
+    paint: { 'fill-color': '#e53935', 'fill-opacity': 0.12 }
+  })
+  map.addLayer({
+    id: `${SHAPE_SOURCE}-line`,
+    type: 'line',
+    source: SHAPE_SOURCE,
+    paint: { 'line-color': '#e53935', 'line-width': 3 }
+  })
+  map.addLayer({
+    id: `${HANDLE_SOURCE}-midpoints`,
+    type: 'circle',
+    source: HANDLE_SOURCE,
+    filter: ['==', ['get', 'kind'], 'midpoint'],
+    paint: { 'circle-radius': 3.5, 'circle-color': '#fff', 'circle-opacity': 0.8, 'circle-stroke-color': '#e53935', 'circle-stroke-width': 1 }
+  })
+  map.addLayer({
+    id: `${HANDLE_SOURCE}-vertices`,
+    type: 'circle',
+    source: HANDLE_SOURCE,
+    filter: ['==', ['get', 'kind'], 'vertex'],
+    paint: { 'circle-radius': 5, 'circle-color': '#fff', 'circle-stroke-color': '#e53935', 'circle-stroke-width': 2 }
+  })
+  map.addLayer({
+    id: `${HANDLE_SOURCE}-split`,
+    type: 'circle',
+    source: HANDLE_SOURCE,
+    filter: ['==', ['get', 'kind'], 'split'],
+    paint: { 'circle-radius': 5, 'circle-color': '#1976d2' }
+  })
+}
+
+function removeLayers(map) {
+  for (const id of [`${HANDLE_SOURCE}-split`, `${HANDLE_SOURCE}-vertices`, `${HANDLE_SOURCE}-midpoints`, `${SHAPE_SOURCE}-line`, `${SHAPE_SOURCE}-fill`]) {
+    if (map.getLayer(id)) map.removeLayer(id)
+  }
+  for (const id of [HANDLE_SOURCE, SHAPE_SOURCE]) {
+    if (map.getSource(id)) map.removeSource(id)
+  }
+}
+
+function render(map, geometry, splitStart) {
+  const handles = editHandles(geometry)
+  if (splitStart) {
+    handles.features.push({ type: 'Feature', properties: { kind: 'split' }, geometry: { type: 'Point', coordinates: splitStart } })
+  }
+  map.getSource(SHAPE_SOURCE)?.setData({ type: 'Feature', properties: {}, geometry })
+  map.getSource(HANDLE_SOURCE)?.setData(handles)
+}
+
+// Options: { onChange(geometry, edited), pickFootprint(point, lngLat) → feature | null (or a promise of one),
+// onError(message) }
+export function useBoundaryEditor(mapRef, options) {
+  const [active, setActive] = useState(false)
+  const [tool, setToolState] = useState('vertex')
+  const [canUndo, setCanUndo] = useState(false)
+  const [canRedo, setCanRedo] = useState(false)
+  const activeRef = useRef(false) // read by the map's own click handlers, which must stand down while editing
+  const toolRef = useRef('vertex')
+  const historyRef = useRef(null)
+  const geometryRef = useRef(null) // live geometry, including an in-progress vertex drag
+  const dragRef = useRef(null)
+  const splitRef = useRef(null)
+  const optionsRef = useRef(options)
+  optionsRef.current = options
+
+  const show = useCallback((geometry) => {
+    geometryRef.current = geometry
+    const history = historyRef.current
+    setCanUndo(history.canUndo)
+    setCanRedo(history.canRedo)
+    if (mapRef.current) render(mapRef.current, geometry, splitRef.current)
+    optionsRef.current.onChange?.(geometry, history.canUndo)
+  }, [mapRef])
+
+  // Run an edit operation against the current geometry and record it
+  const apply = useCallback((operation) => {
+    try {
+      show(historyRef.current.push(operation(geometryRef.current)))
+    } catch (err) {
+      optionsRef.current.onError?.(err.message)
+    }
+  }, [show])
+
+  const undo = useCallback(() => {
+    if (historyRef.current?.canUndo) show(historyRef.current.undo())
+  }, [show])
+
+  const redo = useCallback(() => {
+    if (historyRef.current?.canRedo) show(historyRef.current.redo())
+  }, [show])
+
+  const setTool = useCallback((next) => {
+    toolRef.current = next
+    splitRef.current = null
+    setToolState(next)
+    if (mapRef.current && geometryRef.current) render(mapRef.current, geometryRef.current, null)
+  }, [mapRef])
+
+  const start = useCallback((geometry) => {
+    const map = mapRef.current
+    if (!map) return
+    historyRef.current = createEditHistory(geometry)
+    geometryRef.current = geometry
+    splitRef.current = null
+    dragRef.current = null
+    toolRef.current = 'vertex'
+    activeRef.current = true
+    setToolState('vertex')
+    setCanUndo(false)
+    setCanRedo(false)
+    ensureLayers(map)
+    render(map, geometry, null)
+    setActive(true)
+  }, [mapRef])
+
+  const stop = useCallback(() => {
+    const map = mapRef.current
+    activeRef.current = false
+    dragRef.current = null
+    splitRef.current = null
+    setActive(false)
+    if (!map) return
+    removeLayers(map)
+    map.dragPan.enable()
+    map.getCanvas().style.cursor = 'default'
+  }, [mapRef])
+
+  const merge = useCallback(() => apply(mergeParts), [apply])
+
+  // Map gestures and keyboard shortcuts, bound only while editing
+  useEffect(() => {
+    const map = mapRef.current
+    if (!active || !map) return
+    const vertexLayer = `${HANDLE_SOURCE}-vertices`
+    const midpointLayer = `${HANDLE_SOURCE}-midpoints`
+    const refOf = (e) => {
+      const { part, ring, index } = e.features[0].properties
+      return { part, ring, index }
+    }
+
+    const onVertexDown = (e) => {
+      if (toolRef.current !== 'vertex') return
+      e.preventDefault()
+      dragRef.current = refOf(e)
+      map.dragPan.disable()
+    }
+    const onMove = (e) => {
+      if (dragRef.current) {
+        geometryRef.current = moveVertex(geometryRef.current, dragRef.current, e.lngLat.toArray())
+        render(map, geometryRef.current, null)
+        return
+      }
+      const overHandle = toolRef.current === 'vertex' &&
+        map.queryRenderedFeatures(e.point, { layers: [vertexLayer, midpointLayer] }).length > 0
+      map.getCanvas().style.cursor = toolRef.current === 'vertex' ? (overHandle ? 'pointer' : '') : 'crosshair'
+    }
+    const onUp = () => {
+      if (!dragRef.current) return
+      dragRef.current = null
+      map.dragPan.enable()
+      const moved = geometryRef.current
+      apply(() => moved)
+    }
+    const onMidpointClick = (e) => {
+      if (toolRef.current !== 'vertex') return
+      const ref = refOf(e)
+      apply((g) => insertVertex(g, ref, e.lngLat.toArray()))
+    }
+    const onVertexContextMenu = (e) => {
+      if (toolRef.current !== 'vertex') return
+      e.preventDefault()
+      const ref = refOf(e)
+      apply((g) => deleteVertex(g, ref))
+    }
+    const onClick = (e) => {
+      const lngLat = e.lngLat.toArray()
+      switch (toolRef.current) {
+        case 'split':
+          if (!splitRef.current) {
+            splitRef.current = lngLat
+            render(map, geometryRef.current, lngLat)
+          } else {
+            const from = splitRef.current
+            splitRef.current = null
+            render(map, geometryRef.current, null)
+            apply((g) => splitGeometry(g, from, lngLat))
+          }
+          break
+        case 'delete-part': {
+          const part = partAt(geometryRef.current, lngLat)
+          if (part < 0) optionsRef.current.onError?.('Click inside the polygon part to delete.')
+          else apply((g) => deletePart(g, part))
+          break
+        }
+        case 'add-adjacent': {
+          // The footprint may come back asynchronously; drop it if editing stopped meanwhile
+          Promise.resolve(optionsRef.current.pickFootprint?.(e.point, e.lngLat)).then((feature) => {
+            if (!activeRef.current) return
+            if (!feature?.geometry) optionsRef.current.onError?.('No building footprint at that point.')
+            else apply((g) => unionGeometries(g, feature.geometry))
+          }, (err) => {
+            if (err.name !== 'AbortError') optionsRef.current.onError?.(err.message)
+          })
+          break
+        }
+        default:
+          break
+      }
+    }
+    const onKeyDown = (e) => {
+      if (e.target.closest?.('input, textarea, select')) return
+      const key = e.key.toLowerCase()
+      if ((e.ctrlKey || e.metaKey) && key === 'z') {
+        e.preventDefault()
+        if (e.shiftKey) redo()
+        else undo()
+      } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+        e.preventDefault()
+        redo()
+      } else if (key === 'escape' && splitRef.current) {
+        splitRef.current = null
+        render(map, geometryRef.current, null)
+      }
+    }
+
+    map.on('mousedown', vertexLayer, onVertexDown)
+    map.on('contextmenu', vertexLayer, onVertexContextMenu)
+    map.on('click', midpointLayer, onMidpointClick)
+    map.on('mousemove', onMove)
+    map.on('mouseup', onUp)
+    map.on('click', onClick)
+    window.addEventListener('keydown', onKeyDown)
+    return () => {
+      map.off('mousedown', vertexLayer, onVertexDown)
+      map.off('contextmenu', vertexLayer, onVertexContextMenu)
+      map.off('click', midpointLayer, onMidpointClick)
+      map.off('mousemove', onMove)
+      map.off('mouseup', onUp)
+      map.off('click', onClick)
+      window.removeEventListener('keydown', onKeyDown)
+    }
+  }, [active, mapRef, apply, undo, redo])
+
+  return { active, activeRef, tool, setTool, canUndo, canRedo, start, stop, undo, redo, merge }
+}
@@ -0,0 +1,21 @@
+import { defineConfig } from 'vite'
+
+// Bundles the shared extraction core (core/) into a browser script for the headless engine.
+// Turf stays external: map-engine.html loads it as the `turf` global.
+export default defineConfig({
+  publicDir: false,
+  build: {
+    outDir: 'server/dist',
+    emptyOutDir: true,
+    lib: {
+      entry: 'core/index.js',
+      name: 'BuildingCore',
+      formats: ['iife'],
+      fileName: () => 'building-core.js'
+    },
+    rollupOptions: {
+      external: ['@turf/turf'],
+      output: { globals: { '@turf/turf': 'turf' } }
+    }
+  }
+})